@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * AgentDraw MCP server — exposes a canvas to Model Context Protocol clients
+ * over stdio.
+ *
+ *   node mcp/server.js                  # headless canvas in this process
+ *   node mcp/server.js --browser        # drive a board open in a browser tab
+ *
+ * Options:
+ *   --width, --height   headless stage size (default 1280×720)
+ *   --plugin <file>     headless only, repeatable: a module whose default
+ *                       export receives the studio (register shapes there)
+ *   --port <n>          browser only: WebSocket port (default 8765)
+ *
+ * In browser mode the server listens on localhost and the page connects:
+ *   studio.Rpc.attach(webSocketTransport(new WebSocket('ws://localhost:8765')))
+ * The most recently connected tab is the one being driven.
+ *
+ * Both modes talk to the studio through its JSON-RPC server (src/rpc), so
+ * the tools in mcp/tools.js don't know which one they're using. stdout
+ * carries protocol messages only; logs go to stderr.
+ */
+import { parseArgs }       from 'node:util';
+import { createInterface } from 'node:readline';
+import { readFileSync }    from 'node:fs';
+import { resolve }         from 'node:path';
+import { pathToFileURL }   from 'node:url';
+import { createRpcEndpoint, RpcError, RPC_ERRORS } from '../src/rpc/RpcServer.js';
+import { createRpcClient }    from '../src/rpc/RpcClient.js';
+import { webSocketTransport } from '../src/rpc/transports.js';
+import { listTools, callTool } from './tools.js';
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// stdout is the protocol channel — the studio's console output goes to stderr
+const log = (...args) => console.error('[mcp]', ...args);
+console.log = console.info = console.debug = console.group = (...args) => console.error(...args);
+console.groupEnd = () => {};
+
+const { values: opts } = parseArgs({
+  options: {
+    browser: { type: 'boolean', default: false },
+    port:    { type: 'string',  default: '8765' },
+    width:   { type: 'string',  default: '1280' },
+    height:  { type: 'string',  default: '720' },
+    plugin:  { type: 'string',  multiple: true, default: [] },
+  },
+});
+
+// ── Backends ────────────────────────────────────────────────────
+
+/** Two transports wired to each other, for an in-process studio. */
+function loopback() {
+  const listeners = [new Set(), new Set()];
+  const end = (own, peer) => ({
+    send: message => queueMicrotask(() => listeners[peer].forEach(fn => fn(message))),
+    listen: fn => {
+      listeners[own].add(fn);
+      return () => listeners[own].delete(fn);
+    },
+  });
+  return [end(0, 1), end(1, 0)];
+}
+
+async function headless(onNotification) {
+  // Konva's Node build renders through the `canvas` package
+  const { default: Konva } = await import('konva');
+  globalThis.Konva = Konva;
+  const { CanvasStudio } = await import('../src/CanvasStudio.js');
+
+  const studio = new CanvasStudio({ headless: true, width: Number(opts.width), height: Number(opts.height) });
+  for (const file of opts.plugin) {
+    const plugin = await import(pathToFileURL(resolve(file)).href);
+    await plugin.default?.(studio);
+  }
+
+  const [server, client] = loopback();
+  studio.Rpc.attach(server, { peer: 'mcp' });
+  return createRpcClient(client, { onNotification }).call;
+}
+
+async function browser(onNotification, onConnect) {
+  const { WebSocketServer } = await import('ws');
+  const wss = new WebSocketServer({ host: 'localhost', port: Number(opts.port) });
+  let board = null;
+
+  wss.on('connection', socket => {
+    board?.close();
+    const client = createRpcClient(webSocketTransport(socket), { onNotification });
+    board = client;
+    socket.on('close', () => {
+      client.close();
+      if (board === client) board = null;
+      log('board disconnected');
+    });
+    log('board connected');
+    onConnect();
+  });
+  log(`waiting for a board on ws://localhost:${opts.port}`);
+
+  return (method, params) => board
+    ? board.call(method, params)
+    : Promise.reject(new Error(
+      'No board connected. In the page, run: ' +
+      `studio.Rpc.attach(webSocketTransport(new WebSocket('ws://localhost:${opts.port}')))`));
+}
+
+// ── MCP ─────────────────────────────────────────────────────────
+
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+let initialized = false;
+const toolsChanged = () => {
+  if (initialized) send({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+};
+const onNotification = event => {
+  if (event === 'shape:register') toolsChanged();
+};
+
+const call = opts.browser
+  ? await browser(onNotification, toolsChanged)
+  : await headless(onNotification);
+
+const mcp = createRpcEndpoint();
+
+mcp.expose('initialize', protocolVersion => ({
+  protocolVersion: PROTOCOL_VERSIONS.includes(protocolVersion) ? protocolVersion : PROTOCOL_VERSIONS[0],
+  capabilities: { tools: { listChanged: true } },
+  serverInfo: { name: 'agentdraw-canvas', version },
+  instructions: 'Shapes are addressed by the ids create_shape returns. ' +
+    'Call describe_canvas to read the canvas, get_state for exact attributes, export_png to look at it.',
+}), { params: ['protocolVersion', 'capabilities', 'clientInfo', '_meta'] });
+
+mcp.expose('notifications/initialized', () => { initialized = true; }, { params: ['_meta'] });
+mcp.expose('notifications/cancelled', () => {}, { params: ['requestId', 'reason', '_meta'] });
+mcp.expose('ping', () => ({}), { params: ['_meta'] });
+
+mcp.expose('tools/list', async () => {
+  const catalog = await call('Shapes.catalog').catch(() => null);
+  return { tools: listTools(catalog) };
+}, { params: ['cursor', '_meta'] });
+
+mcp.expose('tools/call', async (name, args) => {
+  try {
+    return await callTool(name, args, call);
+  } catch (err) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, err.message);
+  }
+}, { params: ['name', 'arguments', '_meta'] });
+
+const input = createInterface({ input: process.stdin });
+input.on('line', async line => {
+  if (!line.trim()) return;
+  const response = await mcp.handle(line);
+  if (response) send(response);
+});
+input.on('close', () => process.exit(0));
+log(`ready (${opts.browser ? 'browser' : 'headless'})`);
@@ -0,0 +1,171 @@
+/**
+ * MCP tools over a studio reached through JSON-RPC (src/rpc).
+ *
+ * Input schemas are generated from the studio's Shapes.catalog() — shape
+ * types, their labels (from ShapeRegistry meta or the ToolRegistry) and
+ * their props schemas — so a shape registered with studio.Shapes.register()
+ * becomes creatable as soon as the client lists tools again.
+ *
+ * Every tool takes `call(method, params)`, the RPC client's call(). Edits go
+ * through Agent.applyOps, so props are validated and each call is one undo
+ * step.
+ */
+
+const text = value => ({
+  content: [{ type: 'text', text: typeof value === 'string' ? value : JSON.stringify(value, null, 2) }],
+});
+
+const failure = message => ({ ...text(message), isError: true });
+
+// One op through Agent.applyOps; rejections come back as readable errors
+async function applyOne(call, op) {
+  const { applied, proposed, results } = await call('Agent.applyOps', [[op]]);
+  if (proposed) return text({ id: results[0].id, proposed: true, note: 'Suggestion mode: held for the user to accept.' });
+  if (applied) return text({ id: results[0].id });
+  const errors = results.flatMap(r => r.errors ?? []);
+  return failure(errors.map(e => `${e.path || '/'} ${e.message}`).join('\n'));
+}
+
+function typeList(catalog) {
+  return catalog
+    .map(({ type, label, description }) => {
+      const about = [label !== type && label, description].filter(Boolean).join(' — ');
+      return about ? `${type} (${about})` : type;
+    })
+    .join(', ');
+}
+
+/**
+ * Tool table. `schema(catalog)` builds the input schema; catalog is null
+ * when no studio is reachable yet (browser mode before a tab connects).
+ */
+const TOOLS = {
+  create_shape: {
+    description: catalog => 'Create a shape on the canvas and return its id.' +
+      (catalog ? ` Types: ${typeList(catalog)}.` : ''),
+    schema: catalog => ({
+      type: 'object',
+      properties: {
+        type:  catalog ? { type: 'string', enum: catalog.map(c => c.type) } : { type: 'string' },
+        props: { type: 'object', description: 'Position, size and style; the keys each type accepts are listed per type.' },
+      },
+      required: ['type'],
+      ...(catalog && {
+        anyOf: catalog.map(c => ({ properties: { type: { const: c.type }, props: c.schema } })),
+      }),
+    }),
+    run: ({ type, props = {} }, call) => applyOne(call, { op: 'add', type, props }),
+  },
+
+  update_shape: {
+    description: () => "Change a shape's attributes (position, size, style, text…). Accepts the same props as create_shape for its type.",
+    schema: () => ({
+      type: 'object',
+      properties: {
+        id:    { type: 'string', description: 'Shape id' },
+        props: { type: 'object' },
+      },
+      required: ['id', 'props'],
+    }),
+    run: ({ id, props }, call) => applyOne(call, { op: 'update', id, props }),
+  },
+
+  delete_shape: {
+    description: () => 'Remove a shape from the canvas.',
+    schema: () => ({
+      type: 'object',
+      properties: { id: { type: 'string', description: 'Shape id' } },
+      required: ['id'],
+    }),
+    run: ({ id }, call) => applyOne(call, { op: 'delete', id }),
+  },
+
+  connect_shapes: {
+    description: () => 'Draw an arrow from one shape to another and return the arrow id. The arrow stays attached ' +
+      'when either shape moves; props.routing is straight, elbow or curved, props.sourceAnchor / targetAnchor a side or center.',
+    schema: catalog => ({
+      type: 'object',
+      properties: {
+        from:  { type: 'string', description: 'Id of the shape the arrow starts at' },
+        to:    { type: 'string', description: 'Id of the shape the arrow points to' },
+        props: catalog?.find(c => c.type === 'arrow')?.schema ?? { type: 'object' },
+      },
+      required: ['from', 'to'],
+    }),
+    // Bound connectors aren't draggable; the save routes it
+    run: ({ from, to, props = {} }, call) =>
+      applyOne(call, { op: 'add', type: 'arrow', props: { draggable: false, ...props, sourceId: from, targetId: to } }),
+  },
+
+  describe_canvas: {
+    description: () => 'Read the canvas in words: every shape with its id, label and text, what contains what, ' +
+      'arrows as A → B, relative positions and clusters. Start here before editing.',
+    schema: () => ({
+      type: 'object',
+      properties: {
+        maxTokens: { type: 'integer', minimum: 50, default: 2000, description: 'Budget for the description; large boards are summarised to fit.' },
+      },
+    }),
+    run: async ({ maxTokens = 2000 }, call) => text((await call('Export.describe', [{ maxTokens }])).text),
+  },
+
+  get_state: {
+    description: () => 'The whole canvas as a versioned JSON document: every shape with its id, type and attributes, in z-order.',
+    schema: () => ({ type: 'object', properties: {} }),
+    run: async (args, call) => text(await call('Export.getState')),
+  },
+
+  export_png: {
+    description: () => 'Render the canvas to a PNG image.',
+    schema: () => ({ type: 'object', properties: {} }),
+    run: async (args, call) => {
+      const dataURL = await call('Export.asPNG');
+      return { content: [{ type: 'image', mimeType: 'image/png', data: dataURL.replace(/^data:image\/png;base64,/, '') }] };
+    },
+  },
+
+  undo: {
+    description: () => 'Undo the last change.',
+    schema: () => ({ type: 'object', properties: {} }),
+    run: async (args, call) => {
+      await call('History.undo');
+      return text({ canUndo: await call('History.canUndo'), canRedo: await call('History.canRedo') });
+    },
+  },
+
+  redo: {
+    description: () => 'Redo the last undone change.',
+    schema: () => ({ type: 'object', properties: {} }),
+    run: async (args, call) => {
+      await call('History.redo');
+      return text({ canUndo: await call('History.canUndo'), canRedo: await call('History.canRedo') });
+    },
+  },
+};
+
+/**
+ * MCP `tools/list` entries for a Shapes.catalog() (or null).
+ * @returns {Array<{ name: string, description: string, inputSchema: object }>}
+ */
+export function listTools(catalog) {
+  return Object.entries(TOOLS).map(([name, tool]) => ({
+    name,
+    description: tool.description(catalog),
+    inputSchema: tool.schema(catalog),
+  }));
+}
+
+/**
+ * Run a tool. Failures — including RPC errors — become `isError` results,
+ * as MCP expects; only an unknown tool name throws.
+ * @returns {Promise<{ content: object[], isError?: boolean }>}
+ */
+export async function callTool(name, args, call) {
+  const tool = TOOLS[name];
+  if (!tool) throw new Error(`Unknown tool: ${name}`);
+  try {
+    return await tool.run(args ?? {}, call);
+  } catch (err) {
+    return failure(err.message);
+  }
+}
@@ -6,36 +6,103 @@
  *
  * Quick start:
  *   import { CanvasStudio } from './src/CanvasStudio.js';
- *   const studio = new CanvasStudio();
+ *   const studio = new CanvasStudio();                       // whole page
+ *   const board  = new CanvasStudio('#board', { width: 800 }); // mounted
+ *   const model  = new CanvasStudio({ headless: true });       // no DOM chrome
  *
  * Extend:
  *   studio.Shapes.register('cloud', factory)
  *   studio.Animations.register('disco', factory)
  *   studio.Tools.register('stamp', config)
+ *   studio.use({ name: 'stamps', install(ctx) { … } })  // all of the above, undoable
+ *
+ * Teardown:
+ *   studio.destroy()   // removes listeners, injected DOM and the Konva stage
  */
 
 import { EventBus }               from './EventBus.js';
+import { createDom }              from './core/Dom.js';
 import { createCore }             from './core/Core.js';
 import { createHistory }          from './core/History.js';
+import { STATE_SCHEMA, STATE_VERSION } from './core/StateSchema.js';
 import { createTheme }            from './ui/Theme.js';
-import { createUI }               from './ui/UI.js';
-import { createColor }            from './modules/Color.js';
+import { createUI, createHeadlessUI } from './ui/UI.js';
+import { createColor, DEFAULT_PALETTE } from './modules/Color.js';
 import { createInteraction }      from './modules/Interaction.js';
 import { createDrawing }          from './modules/Drawing.js';
 import { createText }             from './modules/Text.js';
 import { createPanZoom }          from './modules/PanZoom.js';
 import { createExport }           from './modules/Export.js';
+import { createAudit }            from './modules/Audit.js';
+import { createProposals }        from './modules/Proposals.js';
+import { createPermissions }      from './modules/Permissions.js';
+import { createQuery }            from './modules/Query.js';
+import { createAgent }            from './modules/Agent.js';
+import { createRpcServer }        from './rpc/RpcServer.js';
+import { createRecorder }         from './modules/Recorder.js';
+import { createPlugins }          from './modules/Plugins.js';
 import { createStickyNote }       from './modules/StickyNote.js';
 import { createImageUpload }      from './modules/ImageUpload.js';
+import { createConnectors }       from './modules/Connectors.js';
+import { createGroups }           from './modules/Groups.js';
+import { createLabels }           from './modules/Labels.js';
 import { createShapeRegistry }    from './registry/ShapeRegistry.js';
 import { createToolRegistry }     from './registry/ToolRegistry.js';
 import { createAnimationRegistry } from './registry/AnimationRegistry.js';
 import { registerBuiltinShapes }  from './shapes/builtins.js';
+import { registerShapeLibrary }   from './shapes/library.js';
 import { registerBuiltinAnimations } from './animations/builtins.js';
 import { registerBuiltinTools, TOOLBAR_ORDER } from './tools/definitions.js';
 
+// Defaults consumers may want to extend when passing options
+export { DEFAULT_PALETTE, TOOLBAR_ORDER, STATE_SCHEMA, STATE_VERSION };
+// Transports for studio.Rpc.attach()
+export { postMessageTransport, webSocketTransport } from './rpc/transports.js';
+export { RpcError, RPC_ERRORS, FORWARDED_EVENTS } from './rpc/RpcServer.js';
+
+/** Panels built on boot; set any to `false` to skip it. */
+const DEFAULT_PANELS = { toolbar: true, colors: true, shapes: true, animations: true, checkpoints: true };
+
 export class CanvasStudio {
-  constructor() {
+  /**
+   * @param {HTMLElement|string|Document} [root=document] Element (or selector) the
+   *   studio lives in. Every module resolves its DOM relative to it. May be
+   *   omitted in favour of passing the options object first.
+   * @param {object}   [options]
+   * @param {boolean}  [options.headless]   Boot only Core, History, Shapes, Animations
+   *   and Export — no panels, listeners or DOM writes (jsdom / node-canvas)
+   * @param {number}   [options.width]      Fixed stage width  (default: tracks canvas area)
+   * @param {number}   [options.height]     Fixed stage height (default: tracks canvas area)
+   * @param {string[]} [options.palette]    Colour swatches (default: DEFAULT_PALETTE)
+   * @param {number}   [options.maxSteps]   History steps kept, across all branches (default: 60)
+   * @param {boolean}  [options.highlightAgentEdits] Outline shapes last touched by an agent
+   *   or remote peer (toggle later with studio.Audit.highlight())
+   * @param {boolean}  [options.suggestionMode] Hold agent and remote edits as proposals
+   *   for review (toggle later with studio.Proposals.enable())
+   * @param {{ policy?: object, regions?: object[] }} [options.permissions] Capability policy
+   *   and protected regions (see studio.Permissions)
+   * @param {string[]} [options.toolbar]    Toolbar order (default: TOOLBAR_ORDER)
+   * @param {Partial<typeof DEFAULT_PANELS>} [options.panels] Which panels to build
+   */
+  constructor(root, options = {}) {
+    // new CanvasStudio({ ...options }) — no root given
+    if (root && typeof root === 'object' && !root.nodeType) { options = root; root = undefined; }
+    const headless = !!options.headless;
+
+    if (!headless) {
+      root ??= document;
+      if (typeof root === 'string') root = document.querySelector(root);
+      if (!root) throw new Error('[CanvasStudio] Root element not found');
+    }
+
+    const opts = {
+      palette:  DEFAULT_PALETTE,
+      maxSteps: 60,
+      toolbar:  TOOLBAR_ORDER,
+      ...options,
+      panels:   { ...DEFAULT_PANELS, ...options.panels },
+    };
+
     /**
      * Shared services object — all modules write here and read from each
      * other lazily (inside methods), avoiding circular import issues.
@@ -46,66 +113,108 @@ export class CanvasStudio {
     // ── 1. Event bus (no deps) ───────────────────────────────────
     svc.events = new EventBus();
 
-    // ── 2. Theme (no deps) ──────────────────────────────────────
-    svc.theme = createTheme(svc);
+    // ── 1b. DOM scope — root-relative element lookup ─────────────
+    // Headless skips every module marked (browser) below.
+    if (!headless) svc.dom = createDom(root);
+    svc.options = opts;
+
+    // ── 2. Theme (browser) ──────────────────────────────────────
+    if (!headless) svc.theme = createTheme(svc);
 
     // ── 3. Core — Konva stage/layer/transformer ──────────────────
-    svc.core = createCore(svc);
+    svc.core = createCore(svc, { width: opts.width, height: opts.height });
 
-    // ── 4. UI — stats, toast, cursors (reads other modules lazily)
-    svc.ui = createUI(svc);
+    // ── 4. UI — stats, toast, cursors (headless: toast events only)
+    svc.ui = headless ? createHeadlessUI(svc) : createUI(svc);
 
-    // ── 5. Color palette ────────────────────────────────────────
-    svc.color = createColor(svc);
+    // ── 5. Color palette (browser) ──────────────────────────────
+    if (!headless) svc.color = createColor(svc, { palette: opts.palette });
 
-    // ── 6. Interaction — hover/select/drag ──────────────────────
-    svc.interaction = createInteraction(svc);
+    // ── 6. Interaction — hover/select/drag (browser) ────────────
+    if (!headless) svc.interaction = createInteraction(svc);
 
-    // ── 7. Drawing — pencil + drag-draw ─────────────────────────
-    svc.drawing = createDrawing(svc);
+    // ── 7. Drawing — pencil + drag-draw (browser) ───────────────
+    if (!headless) svc.drawing = createDrawing(svc);
 
     // ── 8. Shape Registry ───────────────────────────────────────
     svc.shapes = createShapeRegistry(svc);
 
-    // ── 9. Tool Registry ────────────────────────────────────────
-    svc.tools = createToolRegistry(svc);
+    // ── 8b. Connectors — arrows/lines bound to shapes ───────────
+    svc.connectors = createConnectors(svc);
+
+    // ── 8c. Groups — nested groups of shapes ────────────────────
+    svc.groups = createGroups(svc);
+
+    // ── 8d. Labels — text inside closed shapes ──────────────────
+    svc.labels = createLabels(svc);
+
+    // ── 9. Tool Registry (browser) ──────────────────────────────
+    if (!headless) svc.tools = createToolRegistry(svc);
 
     // ── 10. Animation Registry ──────────────────────────────────
     svc.animations = createAnimationRegistry(svc);
 
-    // ── 11. Text module ─────────────────────────────────────────
-    svc.text = createText(svc);
+    // ── 11. Text module (browser) ───────────────────────────────
+    if (!headless) svc.text = createText(svc);
 
-    // ── 12. Sticky notes ────────────────────────────────────────
-    svc.sticky = createStickyNote(svc);
+    // ── 12. Sticky notes (browser) ──────────────────────────────
+    if (!headless) svc.sticky = createStickyNote(svc);
 
-    // ── 13. Image upload ────────────────────────────────────────
-    svc.imageUpload = createImageUpload(svc);
+    // ── 13. Image upload (browser) ──────────────────────────────
+    if (!headless) svc.imageUpload = createImageUpload(svc);
 
-    // ── 14. Pan / Zoom ──────────────────────────────────────────
-    svc.panzoom = createPanZoom(svc);
+    // ── 14. Pan / Zoom (browser) ────────────────────────────────
+    if (!headless) svc.panzoom = createPanZoom(svc);
 
     // ── 15. Export ──────────────────────────────────────────────
     svc.export = createExport(svc);
 
     // ── 16. History (depends on all others being ready) ─────────
-    svc.history = createHistory(svc);
+    svc.history = createHistory(svc, { maxSteps: opts.maxSteps });
+
+    // ── 17. Audit (who changed what, from history steps) ───────
+    svc.audit = createAudit(svc, { highlight: !!opts.highlightAgentEdits });
+
+    // ── 18. Proposals (suggestion mode, fed by history saves) ───
+    svc.proposals = createProposals(svc, { enabled: !!opts.suggestionMode });
+
+    // ── 19. Query (spatial index, synced lazily) ────────────────
+    svc.query = createQuery(svc);
+
+    // ── 20. Permissions (locks, regions, policy; History asks) ──
+    svc.permissions = createPermissions(svc, opts.permissions);
+
+    // ── 21. Agent (validated op batches over shapes + history) ──
+    svc.agent = createAgent(svc);
+
+    // ── 22. JSON-RPC server (transports attach on demand) ───────
+    svc.rpc = createRpcServer(svc);
+
+    // ── 23. Recorder (session scripts from events + API calls) ──
+    svc.recorder = createRecorder(svc);
+
+    // ── 24. Plugins (scoped registrations over the modules above) ─
+    svc.plugins = createPlugins(svc, this);
 
     // ── Register built-ins ──────────────────────────────────────
     registerBuiltinShapes(svc);
+    registerShapeLibrary(svc);
     registerBuiltinAnimations(svc);
-    registerBuiltinTools(svc);
+    if (!headless) {
+      registerBuiltinTools(svc);
 
-    // ── Build toolbar from registry ─────────────────────────────
-    svc.tools.initToolbar(TOOLBAR_ORDER);
+      // ── Build toolbar from registry ───────────────────────────
+      if (opts.panels.toolbar)    svc.tools.initToolbar(opts.toolbar);
 
-    // ── Build panel UI ──────────────────────────────────────────
-    svc.color.initPalette('color-grid');
-    svc.shapes.initQuickPanel('shape-grid');
-    svc.animations.initPanel('anim-grid');
+      // ── Build panel UI ────────────────────────────────────────
+      if (opts.panels.colors)     svc.color.initPalette('color-grid');
+      if (opts.panels.shapes)     svc.shapes.initQuickPanel('shape-grid');
+      if (opts.panels.animations) svc.animations.initPanel('anim-grid');
+      if (opts.panels.checkpoints) svc.history.initPanel('checkpoint-list');
 
-    // ── Keyboard shortcuts ──────────────────────────────────────
-    this._initKeyboard(svc);
+      // ── Keyboard shortcuts ────────────────────────────────────
+      this._initKeyboard(svc);
+    }
 
     // ── Initial state snapshot ──────────────────────────────────
     svc.history.save();
@@ -113,34 +222,56 @@ export class CanvasStudio {
 
     this._svc = svc;
 
-    console.group('🎨 AgentDraw canvas v1.0.0');
-    console.log('Public API:  studio.{ Shapes, Tools, Animations, Colors, History, PanZoom, Export, Theme, Events }');
-    console.log('Add shape:   studio.Shapes.create("rect", { x:200, y:150, width:120, height:80 })');
-    console.log('Custom anim: studio.Animations.register("disco", factory)');
-    console.log('Custom tool: studio.Tools.register("stamp", config)');
-    console.log('Docs:        ./docs/API.md');
-    console.log('%cMade with ❤️ by Mehul Ligade', 'color: #ff6b6b; font-weight: bold;');
-    console.log('%cGithub: github.com/mehulcode12', 'color: #33f2e5; font-weight: bold;');
-    console.groupEnd();
+    // ── Plugins from options (toolbar and panels are up) ────────
+    (opts.plugins ?? []).forEach(plugin => svc.plugins.use(plugin));
+
+    // The console banner is for people at a browser's devtools
+    if (!headless) {
+      console.group('🎨 AgentDraw canvas v1.0.0');
+      console.log('Public API:  studio.{ Shapes, Tools, Animations, Colors, History, PanZoom, Export, Query, Agent, Audit, Proposals, Permissions, Recorder, Plugins, Rpc, Theme, Events }');
+      console.log('Add shape:   studio.Shapes.create("rect", { x:200, y:150, width:120, height:80 })');
+      console.log('Custom anim: studio.Animations.register("disco", factory)');
+      console.log('Custom tool: studio.Tools.register("stamp", config)');
+      console.log('Plugin:      studio.use({ name, install(ctx) { … } })');
+      console.log('Docs:        ./docs/API.md');
+      console.log('%cMade with ❤️ by Mehul Ligade', 'color: #ff6b6b; font-weight: bold;');
+      console.log('%cGithub: github.com/mehulcode12', 'color: #33f2e5; font-weight: bold;');
+      console.groupEnd();
+    }
 
     svc.ui.toast('AgentDraw canvas ready ✦', 2500);
   }
 
   _initKeyboard(svc) {
-    document.addEventListener('keydown', e => {
+    svc.dom.listen(document, 'keydown', e => {
+      if (!svc.dom.isActive()) return;
       if (e.target.matches('textarea,input')) return;
+      if (svc.plugins.keydown(e)) { e.preventDefault(); return; }
       const cmd = e.ctrlKey || e.metaKey;
 
       if (cmd && e.key === 'z' && !e.shiftKey) { e.preventDefault(); svc.history.undo(); return; }
       if (cmd && (e.key === 'Z' || (e.key === 'z' && e.shiftKey))) { e.preventDefault(); svc.history.redo(); return; }
       if (cmd && e.key === 'd') { e.preventDefault(); svc.shapes.duplicate(); return; }
       if (cmd && e.key === '0') { e.preventDefault(); svc.panzoom.resetZoom(); return; }
+      if (cmd && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        if (e.shiftKey) svc.shapes.ungroup(); else svc.shapes.group();
+        return;
+      }
+      if (cmd && e.key === 'l' && svc.interaction.selected()) {
+        e.preventDefault();
+        // The selection follows the shape selected last
+        const locked = !svc.interaction.selected().getAttr('locked');
+        svc.history.batch(() => svc.interaction.selection().forEach(s => svc.permissions.lock(s, locked)));
+        svc.ui.toast(locked ? 'Locked' : 'Unlocked');
+        return;
+      }
       if ((e.key === 'Delete' || e.key === 'Backspace') && svc.interaction.selected()) {
         e.preventDefault(); svc.shapes.deleteSelected(); return;
       }
       if (!cmd && (e.key === '=' || e.key === '+')) { svc.panzoom.zoom(0.15); return; }
       if (!cmd && (e.key === '-' || e.key === '_')) { svc.panzoom.zoom(-0.15); return; }
-      if (e.key === 'Escape') svc.interaction.deselect();
+      if (e.key === 'Escape' && !svc.interaction.exit()) svc.interaction.deselect();
 
       if (!cmd) {
         const MAP = {
@@ -154,6 +285,34 @@ export class CanvasStudio {
     });
   }
 
+  /**
+   * Install a plugin (see modules/Plugins.js). Chainable.
+   * @returns {this}
+   */
+  use(plugin) {
+    this._svc.plugins.use(plugin);
+    return this;
+  }
+
+  /**
+   * Tear the studio down: stop animations, unregister every page listener,
+   * remove injected DOM, destroy the Konva stage and clear the EventBus.
+   * Emits 'studio:destroy' before anything is torn down. Safe to call twice.
+   */
+  destroy() {
+    const svc = this._svc;
+    if (!svc || svc.destroyed) return;
+
+    svc.events.emit('studio:destroy');
+    svc.animations.stopAll(true);
+    svc.panzoom?.destroy();
+    svc.ui.destroy();
+    svc.dom?.destroy();
+    svc.core.destroy();
+    svc.events.clear();
+    svc.destroyed = true;
+  }
+
   // ══════════════════════════════════════════════════════════════
   //  PUBLIC API 
   // ══════════════════════════════════════════════════════════════
@@ -164,10 +323,14 @@ export class CanvasStudio {
   /** Shape factory + operations */
   get Shapes() {
     const s = this._svc.shapes;
-    return {
+    return this._svc.recorder.trace('Shapes', {
       create:         s.create.bind(s),
       quickAdd:       s.quickAdd.bind(s),
       register:       s.register.bind(s),
+      catalog:        s.catalog.bind(s),
+      connect:        s.connect.bind(s),
+      group:          s.group.bind(s),
+      ungroup:        s.ungroup.bind(s),
       duplicate:      s.duplicate.bind(s),
       deleteSelected: s.deleteSelected.bind(s),
       clearAll:       s.clearAll.bind(s),
@@ -181,52 +344,87 @@ export class CanvasStudio {
       selectById:     s.selectById.bind(s),
       updateById:     s.updateById.bind(s),
       listIds:        s.listIds.bind(s),
-    };
+    });
   }
 
-  /** Tool system */
+  /** Tool system (null when headless) */
   get Tools() {
     const t = this._svc.tools;
-    return {
+    if (!t) return null;
+    return this._svc.recorder.trace('Tools', {
       set:      t.setActive.bind(t),
       current:  t.active.bind(t),
+      list:     t.list.bind(t),
       register: t.register.bind(t),
-    };
+    });
   }
 
   /** Animation engine */
   get Animations() {
     const a = this._svc.animations;
-    return {
+    return this._svc.recorder.trace('Animations', {
       apply:       a.apply.bind(a),
       stopAll:     a.stopAll.bind(a),
       animateAll:  a.animateAll.bind(a),
       stopFor:     a.stopForShape.bind(a),
       register:    a.register.bind(a),
-    };
+    });
   }
 
-  /** Color palette */
+  /** Color palette (null when headless) */
   get Colors() {
     const c = this._svc.color;
-    return { current: c.current.bind(c), set: c.set.bind(c) };
+    if (!c) return null;
+    return this._svc.recorder.trace('Colors', { current: c.current.bind(c), set: c.set.bind(c) });
   }
 
-  /** Undo / redo */
+  /** Undo / redo, branches and checkpoints */
   get History() {
     const h = this._svc.history;
-    return { 
+    return this._svc.recorder.trace('History', {
       undo: h.undo.bind(h), 
       redo: h.redo.bind(h), 
       save: h.save.bind(h),
       batch: h.batch.bind(h),  // Agent-ready API
-    };
+      transaction: h.transaction.bind(h),
+      checkpoint: h.checkpoint.bind(h),
+      list:       h.list.bind(h),
+      goto:       h.goto.bind(h),
+      as:         h.as.bind(h),
+      actor:      h.actor.bind(h),
+    });
+  }
+
+  /** Audit log — actor-attributed changes */
+  get Audit() {
+    const a = this._svc.audit;
+    return { entries: a.entries, asJSON: a.asJSON, clear: a.clear, highlight: a.highlight };
+  }
+
+  /** Locks, protected regions and per-actor capabilities */
+  get Permissions() {
+    const p = this._svc.permissions;
+    return this._svc.recorder.trace('Permissions', {
+      lock: p.lock, unlock: p.unlock, setAgentReadOnly: p.setAgentReadOnly, isLocked: p.isLocked,
+      protect: p.protect, unprotect: p.unprotect, regions: p.regions, policy: p.policy,
+      can: p.can, check: p.check,
+    });
+  }
+
+  /** Suggestion mode — agent edits held for review */
+  get Proposals() {
+    const p = this._svc.proposals;
+    return this._svc.recorder.trace('Proposals', {
+      enable: p.enable, enabled: p.enabled, list: p.list,
+      accept: p.accept, reject: p.reject, acceptAll: p.acceptAll, rejectAll: p.rejectAll,
+    });
   }
 
-  /** Pan / zoom */
+  /** Pan / zoom (null when headless) */
   get PanZoom() {
     const p = this._svc.panzoom;
-    return { zoom: p.zoom.bind(p), reset: p.resetZoom.bind(p), fit: p.fitScreen.bind(p) };
+    if (!p) return null;
+    return this._svc.recorder.trace('PanZoom', { zoom: p.zoom.bind(p), reset: p.resetZoom.bind(p), fit: p.fitScreen.bind(p) });
   }
 
   /** Export */
@@ -239,12 +437,56 @@ export class CanvasStudio {
       
       getState: e.getState.bind(e),
       loadState: e.loadState.bind(e),
+      validate: e.validate.bind(e),
+      describe: e.describe.bind(e),
+      schema: e.schema,
     };
   }
 
-  /** Theme */
+  /** Find shapes by attributes and position */
+  get Query() {
+    const q = this._svc.query;
+    return {
+      find:         q.find,
+      shapesAt:     q.shapesAt,
+      shapesInRect: q.shapesInRect,
+      nearest:      q.nearest,
+      overlapping:  q.overlapping,
+      bounds:       q.bounds,
+    };
+  }
+
+  /** Validated, atomic batches of shape operations */
+  get Agent() {
+    const a = this._svc.agent;
+    return this._svc.recorder.trace('Agent', { applyOps: a.applyOps, types: a.types, schema: a.schema });
+  }
+
+  /** Session recording and playback */
+  get Recorder() {
+    const r = this._svc.recorder;
+    return {
+      start: r.start, stop: r.stop, mark: r.mark, recording: r.recording,
+      play: r.play, playing: r.playing, asJSON: r.asJSON,
+    };
+  }
+
+  /** Installed plugins */
+  get Plugins() {
+    const p = this._svc.plugins;
+    return { use: p.use, uninstall: p.uninstall, list: p.list, has: p.has };
+  }
+
+  /** JSON-RPC 2.0 server for external control */
+  get Rpc() {
+    const r = this._svc.rpc;
+    return { handle: r.handle, attach: r.attach, expose: r.expose, methods: r.methods };
+  }
+
+  /** Theme (null when headless) */
   get Theme() {
     const t = this._svc.theme;
+    if (!t) return null;
     return { toggle: t.toggle.bind(t), mode: t.mode.bind(t) };
   }
 
@@ -6,34 +6,115 @@
  *   bus.emit('shapeAdded', shape)
  *   bus.off('shapeAdded', handler)
  *   const unsub = bus.once('ready', handler)  // auto-unsubscribes after first call
+ *
+ *   bus.on('shape:*', (event, payload) => { })  // every 'shape:…' event
+ *   bus.on('*',       (event, ...args) => { })   // every event
+ *   bus.on('selection:change', handler, { priority: 10 })  // runs before priority 0
+ *   await bus.emitAsync('saved', doc)            // waits for async listeners
+ *
+ * Wildcard listeners get the event's name first, then its arguments.
+ * Listeners run by priority, highest first, then in the order they were
+ * added. A function listens to an event once: adding it again only sets
+ * its priority, and one off() removes it. One that throws doesn't stop
+ * the rest: the error is emitted as 'error' — { event, error } — and
+ * logged if nothing listens for it.
+ *
+ * Events named 'before:…' can be cancelled: a listener that returns false
+ * stops the remaining listeners, and emit() returns false.
  */
 export class EventBus {
   constructor() {
-    /** @type {Map<string, Set<Function>>} */
+    /** @type {Map<string, Array<{ fn: Function, priority: number, seq: number }>>} */
     this._listeners = new Map();
+    this._seq = 0;
   }
 
-  on(event, fn) {
-    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
-    this._listeners.get(event).add(fn);
+  /**
+   * @param {string}   event  A name, 'prefix:*' or '*'
+   * @param {Function} fn
+   * @param {{ priority?: number }} [options]
+   * @returns {() => void} unsubscribe
+   */
+  on(event, fn, { priority = 0 } = {}) {
+    const list = this._listeners.get(event) ?? [];
+    const entry = list.find(l => l.fn === fn);
+    if (entry) entry.priority = priority;
+    else list.push({ fn, priority, seq: this._seq++ });
+    this._listeners.set(event, list);
     return () => this.off(event, fn); // returns unsubscribe fn
   }
 
   off(event, fn) {
-    this._listeners.get(event)?.delete(fn);
+    const list = this._listeners.get(event);
+    if (!list) return;
+    const i = list.findIndex(l => l.fn === fn);
+    if (i >= 0) list.splice(i, 1);
+    if (!list.length) this._listeners.delete(event);
   }
 
-  once(event, fn) {
-    const wrapper = (...args) => { fn(...args); this.off(event, wrapper); };
-    return this.on(event, wrapper);
+  once(event, fn, options) {
+    const wrapper = (...args) => { this.off(event, wrapper); return fn(...args); };
+    return this.on(event, wrapper, options);
   }
 
+  /**
+   * Call the listeners of `event` in order.
+   * @returns {boolean} false if a listener cancelled a 'before:…' event
+   */
   emit(event, ...args) {
-    this._listeners.get(event)?.forEach(fn => fn(...args));
+    const cancelable = event.startsWith('before:');
+    for (const { fn, wildcard } of this._matching(event)) {
+      let result;
+      try {
+        result = wildcard ? fn(event, ...args) : fn(...args);
+      } catch (error) {
+        this._failed(event, error);
+        continue;
+      }
+      if (cancelable && result === false) return false;
+    }
+    return true;
+  }
+
+  /**
+   * emit(), awaiting each listener before calling the next.
+   * @returns {Promise<boolean>} false if a listener cancelled a 'before:…' event
+   */
+  async emitAsync(event, ...args) {
+    const cancelable = event.startsWith('before:');
+    for (const { fn, wildcard } of this._matching(event)) {
+      let result;
+      try {
+        result = await (wildcard ? fn(event, ...args) : fn(...args));
+      } catch (error) {
+        this._failed(event, error);
+        continue;
+      }
+      if (cancelable && result === false) return false;
+    }
+    return true;
   }
 
   clear(event) {
     if (event) this._listeners.delete(event);
     else this._listeners.clear();
   }
+
+  /** Listeners for `event` and every wildcard matching it, in call order. */
+  _matching(event) {
+    const out = [];
+    this._listeners.forEach((list, pattern) => {
+      const wildcard = pattern !== event;
+      if (wildcard && !(pattern === '*' || (pattern.endsWith(':*') && event.startsWith(pattern.slice(0, -1))))) return;
+      list.forEach(l => out.push({ ...l, wildcard }));
+    });
+    return out.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+  }
+
+  _failed(event, error) {
+    if (event === 'error' || !this._listeners.has('error')) {
+      console.error(`[EventBus] A '${event}' listener threw:`, error);
+    }
+    if (event !== 'error') this.emit('error', { event, error });
+  }
 }
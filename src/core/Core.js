@@ -2,18 +2,34 @@
  * Core — initialises Konva stage, main layer, and transformer.
  * All other modules access Konva primitives through services.core.
  *
+ * `overlay` is a layer above the document for indicators that follow
+ * shapes (actor badges, proposal ghosts…). It shares the stage's pan /
+ * zoom, is never saved and is hidden while exporting. Only what opts in
+ * listens there (proposal buttons); give everything else `listening: false`
+ * so clicks reach the shapes beneath.
+ *
+ * The stage mounts into the studio's `konva-container` (created inside
+ * `canvas-area` if the markup doesn't provide one). Pass a fixed `width` /
+ * `height` to opt out of tracking the area's size.
+ *
+ * Headless (no services.dom): the stage gets a detached container when a
+ * `document` exists (jsdom) and none under plain Node / node-canvas. It is
+ * never attached to the page and defaults to 800×600.
+ *
  * Emits:
  *   'core:resize' — when the stage resizes
  */
-export function createCore(services) {
-  const { events } = services;
-  const container  = document.getElementById('konva-container');
-  const area       = document.getElementById('canvas-area');
+export function createCore(services, { width, height } = {}) {
+  const { events, dom } = services;
+  const area       = dom ? (dom.get('canvas-area') || dom.body) : null;
+  const container  = dom
+    ? dom.ensure('konva-container', 'div', area)
+    : globalThis.document?.createElement('div');
 
   const stage = new Konva.Stage({
-    container: 'konva-container',
-    width:  area.offsetWidth,
-    height: area.offsetHeight,
+    ...(container && { container }),
+    width:  width  ?? (area ? area.offsetWidth  : 800),
+    height: height ?? (area ? area.offsetHeight : 600),
   });
 
   const layer = new Konva.Layer();
@@ -59,9 +75,12 @@ export function createCore(services) {
   });
   layer.add(tr);
 
-  window.addEventListener('resize', () => {
-    stage.width(area.offsetWidth);
-    stage.height(area.offsetHeight);
+  const overlay = new Konva.Layer({ name: 'overlay' });
+  stage.add(overlay);
+
+  dom?.listen(window, 'resize', () => {
+    stage.width(width   ?? area.offsetWidth);
+    stage.height(height ?? area.offsetHeight);
     updateWatermarkPosition();  // Reposition watermark on resize
     layer.batchDraw();
     events.emit('core:resize');
@@ -71,10 +90,13 @@ export function createCore(services) {
     stage,
     layer,
     tr,
+    overlay,
+    area,       // Host element for HTML overlays (text editor, stickies)
     watermark,  // Expose for modules to keep at bottom
     /** @returns {Konva.Vector2d|null} */
     pointer: () => stage.getRelativePointerPosition(),
     width:   () => stage.width(),
     height:  () => stage.height(),
+    destroy: () => stage.destroy(),
   };
 }
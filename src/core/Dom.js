@@ -0,0 +1,92 @@
+/**
+ * Dom — resolves a studio's DOM relative to its root element, so several
+ * studios can live on the same page without fighting over global IDs.
+ *
+ * Elements are looked up by `data-cs="<ref>"` first and by `id="<ref>"` as a
+ * fallback, so the stock index.html markup keeps working unchanged:
+ *   dom.get('toolbar')   // <nav data-cs="toolbar"> or <nav id="toolbar">
+ *
+ * Modules that need an element the markup doesn't provide create it with
+ * dom.ensure(ref, tag, parent) — it gets `data-cs="<ref>"` so the stylesheet
+ * still applies.
+ *
+ * Lifecycle: page-level listeners go through dom.listen(), injected nodes
+ * through dom.track() (ensure() tracks what it creates) and timers through
+ * dom.timeout(), so dom.destroy() can undo everything the studio did to the
+ * page — no late callback reaches a torn-down studio.
+ */
+export function createDom(root = document) {
+  const isDocument = root === document;
+  /** Element that receives theme attributes (`data-theme`). */
+  const el   = isDocument ? document.documentElement : root;
+  /** Fallback parent for generated elements. */
+  const body = isDocument ? document.body : root;
+
+  /** @type {Array<() => void>} */
+  const _listeners = [];
+  /** @type {Set<Node>} */
+  const _injected  = new Set();
+  /** @type {Set<number>} */
+  const _timers    = new Set();
+
+  function listen(target, type, fn, options) {
+    target.addEventListener(type, fn, options);
+    const off = () => target.removeEventListener(type, fn, options);
+    _listeners.push(off);
+    return off;
+  }
+
+  function track(node) {
+    _injected.add(node);
+    return node;
+  }
+
+  /** setTimeout() that destroy() cancels. */
+  function timeout(fn, ms) {
+    const id = setTimeout(() => {
+      _timers.delete(id);
+      fn();
+    }, ms);
+    _timers.add(id);
+    return id;
+  }
+
+  // A page-level shortcut only belongs to the studio the user last touched.
+  let _active = isDocument;
+  listen(document, 'pointerdown', e => {
+    _active = isDocument || root.contains(e.target);
+  }, true);
+
+  function get(ref) {
+    return root.querySelector(`[data-cs="${ref}"]`) || root.querySelector(`#${ref}`);
+  }
+
+  function all(selector) {
+    return root.querySelectorAll(selector);
+  }
+
+  function ensure(ref, tag, parent = body) {
+    const existing = get(ref);
+    if (existing) return existing;
+    const node = document.createElement(tag);
+    node.dataset.cs = ref;
+    parent.appendChild(node);
+    return track(node);
+  }
+
+  function destroy() {
+    _listeners.splice(0).forEach(off => off());
+    _timers.forEach(id => clearTimeout(id));
+    _timers.clear();
+    _injected.forEach(node => node.remove());
+    _injected.clear();
+    _active = false;
+  }
+
+  return {
+    root, el, body, get, all, ensure,
+    listen, track, timeout, destroy,
+    /** @returns {boolean} true if the last pointer interaction was inside this studio */
+    isActive: () => _active,
+  };
+}
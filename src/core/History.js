@@ -1,125 +1,713 @@
 /**
- * History — undo / redo using JSON snapshots of the Konva layer.
- * Max stack depth is configurable (default 60).
+ * History — undo / redo built on invertible operations, kept as a tree.
+ * Max number of steps kept is configurable (default 60).
+ *
+ * Modules keep calling save() after they mutate the layer. Instead of
+ * serialising the whole layer, save() diffs the live node tree against a
+ * baseline (one attrs copy per node) and records only what changed:
+ *
+ *   { type: 'add',     node, parent, index }
+ *   { type: 'remove',  node, parent, index, attrs }
+ *   { type: 'reorder', node, parent, from, to }
+ *   { type: 'update',  node, before: { key: old }, after: { key: new } }
+ *
+ * Entries hold node references, so undo/redo re-attach or patch the very same
+ * nodes — selection, event handlers and sticky overlays survive, and memory
+ * grows with the size of each change rather than the size of the scene.
+ * Shapes must therefore be detached with remove(), not destroy(), so they
+ * can come back; History destroys them once no entry can restore them.
+ *
+ * Attrs that are mid-tween or mid-animation are recorded at their resting
+ * value, so an entrance tween or a running preset never leaks into an entry.
+ *
+ * Steps form a tree: saving after an undo starts a new branch instead of
+ * discarding the redo path, so every alternative stays reachable with
+ * goto(id). checkpoint(name) labels the current step. Once the tree outgrows
+ * maxSteps, abandoned branches are pruned first, then the oldest steps of
+ * the current line; named checkpoints go last.
+ *
+ * transaction(async fn) turns everything fn saves — including saves made
+ * later by tweens, timers or image loads — into a single step, or rolls the
+ * canvas back if fn throws. Modules that save asynchronously take a
+ * defer() handle first and release it after their save, so a transaction
+ * knows when the canvas has settled. Like as(), a transaction holds only
+ * what fn does synchronously, what it saves through the run() it is
+ * passed, and deferred work taken in either: other saves made while it
+ * awaits — the user dragging a shape — are steps of their own, and a
+ * rollback leaves them be. Transactions started outside one wait for the
+ * open one to end; one started inside it joins it.
+ *
+ * Every step records who made it. Saves are attributed to 'user' unless
+ * they happen inside as(actor, fn) — `agent:<name>` for Agent.applyOps,
+ * `remote:<peer>` for RPC calls — or through the run() of a defer() taken
+ * inside one. as() holds the actor only while fn runs synchronously: work
+ * it awaits doesn't inherit it, so the user's edits in the meantime stay
+ * the user's. Saving stamps the actor on the shapes it touched as
+ * `createdBy` / `updatedBy` attrs, recorded in the step itself, so undo
+ * puts the previous values back and the state document keeps them.
+ *
+ * Saves by agents and remote peers go through services.permissions first:
+ * one that changes what its actor may not is rolled back, and save() throws
+ * the PermissionError.
+ *
+ * In suggestion mode (Proposals) a save by an actor other than the user
+ * records no step: the canvas is put back as it was and the ops are handed
+ * to services.proposals, which applies them with apply() once accepted.
+ *
+ * Before it diffs, save() has services.connectors reroute arrows and lines
+ * bound to shapes that moved, so they change in the same step.
+ *
+ * A save about to be recorded emits 'before:shape:add' / … / 'before:shape:reorder'
+ * first (core/ShapeEvents.js). If a listener cancels, the canvas is put back;
+ * a save by the user toasts, any other throws.
  *
  * Emits:
- *   'history:change' — { canUndo, canRedo } 
+ *   'history:change' — { canUndo, canRedo, current }
+ *   'history:commit' — { action: 'save' | 'undo' | 'redo', step, actor, time, ops }
+ *                      for each step saved, undone or redone (ops hold nodes)
+ *   'history:patch'  — { action, step, actor, time, patch } the same, as JSON:
+ *                      what the canvas just went through (core/Patch.js)
+ *   'shape:add' / 'shape:update' / 'shape:remove' / 'shape:reorder'
+ *                    — per shape, for each of those steps (core/ShapeEvents.js)
  *    <!-- Made with ❤️ by Mehul Ligade -->
  */
 
+import { toPatch } from './Patch.js';
+import { emitShapeEvents } from './ShapeEvents.js';
+
+const ACTOR = /^(user|agent:.+|remote:.+)$/;
+
 export function createHistory(services, { maxSteps = 60 } = {}) {
   const { events } = services;
-  let stack  = [];
-  let cursor = -1;
-  let _batching = false;  // When true, suppress intermediate saves
-  let _uuidStack = [];  // Parallel stack for UUID mappings
+
+  /**
+   * @typedef {object} Step
+   * @property {number}      id
+   * @property {Step|null}   parent
+   * @property {Step[]}      children  In creation order
+   * @property {object[]}    ops       Replayed to go from parent to this step
+   * @property {number}      time
+   * @property {string|null} actor     'user', 'agent:<name>' or 'remote:<peer>'; null for the root
+   * @property {string|null} name      Set by checkpoint()
+   * @property {Step|null}   redo      Child that redo() enters — the last one visited
+   */
+  let _seq = 0;
+  const _step = (parent, ops, actor = null) => ({
+    id: _seq++, parent, children: [], ops, time: Date.now(), actor, name: null, redo: null,
+  });
+
+  let root = _step(null, []);  // the state History was created on
+  let head = root;             // the state the canvas is in
+  /** @type {Map<number, Step>} insertion order = creation order */
+  const _steps = new Map([[root.id, root]]);
+  let _batching = false;       // When true, suppress intermediate saves
+  /**
+   * @typedef {object} Txn
+   * @property {string}    actor
+   * @property {object[]}  ops     Its saves so far, in order — not in the tree yet
+   * @property {Map<Promise<void>, () => void>} holds  deferred work that will still save → its release
+   * @property {Promise<void>} closed  Resolves when it ends
+   */
+  /** @type {Txn|null} the open transaction */
+  let _open     = null;
+  /** @type {Txn|null} the transaction the running code belongs to */
+  let _txn      = null;
+  let _actor    = null;        // Set by as() while its fn runs
+  let _destroyed = false;
+
+  /** @type {Map<Konva.Node, { attrs: object, parent: Konva.Container, index: number }>} */
+  const _baseline = new Map();
 
   function _notify() {
-    events.emit('history:change', { canUndo: cursor > 0, canRedo: cursor < stack.length - 1 });
-  }
-
-  function _snapshot() {
-    const { core, animations, shapes } = services;
-    // Hide transformer and watermark while snapshotting to get clean JSON
-    const nodes = core.tr.nodes();
-    core.tr.nodes([]);
-    const watermarkVisible = core.watermark ? core.watermark.visible() : true;
-    if (core.watermark) core.watermark.visible(false);
-    const json = core.layer.toJSON();
-    core.tr.nodes(nodes);
-    if (core.watermark) core.watermark.visible(watermarkVisible);
-    
-    // Save UUID to Konva _id mapping
-    const uuidMap = {};
-    if (shapes && shapes.shapeMap) {
-      shapes.shapeMap.forEach((shape, uuid) => {
-        uuidMap[uuid] = shape._id;  // Map UUID to Konva's internal _id
-      });
+    events.emit('history:change', { canUndo: head !== root, canRedo: head.children.length > 0, current: head.id });
+  }
+
+  /** Who the next save is by: the enclosing as(), else the user. */
+  const _currentActor = () => _actor ?? 'user';
+
+  function _commit(action, step) {
+    const commit = { action, step: step.id, actor: _currentActor(), time: Date.now() };
+    events.emit('history:commit', { ...commit, ops: step.ops });
+    events.emit('history:patch', { ...commit, patch: toPatch(services, step.ops, { inverse: action === 'undo' }) });
+    emitShapeEvents(services, step.ops, { inverse: action === 'undo', action, actor: commit.actor });
+  }
+
+  // ── Tree walking ──────────────────────────────────────────────
+
+  /** Document children of `parent` — the layer minus transformer & watermark. */
+  function _children(parent) {
+    const { core } = services;
+    return parent.getChildren(n => n !== core.tr && n !== core.watermark);
+  }
+
+  /** Every tracked node below `parent`, depth-first, with its parent & index. */
+  function _walk(parent, out = new Map()) {
+    _children(parent).forEach((node, index) => {
+      out.set(node, { parent, index });
+      if (node.getChildren) _walk(node, out);
+    });
+    return out;
+  }
+
+  function _copy(v) {
+    if (Array.isArray(v)) return v.slice();
+    if (v && typeof v === 'object' && v.constructor === Object) return { ...v };
+    return v;
+  }
+
+  function _equal(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((v, i) => _equal(v, b[i]));
     }
-    
-    return { json, uuidMap };
+    if (a && b && typeof a === 'object' && typeof b === 'object'
+        && a.constructor === Object && b.constructor === Object) {
+      const ka = Object.keys(a), kb = Object.keys(b);
+      return ka.length === kb.length && ka.every(k => _equal(a[k], b[k]));
+    }
+    return false;
   }
 
-  function _restore(snapshot) {
-    const { core, interaction, animations, shapes } = services;
-    animations.stopAll(true);  // Silent - don't show toast during undo/redo
-    
-    // Clear the shape map before restoring
-    if (shapes && shapes.shapeMap) {
-      shapes.shapeMap.clear();
+  /** @type {Map<string, Konva.Node|null>} one pristine instance per class */
+  const _probes = new Map();
+
+  /** Konva's default for `key` — an unset attr and its default are the same value. */
+  function _default(node, key) {
+    const cls = node.getClassName();
+    if (!_probes.has(cls)) _probes.set(cls, Konva[cls] ? new Konva[cls]() : null);
+    return _probes.get(cls)?.getAttr(key);
+  }
+
+  /**
+   * A node's attrs as they will be once it settles: tweened keys take their
+   * end value, animated shapes their pre-animation value.
+   */
+  function _settled(node) {
+    const attrs = {};
+    Object.entries(node.getAttrs()).forEach(([k, v]) => { attrs[k] = _copy(v); });
+
+    const tweening = Konva.Tween.tweens[node._id];
+    if (tweening) {
+      Object.entries(tweening).forEach(([key, tweenId]) => {
+        const t = Konva.Tween.attrs[node._id]?.[tweenId]?.[key];
+        if (t) attrs[key] = _copy(t.trueEnd ?? t.end);
+      });
     }
-    
-    // Disable listening during restoration to prevent premature draw calls
-    core.layer.listening(false);
-    
-    const parsed = Konva.Node.create(snapshot.json);
-    core.layer.destroyChildren();
-    
-    // Add children without triggering interactions yet
-    parsed.getChildren().forEach(child => {
-      core.layer.add(child);
-      
-      // Restore UUID mapping using the saved UUID map
-      if (snapshot.uuidMap && shapes && shapes.shapeMap) {
-        for (const [uuid, konvaId] of Object.entries(snapshot.uuidMap)) {
-          if (child._id === konvaId) {
-            child._publicId = uuid;
-            shapes.shapeMap.set(uuid, child);
-            break;
-          }
-        }
+
+    const resting = services.animations?.restingAttrs(node);
+    if (resting) Object.assign(attrs, resting);
+    return attrs;
+  }
+
+  // ── Diff ──────────────────────────────────────────────────────
+
+  function _diff() {
+    const { core } = services;
+    const current = _walk(core.layer);
+    const ops = [];
+    // Nodes that only travel inside a container being added / removed
+    const isNew  = (node, parent) => !_baseline.has(node) && parent !== core.layer && !_baseline.has(parent);
+    const isGone = (node, parent) => !current.has(node)   && parent !== core.layer && !current.has(parent);
+
+    // Group baseline and current children by parent, in z-order
+    const parents = new Set([core.layer]);
+    _baseline.forEach(r => parents.add(r.parent));
+    current.forEach(r => parents.add(r.parent));
+
+    const before = new Map(), after = new Map();
+    parents.forEach(p => { before.set(p, []); after.set(p, []); });
+    _baseline.forEach((r, node) => before.get(r.parent).push([r.index, node]));
+    current.forEach((r, node) => after.get(r.parent).push([r.index, node]));
+    const ordered = list => list.sort((a, b) => a[0] - b[0]).map(([, n]) => n);
+
+    const removals = [], reorders = [], adds = [];
+
+    parents.forEach(parent => {
+      const prev = ordered(before.get(parent));
+      const next = ordered(after.get(parent));
+      const nextSet = new Set(next);
+      const working = prev.slice();
+
+      // 1. Removals — descending, so recorded indices are exact when replayed.
+      //    Nodes inside a removed container travel with it.
+      for (let i = working.length - 1; i >= 0; i--) {
+        const node = working[i];
+        if (nextSet.has(node)) continue;
+        working.splice(i, 1);
+        // Keep the attrs it had before any exit tween, for undo
+        if (!isGone(node, parent)) removals.push({ type: 'remove', node, parent, index: i, attrs: _baseline.get(node).attrs });
       }
+
+      // 2. Reorders — keep the longest run already in order, move the rest
+      //    one at a time next to their new predecessor.
+      const workingSet = new Set(working);
+      const survivors  = next.filter(n => workingSet.has(n));
+      const stable     = _longestOrderedRun(survivors.map(n => working.indexOf(n)))
+        .map(i => survivors[i]);
+      const stableSet  = new Set(stable);
+      survivors.forEach((node, i) => {
+        if (stableSet.has(node)) return;
+        const from = working.indexOf(node);
+        working.splice(from, 1);
+        const to = i === 0 ? 0 : working.indexOf(survivors[i - 1]) + 1;
+        working.splice(to, 0, node);
+        stableSet.add(node);
+        if (from !== to) reorders.push({ type: 'reorder', node, parent, from, to });
+      });
+
+      // 3. Additions — ascending, each lands on its final index.
+      next.forEach((node, index) => {
+        if (workingSet.has(node)) return;
+        working.splice(index, 0, node);
+        if (!isNew(node, parent)) adds.push({ type: 'add', node, parent, index });
+      });
     });
-    
-    // Re-add watermark and transformer
-    if (core.watermark) core.layer.add(core.watermark);
-    core.layer.add(core.tr);
-    core.tr.nodes([]);
-    interaction.deselect();
-    
-    // Now make all shapes interactive after they're properly added to layer
-    core.layer.getChildren().forEach(child => {
-      if (child !== core.tr && child.name() !== 'watermark' && child.draggable?.()) {
-        interaction.makeInteractive(child);
+
+    ops.push(...removals, ...reorders, ...adds);
+
+    // 4. Attribute changes on nodes present both before and after
+    current.forEach((r, node) => {
+      const now = r.attrs = _settled(node);
+      const base = _baseline.get(node);
+      if (!base) return;
+      const beforeAttrs = {}, afterAttrs = {};
+      new Set([...Object.keys(base.attrs), ...Object.keys(now)]).forEach(k => {
+        const a = base.attrs[k], b = now[k];
+        if (_equal(a, b)) return;
+        if ((a === undefined || b === undefined) && _equal(a ?? _default(node, k), b ?? _default(node, k))) return;
+        beforeAttrs[k] = base.attrs[k];
+        afterAttrs[k]  = now[k];
+      });
+      if (Object.keys(afterAttrs).length) {
+        ops.push({ type: 'update', node, before: beforeAttrs, after: afterAttrs });
       }
     });
-    
-    // Keep watermark on top
+
+    return { ops, current };
+  }
+
+  /** Indices (into `seq`) of a longest strictly increasing subsequence. */
+  function _longestOrderedRun(seq) {
+    const tails = [], prev = new Array(seq.length);
+    seq.forEach((v, i) => {
+      let lo = 0, hi = tails.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (seq[tails[mid]] < v) lo = mid + 1; else hi = mid;
+      }
+      prev[i] = lo > 0 ? tails[lo - 1] : -1;
+      tails[lo] = i;
+    });
+    const run = [];
+    for (let i = tails[tails.length - 1] ?? -1; i >= 0; i = prev[i]) run.unshift(i);
+    return run;
+  }
+
+  function _rebase(current) {
+    _baseline.clear();
+    current.forEach((r, node) => {
+      _baseline.set(node, { attrs: r.attrs ?? _settled(node), parent: r.parent, index: r.index });
+    });
+  }
+
+  // ── Attribution ───────────────────────────────────────────────
+
+  /** The shape `node` belongs to: itself or its nearest ancestor with a public id. */
+  function _owner(node) {
+    const { layer } = services.core;
+    for (let n = node; n && n !== layer; n = n.getParent()) if (n._publicId) return n;
+    return null;
+  }
+
+  /**
+   * Mark what `ops` touched with `actor`: new shapes, and the shapes
+   * nested in them, get createdBy and updatedBy (unless they already carry
+   * them — restored ones), changed ones updatedBy. Done as part of the ops,
+   * and of the baseline in `current`, so the step undoes it too.
+   */
+  function _stamp(ops, current, actor) {
+    const created = new Set();
+    const touched = new Set();
+    ops.forEach(op => {
+      if (op.type === 'add' && op.node._publicId) {
+        const nested = op.node.find ? op.node.find(n => !!n._publicId) : [];
+        [op.node, ...nested].forEach(node => {
+          created.add(node);
+          const own = {};
+          if (node.getAttr('createdBy') === undefined) own.createdBy = actor;
+          if (node.getAttr('updatedBy') === undefined) own.updatedBy = actor;
+          node.setAttrs(own);
+          if (current.has(node)) Object.assign(current.get(node).attrs, own);
+        });
+      }
+      if (op.type === 'add' || op.type === 'remove') touched.add(_owner(op.parent));
+      else touched.add(_owner(op.node));
+    });
+
+    touched.forEach(node => {
+      if (!node || created.has(node) || !current.has(node) || node.getAttr('updatedBy') === actor) return;
+      let op = ops.find(o => o.type === 'update' && o.node === node);
+      if (!op) ops.push(op = { type: 'update', node, before: {}, after: {} });
+      op.before.updatedBy = node.getAttr('updatedBy');
+      op.after.updatedBy = actor;
+      node.setAttr('updatedBy', actor);
+      current.get(node).attrs.updatedBy = actor;
+    });
+  }
+
+  // ── Apply ─────────────────────────────────────────────────────
+
+  function _attach(node, parent, index) {
+    parent.add(node);
+    node.zIndex(index);
+    _registerIds(node, true);
+  }
+
+  function _detach(node) {
+    node.remove();
+    _registerIds(node, false);
+  }
+
+  /** Keep ShapeRegistry's public-id map in step with what is on the layer. */
+  function _registerIds(node, attached) {
+    const map = services.shapes?.shapeMap;
+    if (!map) return;
+    const visit = n => {
+      if (n._publicId) attached ? map.set(n._publicId, n) : map.delete(n._publicId);
+      if (n.getChildren) n.getChildren().forEach(visit);
+    };
+    visit(node);
+  }
+
+  function _apply(op, inverse) {
+    switch (op.type) {
+      case 'add':
+        if (inverse) _detach(op.node);
+        else _attach(op.node, op.parent, op.index);
+        break;
+      case 'remove':
+        if (inverse) { op.node.setAttrs(op.attrs); _attach(op.node, op.parent, op.index); }
+        else _detach(op.node);
+        break;
+      case 'reorder':
+        op.node.zIndex(inverse ? op.from : op.to);
+        break;
+      case 'update':
+        op.node.setAttrs(inverse ? op.before : op.after);
+        break;
+    }
+  }
+
+  function _replay(entry, inverse) {
+    const { core, interaction, animations } = services;
+
+    // Running presets would fight the patch — settle the nodes first
+    entry.ops.forEach(op => animations?.stopForShape(op.node._id));
+
+    // Indices are relative to document nodes, so park the chrome on top
+    core.tr.moveToTop();
+    if (core.watermark) core.watermark.moveToTop();
+
+    const ops = inverse ? entry.ops.slice().reverse() : entry.ops;
+    ops.forEach(op => _apply(op, inverse));
+
+    interaction?.refresh();
+
     if (core.watermark) core.watermark.moveToTop();
-    
-    // Re-enable listening and draw
-    core.layer.listening(true);
+    _rebase(_walk(core.layer));
     core.layer.batchDraw();
     events.emit('stats:update');
   }
 
-  return {
+  /** Destroy detached nodes in `ops` that no remaining step, or pending proposal, can bring back. */
+  function _release(ops) {
+    const detached = new Set();
+    ops.forEach(op => {
+      if ((op.type === 'add' || op.type === 'remove') && !op.node.getLayer()) detached.add(op.node);
+    });
+    _steps.forEach(step => step.ops.forEach(op => detached.delete(op.node)));
+    detached.forEach(node => services.proposals?.holds(node) || node.destroy());
+  }
+
+  /** Resolves once `txn` has no deferred work outstanding, including work it spawns. */
+  async function _idle(txn) {
+    while (txn.holds.size) await Promise.all(txn.holds.keys());
+  }
+
+  /** Run `fn` as part of `txn` (or of none), and as its actor. */
+  function _within(txn, fn) {
+    const prev = _txn;
+    _txn = txn && _open === txn ? txn : null;
+    try {
+      return txn ? history.as(txn.actor, fn) : fn();
+    } finally {
+      _txn = prev;
+    }
+  }
+
+  /** Undo what `ops` did to the canvas, outside any step. */
+  function _discard(ops) {
+    if (!ops.length) return;
+    _replay({ ops }, true);
+    _release(ops);
+  }
+
+  // A torn-down studio never finishes its tweens and timers
+  events.on('studio:destroy', () => {
+    _destroyed = true;
+    _open?.holds.forEach(release => release());
+  });
+
+  /** Put the canvas back to the last saved state, discarding unsaved changes. */
+  function _rollback() {
+    const { ops, current } = _diff();
+    if (!ops.length) return _rebase(current);
+    _replay({ ops }, true);
+    _release(ops);
+  }
+
+  // ── Tree ──────────────────────────────────────────────────────
+
+  function _undoStep() {
+    _replay(head, true);
+    _commit('undo', head);
+    head.parent.redo = head;
+    head = head.parent;
+  }
+
+  function _redoStep(step) {
+    _replay(step, false);
+    _commit('redo', step);
+    head.redo = step;
+    head = step;
+  }
+
+  function _drop(leaf) {
+    const siblings = leaf.parent.children;
+    siblings.splice(siblings.indexOf(leaf), 1);
+    if (leaf.parent.redo === leaf) leaf.parent.redo = null;
+    _steps.delete(leaf.id);
+    _release(leaf.ops);
+  }
+
+  /** Forget the root: its only child becomes the state History starts from. */
+  function _advanceRoot() {
+    const next = root.children[0];
+    _steps.delete(root.id);
+    const ops = next.ops;
+    next.parent = null;
+    next.ops = [];
+    root = next;
+    _release(ops);
+  }
+
+  function _prune() {
+    while (_steps.size - 1 > maxSteps) {
+      const line = new Set();
+      for (let s = head; s; s = s.parent) line.add(s);
+      const leaves = [..._steps.values()].filter(s => !s.children.length && !line.has(s));
+      const leaf = leaves.find(s => !s.name);
+      if (leaf) _drop(leaf);
+      else if (root.children.length === 1 && head !== root) _advanceRoot();
+      else _drop(leaves[0]);
+    }
+  }
+
+  /**
+   * Record `ops` — already on the canvas — as a step by `actor`, unless
+   * Permissions, Proposals or a before:shape:* listener stop it.
+   * `current` is the layer as _diff() walked it, the next baseline.
+   */
+  function _record(ops, current, actor) {
+    const denied = ops.length ? services.permissions?.review(ops, actor) ?? [] : [];
+    if (denied.length) {
+      _discard(ops);
+      throw services.permissions.refuse(actor, denied);
+    }
+    if (ops.length && services.proposals?.diverts(actor)) {
+      _replay({ ops }, true);
+      services.proposals.capture(ops, actor);
+      return;
+    }
+    if (ops.length && !emitShapeEvents(services, ops, { action: 'save', actor, prefix: 'before:' })) {
+      _discard(ops);
+      // The user's tools don't expect save() to throw; agents and peers get told
+      if (actor === 'user') return services.ui.toast('Change cancelled');
+      throw new Error('change cancelled by a before:shape:* listener');
+    }
+    if (ops.length) _stamp(ops, current, actor);
+    _rebase(current);
+    if (!ops.length) return;
+
+    // A save after undo starts a sibling branch — nothing is discarded
+    const step = _step(head, ops, actor);
+    head.children.push(step);
+    _steps.set(step.id, step);
+    head.redo = step;
+    head = step;
+    _commit('save', step);
+    _prune();
+    _notify();
+  }
+
+  const history = {
     save() {
       // Skip intermediate saves during batch operations
       if (_batching) return;
-      
-      stack = stack.slice(0, cursor + 1);
-      stack.push(_snapshot());
-      if (stack.length > maxSteps) stack.shift(); else cursor++;
-      _notify();
+
+      // Connectors follow what moved, in the same step
+      services.connectors?.sync();
+      const { ops, current } = _diff();
+      // A transaction's saves wait for its end
+      if (_txn) {
+        _rebase(current);
+        _txn.ops.push(...ops);
+        return;
+      }
+      _record(ops, current, _currentActor());
     },
 
     undo() {
-      if (cursor <= 0) return services.ui.toast('Nothing to undo');
-      cursor--;
-      _restore(stack[cursor]);
+      if (_open) return services.ui.toast('Wait for the current transaction');
+      if (head === root) return services.ui.toast('Nothing to undo');
+      _undoStep();
       _notify();
     },
 
+    /** Re-enter the most recently visited branch. */
     redo() {
-      if (cursor >= stack.length - 1) return services.ui.toast('Nothing to redo');
-      cursor++;
-      _restore(stack[cursor]);
+      if (_open) return services.ui.toast('Wait for the current transaction');
+      const next = head.redo ?? head.children.at(-1);
+      if (!next) return services.ui.toast('Nothing to redo');
+      _redoStep(next);
+      _notify();
+    },
+
+    canUndo: () => head !== root,
+    canRedo: () => head.children.length > 0,
+
+    /** A node's attrs with running tweens and animations at their resting values. */
+    settled: _settled,
+
+    /**
+     * Run `fn` with its saves attributed to `actor` — 'user', 'agent:<name>'
+     * or 'remote:<peer>'. Only what fn does before it returns counts: if it
+     * returns a promise, saves after its first await are attributed afresh
+     * (wrap them in as() again, or take a defer() and save through its
+     * run()). Nested calls take the innermost actor.
+     * @template T
+     * @param {string} actor
+     * @param {() => T} fn
+     * @returns {T}
+     */
+    as(actor, fn) {
+      if (typeof actor !== 'string' || !ACTOR.test(actor)) {
+        throw new TypeError(`[History] actor must be 'user', 'agent:<name>' or 'remote:<peer>', got ${JSON.stringify(actor)}`);
+      }
+      const prev = _actor;
+      _actor = actor;
+      try {
+        return fn();
+      } finally {
+        _actor = prev;
+      }
+    },
+
+    /** The actor a save made now would be attributed to. */
+    actor: _currentActor,
+
+    /**
+     * Apply ops held outside the tree (a proposal's) to the canvas — or undo
+     * them with `{ inverse: true }`. Records nothing; save() afterwards.
+     * @param {object[]} ops  As recorded by save()
+     */
+    apply(ops, { inverse = false } = {}) {
+      const { core } = services;
+      core.tr.moveToTop();
+      if (core.watermark) core.watermark.moveToTop();
+      (inverse ? ops.slice().reverse() : ops).forEach(op => _apply(op, inverse));
+      if (core.watermark) core.watermark.moveToTop();
+    },
+
+    /**
+     * Name the current state (saving pending changes first).
+     * @returns {number} step id, for goto()
+     */
+    checkpoint(name) {
+      this.save();
+      head.name = String(name);
       _notify();
+      return head.id;
+    },
+
+    /**
+     * Every step in the tree, oldest first.
+     * @returns {Array<{ id: number, parent: number|null, children: number[],
+     *   name: string|null, time: number, actor: string|null, ops: number, current: boolean }>}
+     */
+    list() {
+      return [..._steps.values()].map(s => ({
+        id:       s.id,
+        parent:   s.parent?.id ?? null,
+        children: s.children.map(c => c.id),
+        name:     s.name,
+        time:     s.time,
+        actor:    s.actor,
+        ops:      s.ops.length,
+        current:  s === head,
+      }));
     },
 
-    canUndo: () => cursor > 0,
-    canRedo: () => cursor < stack.length - 1,
+    /**
+     * Move the canvas to step `id` on any branch: undo up to the common
+     * ancestor, then redo down. Pending changes are saved first.
+     * @returns {boolean} false if no such step
+     */
+    goto(id) {
+      if (_open) {
+        services.ui.toast('Wait for the current transaction');
+        return false;
+      }
+      this.save();
+      const target = _steps.get(id);
+      if (!target) {
+        services.ui.toast('No such history step');
+        return false;
+      }
+      const ancestors = new Set();
+      for (let s = target; s; s = s.parent) ancestors.add(s);
+      while (!ancestors.has(head)) _undoStep();
+
+      const path = [];
+      for (let s = target; s !== head; s = s.parent) path.unshift(s);
+      path.forEach(_redoStep);
+      _notify();
+      return true;
+    },
+
+    /** Render named checkpoints into `containerId` as jump buttons. */
+    initPanel(containerId) {
+      const list = services.dom.get(containerId);
+      if (!list) return;
+      const render = () => {
+        const named = [..._steps.values()].filter(s => s.name);
+        if (!named.length) {
+          list.innerHTML = '<p class="cs-hint">No checkpoints yet.</p>';
+          return;
+        }
+        list.replaceChildren(...named.map(s => {
+          const btn = document.createElement('button');
+          btn.className = 'cs-checkpoint-btn' + (s === head ? ' active' : '');
+          btn.textContent = s.name;
+          btn.title = new Date(s.time).toLocaleTimeString();
+          btn.onclick = () => history.goto(s.id);
+          return btn;
+        }));
+      };
+      events.on('history:change', render);
+      events.on('studio:destroy', () => list.replaceChildren());
+      render();
+    },
 
     // ── Agent-ready API ──────────────────────────────────────────────────
     batch(fn) {
@@ -131,5 +719,115 @@ export function createHistory(services, { maxSteps = 60 } = {}) {
         this.save();  // Single save after all operations
       }
     },
+
+    /**
+     * Synchronous all-or-nothing step: like batch(), but if `fn` throws the
+     * canvas is rolled back instead of saved, and the error rethrown. Its
+     * first save, the rollback point, goes to the current actor — save
+     * before wrapping it in as() to leave pending edits to whoever made them.
+     */
+    atomic(fn) {
+      if (_batching) return fn();  // part of an enclosing step
+      if (_txn) {
+        // Part of the transaction's step — but only its own saves roll back
+        this.save();
+        const mark = _txn.ops.length;
+        try {
+          return fn();
+        } catch (err) {
+          this.save();
+          _discard(_txn.ops.splice(mark));
+          throw err;
+        }
+      }
+      this.save();  // rollback point
+      _batching = true;
+      let result;
+      try {
+        result = fn();
+      } catch (err) {
+        _batching = false;
+        _rollback();
+        throw err;
+      }
+      _batching = false;
+      this.save();
+      return result;
+    },
+
+    /**
+     * Run `fn` (sync or async) as one all-or-nothing step. Every save fn
+     * makes until it settles and its deferred work has finished becomes a
+     * single entry, by the actor current when it was called. If fn throws,
+     * its changes are rolled back and the error rethrown.
+     *
+     * fn is passed `run`: after an await, save through `run(() => …)` — a
+     * save made outside it is a step of its own. A transaction started
+     * inside another one (synchronously, or through run) joins it; one
+     * started anywhere else waits for the open one to end.
+     * @template T
+     * @param {(run: <U>(fn: () => U) => U) => T | Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    async transaction(fn) {
+      if (_txn) {
+        const txn = _txn;
+        return fn(f => _within(txn, f));
+      }
+      const actor = _currentActor();
+      while (_open) await _open.closed;
+
+      let close;
+      const txn = _open = {
+        actor, ops: [], holds: new Map(), closed: new Promise(resolve => { close = resolve; }),
+      };
+      const run = f => _within(txn, f);
+      try {
+        this.save();  // pending edits stay outside
+        let result;
+        try {
+          result = await run(() => fn(run));
+        } catch (err) {
+          await _idle(txn);
+          run(() => this.save());
+          _discard(txn.ops);
+          throw err;
+        }
+        await _idle(txn);
+        if (_destroyed) return result;
+        run(() => this.save());
+        const current = _walk(services.core.layer);
+        current.forEach((r, node) => { r.attrs = _settled(node); });
+        this.as(actor, () => _record(txn.ops, current, actor));
+        return result;
+      } finally {
+        _open = null;
+        close();
+      }
+    },
+
+    /**
+     * Announce async work that will call save() later (a tween's onFinish,
+     * a timer, an image load). Call the returned function once it has saved.
+     * Its `run(fn)` runs fn as the actor current at defer() time, and in
+     * the transaction it was taken in — save through it so the work keeps
+     * its attribution.
+     * @returns {(() => void) & { run: <T>(fn: () => T) => T }}
+     */
+    defer() {
+      const actor = _currentActor();
+      const txn = _txn;
+      let release;
+      const hold = new Promise(resolve => { release = resolve; });
+      const done = () => {
+        txn?.holds.delete(hold);
+        release();
+      };
+      txn?.holds.set(hold, done);
+      done.run = fn => (txn ? _within(txn, fn) : history.as(actor, fn));
+      return done;
+    },
   };
+
+  return history;
 }
@@ -0,0 +1,132 @@
+/**
+ * Patch — history ops as plain JSON, and back.
+ *
+ * History steps hold Konva nodes. A patch names them instead, so it can be
+ * stored, sent elsewhere and applied to another studio holding the same
+ * document:
+ *
+ *   { op: 'add',     parent: null, index: 3, item: { id, type, className, attrs, children? } }
+ *   { op: 'remove',  parent: null, index: 2, id: '<uuid>' }
+ *   { op: 'reorder', target: { id: '<uuid>' }, to: 0 }
+ *   { op: 'update',  target: { id: '<uuid>', path: [1] }, attrs: { text: 'Hi', dash: null } }
+ *
+ * A node is named by its public id or — for a part of a shape, like a
+ * sticky's label — by the shape's id plus the child indices down to it
+ * (`path`). A `parent` of null is the layer, `item` is an Export.getState()
+ * item and attrs a change removed are null. Entries apply in order, like
+ * the ops they come from.
+ */
+
+/** Where `node` is: `{ id }`, `{ id, path }` for a part, null for the layer. */
+function _ref(services, node) {
+  const { layer } = services.core;
+  const path = [];
+  for (let n = node; n && n !== layer; n = n.getParent()) {
+    if (n._publicId) return path.length ? { id: n._publicId, path } : { id: n._publicId };
+    path.unshift(n.index);
+  }
+  return null;
+}
+
+function _resolve(services, ref) {
+  if (!ref) return services.core.layer;
+  let node = services.shapes.getById(ref.id);
+  for (const i of ref.path ?? []) node = node?.getChildren?.()[i];
+  return node ?? null;
+}
+
+const _plain = attrs => Object.fromEntries(Object.entries(attrs).map(([k, v]) => [k, v === undefined ? null : v]));
+
+/**
+ * JSON for a list of history ops — or for undoing them, with `inverse`.
+ * Call it while the canvas shows the result (History does, on commit).
+ * @returns {object[]}
+ */
+export function toPatch(services, ops, { inverse = false } = {}) {
+  const item = node => services.export.serialize(node);
+  const add = op => ({ op: 'add', parent: _ref(services, op.parent), index: op.index, item: item(op.node) });
+  const remove = op => ({
+    op: 'remove', parent: _ref(services, op.parent), index: op.index,
+    ...(op.node._publicId && { id: op.node._publicId }),
+  });
+
+  return (inverse ? ops.slice().reverse() : ops).map(op => {
+    switch (op.type) {
+      case 'add':     return inverse ? remove(op) : add(op);
+      case 'remove':  return inverse ? add(op) : remove(op);
+      case 'reorder': return { op: 'reorder', target: _ref(services, op.node), to: inverse ? op.from : op.to };
+      case 'update':  return { op: 'update', target: _ref(services, op.node), attrs: _plain(inverse ? op.before : op.after) };
+    }
+    return null;
+  }).filter(Boolean);
+}
+
+/** A node that isn't a shape of its own (a part), rebuilt from its item. */
+function _part(item) {
+  const Ctor = Konva[item.className];
+  if (!Ctor) return null;
+  const node = new Ctor({ ...item.attrs, shapeType: item.type });
+  item.children?.forEach(child => {
+    const c = _part(child);
+    if (c) node.add(c);
+  });
+  return node;
+}
+
+/**
+ * Apply a patch to the canvas. Records nothing — call History.save()
+ * afterwards. Entries naming nodes that aren't there are skipped.
+ * @returns {number} how many entries applied
+ */
+export function applyPatch(services, patch) {
+  const { core, shapes, interaction, animations } = services;
+  // Indices count document nodes only — park the chrome on top
+  core.tr.moveToTop();
+  if (core.watermark) core.watermark.moveToTop();
+
+  let applied = 0;
+  patch.forEach(entry => {
+    switch (entry.op) {
+      case 'add': {
+        const parent = _resolve(services, entry.parent);
+        if (!parent) return;
+        let node = entry.item.id && shapes.getById(entry.item.id);
+        if (!node) node = entry.item.id ? shapes.restore(entry.item) : _part(entry.item);
+        if (!node) return;
+        if (node.getParent() !== parent) node.moveTo(parent);
+        node.zIndex(Math.min(entry.index, parent.getChildren().length - 1));
+        break;
+      }
+      case 'remove': {
+        const node = entry.id ? shapes.getById(entry.id) : _resolve(services, entry.parent)?.getChildren()[entry.index];
+        if (!node) return;
+        animations?.stopForShape(node._id);
+        interaction?.deselect(node);
+        const nested = node.find ? node.find(n => !!n._publicId) : [];
+        [node, ...nested].forEach(n => { if (n._publicId) shapes.shapeMap.delete(n._publicId); });
+        node.remove();  // not destroy() — History may bring it back
+        break;
+      }
+      case 'reorder': {
+        const node = _resolve(services, entry.target);
+        if (!node) return;
+        node.zIndex(Math.min(entry.to, node.getParent().getChildren().length - 1));
+        break;
+      }
+      case 'update': {
+        const node = _resolve(services, entry.target);
+        if (!node) return;
+        node.setAttrs(Object.fromEntries(Object.entries(entry.attrs).map(([k, v]) => [k, v ?? undefined])));
+        break;
+      }
+      default:
+        return;
+    }
+    applied++;
+  });
+
+  if (core.watermark) core.watermark.moveToTop();
+  core.layer.batchDraw();
+  services.events.emit('stats:update');
+  return applied;
+}
@@ -0,0 +1,387 @@
+/**
+ * SceneDescription — the board as an LLM would want to read it: what is on
+ * it, what it says, what sits where and what points at what, instead of
+ * raw geometry. Backs Export.describe().
+ *
+ *   Board: 6 shapes (2 rect, 2 text, 1 arrow, 1 sticky), 520×180 at (40, 60)
+ *   Shapes:
+ *   - [3f2a9c] rect "Login" 160×80 at (40, 60), fill #93c5fd
+ *   - [b81e04] text "Login" 60×24 at (90, 88), inside [3f2a9c]
+ *   …
+ *   Arrows:
+ *   - [0c7d11] [3f2a9c] "Login" → [e5a612] "Dashboard"
+ *   Layout:
+ *   - [3f2a9c] "Login" is left of [e5a612] "Dashboard"
+ *   Clusters:
+ *   - c1 (top left, 3 shapes): [3f2a9c] "Login", [e5a612] "Dashboard", [91ab3f] sticky "Ship it"
+ *
+ * Shapes are referred to by the shortest prefix of their id (6+ chars) that
+ * is unique on the board; the structured result carries full ids.
+ *
+ * `maxTokens` bounds the text (estimated at 4 characters a token). A board
+ * that doesn't fit is described at decreasing detail: fewer layout
+ * relations, then clusters summarised as counts plus their labelled
+ * members, then arrows and overlaps capped — and as a last resort the text
+ * is cut.
+ */
+
+// Shapes that can't enclose anything
+const OPEN = new Set(['arrow', 'line', 'pencil', 'text']);
+
+const CHARS_PER_TOKEN = 4;
+
+// How far (px) an arrow end may stop short of the shape it points at
+const SNAP = 6;
+
+// Detail levels tried in order until the text fits
+const LEVELS = [
+  { neighbours: 2, perCluster: Infinity, arrows: Infinity, layout: Infinity },
+  { neighbours: 1, perCluster: Infinity, arrows: Infinity, layout: Infinity },
+  { neighbours: 0, perCluster: Infinity, arrows: Infinity, layout: Infinity },
+  { neighbours: 0, perCluster: 8, arrows: Infinity, layout: 40 },
+  { neighbours: 0, perCluster: 3, arrows: 40, layout: 10 },
+  { neighbours: 0, perCluster: 0, arrows: 10, layout: 0 },
+];
+
+export const estimateTokens = text => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+const round = n => Math.round(n);
+
+function _clip(text, max) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > max ? flat.slice(0, max - 1) + '…' : flat;
+}
+
+const _area = r => r.width * r.height;
+
+const _center = r => ({ x: r.x + r.width / 2, y: r.y + r.height / 2 });
+
+const _containsRect = (outer, inner) =>
+  inner.x >= outer.x && inner.y >= outer.y &&
+  inner.x + inner.width <= outer.x + outer.width &&
+  inner.y + inner.height <= outer.y + outer.height;
+
+function _union(a, b) {
+  const x = Math.min(a.x, b.x), y = Math.min(a.y, b.y);
+  return { x, y, width: Math.max(a.x + a.width, b.x + b.width) - x, height: Math.max(a.y + a.height, b.y + b.height) - y };
+}
+
+function _gap(a, b) {
+  const dx = Math.max(a.x - (b.x + b.width), 0, b.x - (a.x + a.width));
+  const dy = Math.max(a.y - (b.y + b.height), 0, b.y - (a.y + a.height));
+  return Math.hypot(dx, dy);
+}
+
+// Where b sits relative to a: 'left of', 'above', 'below and right of'…
+function _direction(a, b) {
+  const ca = _center(a), cb = _center(b);
+  const dx = cb.x - ca.x, dy = cb.y - ca.y;
+  const h = dx < 0 ? 'left of' : 'right of';
+  const v = dy < 0 ? 'above' : 'below';
+  if (Math.abs(dx) >= 2 * Math.abs(dy)) return h;
+  if (Math.abs(dy) >= 2 * Math.abs(dx)) return v;
+  return `${v} and ${h}`;
+}
+
+// Which ninth of `area` a point falls in
+function _region(p, area) {
+  const third = (v, start, size) => (size ? Math.min(2, Math.max(0, Math.floor(((v - start) / size) * 3))) : 1);
+  const row = ['top', 'middle', 'bottom'][third(p.y, area.y, area.height)];
+  const col = ['left', 'center', 'right'][third(p.x, area.x, area.width)];
+  if (row === 'middle' && col === 'center') return 'center';
+  return row === 'middle' ? col : `${row} ${col}`;
+}
+
+function _shortIds(ids) {
+  for (let len = 6; ; len++) {
+    const short = ids.map(id => id.slice(0, len));
+    if (new Set(short).size === short.length || ids.every(id => id.length <= len)) {
+      return new Map(ids.map((id, i) => [id, short[i]]));
+    }
+  }
+}
+
+// Text a node shows on its own: a text shape's, a shape's label, or a container's first text part
+function _ownText(node) {
+  if (node.getClassName() === 'Text') return node.text();
+  if (node.getAttr('text')) return String(node.getAttr('text'));
+  if (!node.getChildren) return null;
+  const part = node.findOne(n => n.getClassName() === 'Text' && !n._publicId);
+  return part ? part.text() : null;
+}
+
+/**
+ * @param {object} services
+ * @param {object} [options]
+ * @param {number} [options.maxTokens=Infinity]  Budget for `text`
+ * @param {number} [options.textLength=120]      Longest text quoted per shape
+ * @param {number} [options.clusterGap=48]       Shapes closer than this (px) share a cluster
+ */
+export function describeScene(services, { maxTokens = Infinity, textLength = 120, clusterGap = 48 } = {}) {
+  const { query, core } = services;
+  const nodes = query.find().filter(n => n.isVisible() && query.bounds(n));
+
+  // ── Shapes ──────────────────────────────────────────────────────
+  const short = _shortIds(nodes.map(n => n._publicId));
+  const items = nodes.map((node, order) => {
+    const type = node.getAttr('shapeType') ?? node.getClassName().toLowerCase();
+    const own = _ownText(node);
+    const item = {
+      id: node._publicId,
+      ref: short.get(node._publicId),
+      type,
+      bounds: query.bounds(node),
+      order,
+      node,
+    };
+    if (own != null && own !== '') item.text = own;
+    const fill = node.getChildren ? null : node.getAttr('fill');
+    if (typeof fill === 'string') item.fill = fill;
+    return item;
+  });
+  const byNode = new Map(items.map(i => [i.node, i]));
+
+  // ── Containment: the group a shape is in, else the smallest closed shape behind it that encloses it
+  items.forEach(item => {
+    let parent = item.node.getParent();
+    while (parent && !byNode.has(parent)) parent = parent.getParent();
+    let container = parent ? byNode.get(parent) : null;
+    if (!container && item.type !== 'arrow') {
+      const c = _center(item.bounds);
+      container = query.shapesAt(c)
+        .map(n => byNode.get(n))
+        .filter(o => o && o !== item && !OPEN.has(o.type) && o.order < item.order &&
+          _area(o.bounds) > _area(item.bounds) && _containsRect(o.bounds, item.bounds))
+        .sort((a, b) => _area(a.bounds) - _area(b.bounds))[0] ?? null;
+    }
+    if (container) item.inside = container;
+  });
+  items.forEach(item => {
+    item.contains = items.filter(o => o.inside === item);
+    // A closed shape holding exactly one text takes it as its label
+    const texts = item.contains.filter(o => o.type === 'text');
+    if (item.text === undefined && !OPEN.has(item.type) && texts.length === 1) {
+      item.label = texts[0].text;
+      texts[0].labels = item;
+    } else if (item.text !== undefined) item.label = item.text;
+  });
+
+  // ── Arrows: resolve each end to the innermost shape it touches (text last)
+  const toLayer = core.layer.getAbsoluteTransform().copy().invert();
+  const _endpoint = (arrow, p) => {
+    const near = { x: p.x - SNAP, y: p.y - SNAP, width: 2 * SNAP, height: 2 * SNAP };
+    const under = o => (_containsRect(o.bounds, { ...p, width: 0, height: 0 }) ? 0 : 1);
+    const isText = o => (o.type === 'text' ? 1 : 0);
+    return query.shapesInRect(near)
+      .map(n => byNode.get(n))
+      .filter(o => o && o !== arrow && o.type !== 'arrow')
+      .sort((a, b) => under(a) - under(b) || isText(a) - isText(b) || _area(a.bounds) - _area(b.bounds))[0] ?? null;
+  };
+  const arrows = items.filter(i => i.type === 'arrow').map(item => {
+    const pts = item.node.points();
+    if (pts.length < 4) return { item, from: null, to: null };
+    const t = toLayer.copy().multiply(item.node.getAbsoluteTransform());
+    const start = t.point({ x: pts[0], y: pts[1] });
+    const end = t.point({ x: pts[pts.length - 2], y: pts[pts.length - 1] });
+    // A bound connector names its shapes; otherwise go by where its ends are
+    const bound = key => byNode.get(services.shapes.getById(item.node.getAttr(key) ?? '')) ?? null;
+    const from = bound('sourceId') ?? _endpoint(item, start);
+    const to   = bound('targetId') ?? _endpoint(item, end);
+    return { item, from, to, start, end };
+  });
+
+  // ── Layout: top-level shapes, nearest neighbours and overlaps
+  const top = items.filter(i => !i.inside && i.type !== 'arrow');
+  const isTop = new Set(top);
+  // The k top-level shapes with the smallest gap to a, searching outwards
+  const _nearest = (a, k) => {
+    const r = a.bounds;
+    for (const reach of [64, 256, 1024, 4096, Infinity]) {
+      const pool = reach === Infinity ? top : query
+        .shapesInRect({ x: r.x - reach, y: r.y - reach, width: r.width + 2 * reach, height: r.height + 2 * reach })
+        .map(n => byNode.get(n));
+      const found = pool
+        .filter(b => b && b !== a && isTop.has(b))
+        .map(b => ({ b, gap: _gap(r, b.bounds) }))
+        .filter(({ gap }) => gap <= reach)
+        .sort((p, q) => p.gap - q.gap || p.b.order - q.b.order);
+      if (found.length >= k || reach === Infinity) return found.slice(0, k).map(({ b }) => b);
+    }
+  };
+  const neighbours = new Map(top.map(a => [a, _nearest(a, 2)]));
+
+  const pair = (a, b) => (a.order < b.order ? `${a.order}:${b.order}` : `${b.order}:${a.order}`);
+  const overlaps = [];
+  top.forEach(a => {
+    query.overlapping(a.node).forEach(n => {
+      const b = byNode.get(n);
+      if (b && isTop.has(b) && a.order < b.order) overlaps.push([a, b]);
+    });
+  });
+  const overlapping = new Set(overlaps.map(([a, b]) => pair(a, b)));
+
+  // ── Clusters: top-level shapes chained together by gaps under clusterGap, or by arrows
+  const root = new Map(top.map(i => [i, i]));
+  const find = i => (root.get(i) === i ? i : (root.set(i, find(root.get(i))), root.get(i)));
+  const outermost = i => { while (i?.inside) i = i.inside; return i; };
+  arrows.forEach(({ from, to }) => {
+    const a = outermost(from), b = outermost(to);
+    if (a && b && root.has(a) && root.has(b)) root.set(find(a), find(b));
+  });
+  top.forEach(a => {
+    const r = a.bounds;
+    query.shapesInRect({ x: r.x - clusterGap, y: r.y - clusterGap, width: r.width + 2 * clusterGap, height: r.height + 2 * clusterGap })
+      .map(n => byNode.get(n))
+      .filter(b => b && root.has(b) && b !== a && _gap(r, b.bounds) <= clusterGap)
+      .forEach(b => root.set(find(a), find(b)));
+  });
+  const groups = new Map();
+  top.forEach(i => {
+    const r = find(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(i);
+  });
+
+  const extent = items.length ? items.map(i => i.bounds).reduce(_union) : null;
+
+  const clusters = [...groups.values()]
+    .filter(members => members.length > 1 || groups.size > 1)
+    .sort((a, b) => b.length - a.length || a[0].order - b[0].order)
+    .map((members, i) => {
+      const all = [];
+      const add = m => { all.push(m); m.contains.forEach(add); };
+      members.forEach(add);
+      const r = members.map(m => m.bounds).reduce(_union);
+      const id = `c${i + 1}`;
+      all.forEach(m => { m.cluster = id; });
+      return { id, region: _region(_center(r), extent), bounds: r, members: all.sort((a, b) => a.order - b.order) };
+    });
+
+  // ── Text ───────────────────────────────────────────────────────
+  const quote = s => `"${_clip(s, textLength).replace(/"/g, '\\"')}"`;
+  const ref = i => (i.label !== undefined ? `[${i.ref}] ${i.type === 'text' ? '' : `${i.type} `}${quote(_clip(i.label, 32))}` : `[${i.ref}] ${i.type}`);
+  const at = p => `(${round(p.x)}, ${round(p.y)})`;
+
+  const counts = items.reduce((m, i) => m.set(i.type, (m.get(i.type) ?? 0) + 1), new Map());
+  const plural = n => `${n} shape${n === 1 ? '' : 's'}`;
+  const countList = m => [...m].sort((a, b) => b[1] - a[1]).map(([t, n]) => `${n} ${t}`).join(', ');
+
+  function shapeLine(i) {
+    const parts = [`- [${i.ref}] ${i.type}`];
+    if (i.label !== undefined) parts.push(quote(i.label));
+    const head = parts.join(' ');
+    const facts = [`${round(i.bounds.width)}×${round(i.bounds.height)} at ${at(i.bounds)}`];
+    if (i.fill && !OPEN.has(i.type)) facts[0] += `, fill ${i.fill}`;
+    if (i.inside) facts.push(`inside [${i.inside.ref}]`);
+    return `${head} ${facts.join(', ')}`;
+  }
+
+  function arrowLine({ item, from, to, start, end }) {
+    const side = (o, p) => (o ? ref(o) : p ? at(p) : '?');
+    return `- [${item.ref}] ${side(from, start)} → ${side(to, end)}`;
+  }
+
+  function render({ neighbours: k, perCluster, arrows: maxArrows, layout: maxLayout }) {
+    const lines = [];
+    lines.push(items.length
+      ? `Board: ${plural(items.length)} (${countList(counts)}), ` +
+        `${round(extent.width)}×${round(extent.height)} at ${at(extent)}`
+      : 'Board: empty');
+    if (!items.length) return lines.join('\n');
+
+    lines.push('Shapes:');
+    if (perCluster === Infinity || !clusters.length) {
+      items.forEach(i => lines.push(shapeLine(i)));
+    } else {
+      // Shapes with something to say first: labelled ones, then arrow ends.
+      // Texts that label a shape are already said by it.
+      const linked = new Set(arrows.flatMap(a => [a.from, a.to]));
+      const rank = i => (i.label !== undefined ? 0 : linked.has(i) ? 1 : 2);
+      clusters.forEach(c => {
+        const members = c.members.filter(i => i.type !== 'arrow' && !i.labels);
+        const shown = members.filter(i => rank(i) < 2)
+          .sort((a, b) => rank(a) - rank(b) || a.order - b.order)
+          .slice(0, perCluster);
+        const rest = members.filter(i => !shown.includes(i));
+        const m = rest.reduce((acc, i) => acc.set(i.type, (acc.get(i.type) ?? 0) + 1), new Map());
+        lines.push(`- ${c.id} (${c.region}, ${plural(c.members.length)})${rest.length ? `: ${shown.length ? 'also ' : ''}${countList(m)}` : ''}`);
+        shown.sort((a, b) => a.order - b.order).forEach(i => lines.push('  ' + shapeLine(i)));
+      });
+    }
+
+    if (arrows.length) {
+      lines.push('Arrows:');
+      arrows.slice(0, maxArrows).forEach(a => lines.push(arrowLine(a)));
+      if (arrows.length > maxArrows) lines.push(`- …and ${arrows.length - maxArrows} more`);
+    }
+
+    const layout = [];
+    const seen = new Set(overlapping);
+    if (k) {
+      top.forEach(a => neighbours.get(a).slice(0, k).forEach(b => {
+        if (seen.has(pair(a, b))) return;
+        seen.add(pair(a, b));
+        layout.push(`- ${ref(b)} is ${_direction(a.bounds, b.bounds)} ${ref(a)}`);
+      }));
+    }
+    overlaps.forEach(([a, b]) => layout.push(`- ${ref(b)} overlaps ${ref(a)}`));
+    if (layout.length && maxLayout) {
+      lines.push('Layout:', ...layout.slice(0, maxLayout));
+      if (layout.length > maxLayout) lines.push(`- …and ${layout.length - maxLayout} more`);
+    }
+
+    if (clusters.length > 1 && perCluster === Infinity) {
+      lines.push('Clusters:');
+      clusters.forEach(c => {
+        const list = c.members.filter(m => !m.inside && m.type !== 'arrow').map(ref).join(', ');
+        lines.push(`- ${c.id} (${c.region}, ${plural(c.members.length)}): ${list}`);
+      });
+    }
+    return lines.join('\n');
+  }
+
+  let text = '', detail = 0;
+  for (; detail < LEVELS.length; detail++) {
+    text = render(LEVELS[detail]);
+    if (estimateTokens(text) <= maxTokens) break;
+  }
+  if (detail === LEVELS.length) {
+    detail = LEVELS.length - 1;
+    const marker = '\n… (truncated)';
+    text = text.slice(0, Math.max(0, maxTokens * CHARS_PER_TOKEN - marker.length));
+    text = text.slice(0, text.lastIndexOf('\n') + 1 || text.length).trimEnd() + marker;
+  }
+
+  // ── Structured ───────────────────────────────────────────────────
+  const plainRect = r => ({ x: round(r.x), y: round(r.y), width: round(r.width), height: round(r.height) });
+  const relations = [];
+  const related = new Set(overlapping);
+  top.forEach(a => neighbours.get(a).forEach(b => {
+    if (related.has(pair(a, b))) return;
+    related.add(pair(a, b));
+    relations.push({ from: b.id, relation: _direction(a.bounds, b.bounds), to: a.id });
+  }));
+  overlaps.forEach(([a, b]) => relations.push({ from: b.id, relation: 'overlaps', to: a.id }));
+  items.forEach(i => i.inside && relations.push({ from: i.id, relation: 'inside', to: i.inside.id }));
+
+  return {
+    text,
+    tokens: estimateTokens(text),
+    detail,
+    bounds: extent && plainRect(extent),
+    shapes: items.map(i => ({
+      id: i.id,
+      type: i.type,
+      ...(i.label !== undefined && { label: i.label }),
+      ...(i.text !== undefined && { text: i.text }),
+      ...(i.fill && { fill: i.fill }),
+      bounds: plainRect(i.bounds),
+      ...(i.inside && { parent: i.inside.id }),
+      ...(i.contains.length && { children: i.contains.map(c => c.id) }),
+      ...(i.cluster && { cluster: i.cluster }),
+    })),
+    arrows: arrows.map(({ item, from, to }) => ({ id: item.id, from: from?.id ?? null, to: to?.id ?? null })),
+    relations,
+    clusters: clusters.map(c => ({ id: c.id, region: c.region, bounds: plainRect(c.bounds), members: c.members.map(m => m.id) })),
+  };
+}
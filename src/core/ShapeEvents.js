@@ -0,0 +1,103 @@
+/**
+ * ShapeEvents — what a history step did, shape by shape, on the EventBus.
+ *
+ * Every edit ends in History.save() — ShapeRegistry.create / erase, drawing,
+ * stickies, images, drags and transforms, colour and prop changes — and so
+ * do undo, redo and goto(). History hands each committed step here, which
+ * emits one event per change, in the order the step made them:
+ *
+ *   'shape:add'     — { id, type, shape, parent, index }
+ *   'shape:remove'  — { id, type, shape, parent, index }
+ *   'shape:reorder' — { id, type, shape, parent, from, to }
+ *   'shape:update'  — { id, type, shape, keys, before, after, part? }
+ *
+ * Each also carries the step's `action` ('save' | 'undo' | 'redo') and
+ * `actor`. `parent` is the id of the group a shape sits in, null for the
+ * layer. Shapes inside an added or removed group get events of their own,
+ * after (add) or before (remove) the group's, so moving shapes into a new
+ * group reads as: remove each, add the group, add each into it.
+ *
+ * A change to a part of a shape — a sticky's label, an image's frame — is
+ * an update of the shape, with `part` the child indices down to it;
+ * parts coming or going are an update of `children`. Changes to the actor
+ * stamps alone (createdBy / updatedBy) aren't reported.
+ *
+ * Before a save is recorded, History emits the same events with a
+ * 'before:' prefix ('before:shape:remove', …). A listener returning false
+ * cancels the save.
+ */
+
+const STAMPS = new Set(['createdBy', 'updatedBy']);
+
+/** The shape `node` belongs to, and the child indices from it down to `node`. */
+function _owner(services, node) {
+  const { layer } = services.core;
+  const part = [];
+  for (let n = node; n && n !== layer; n = n.getParent()) {
+    if (n._publicId) return { shape: n, part };
+    part.unshift(n.index);
+  }
+  return { shape: null, part };
+}
+
+const _type = node => node.getAttr('shapeType') ?? node.getClassName().toLowerCase();
+
+/** Shapes with ids inside `node`, outermost first. */
+const _nested = node => (node.find ? node.find(n => !!n._publicId) : []);
+
+/**
+ * Emit the shape events for a step. Call it while the canvas shows the
+ * step's result; undo passes `inverse`, the veto round `prefix: 'before:'`.
+ * @param {object}   services
+ * @param {object[]} ops
+ * @param {{ inverse?: boolean, action: string, actor: string, prefix?: string }} context
+ * @returns {boolean} false if a listener cancelled — the rest weren't emitted
+ */
+export function emitShapeEvents(services, ops, { inverse = false, action, actor, prefix = '' }) {
+  const emit = (name, payload) => services.events.emit(prefix + name, payload);
+  const parentId = parent => _owner(services, parent).shape?._publicId ?? null;
+  const base = node => ({ id: node._publicId, type: _type(node), shape: node, action, actor });
+  const flip = { add: 'remove', remove: 'add' };
+  // Shapes the step moves in or out of a group have ops of their own
+  const moved = new Set(ops.filter(op => op.type === 'add' || op.type === 'remove').map(op => op.node));
+  const nested = node => _nested(node).filter(n => !moved.has(n));
+
+  const children = shape => emit('shape:update', { ...base(shape), keys: ['children'], before: {}, after: {} });
+
+  for (const op of inverse ? ops.slice().reverse() : ops) {
+    const type = inverse ? flip[op.type] ?? op.type : op.type;
+    const { node } = op;
+    let ok = true;
+
+    if ((type === 'add' || type === 'remove') && !node._publicId) {
+      const { shape } = _owner(services, op.parent);
+      if (shape) ok = children(shape);
+    } else if (type === 'add') {
+      ok = emit('shape:add', { ...base(node), parent: parentId(op.parent), index: op.index })
+        && nested(node).every(n => emit('shape:add', { ...base(n), parent: parentId(n.getParent()), index: n.index }));
+    } else if (type === 'remove') {
+      ok = nested(node).reverse().every(n => emit('shape:remove', { ...base(n), parent: parentId(n.getParent()), index: n.index }))
+        && emit('shape:remove', { ...base(node), parent: parentId(op.parent), index: op.index });
+    } else {
+      const { shape, part } = _owner(services, node);
+      if (!shape) continue;
+      if (type === 'reorder' && part.length) {
+        ok = children(shape);
+      } else if (type === 'reorder') {
+        const [from, to] = inverse ? [op.to, op.from] : [op.from, op.to];
+        ok = emit('shape:reorder', { ...base(shape), parent: parentId(op.parent), from, to });
+      } else {
+        const [before, after] = inverse ? [op.after, op.before] : [op.before, op.after];
+        const keys = Object.keys(after).filter(k => !STAMPS.has(k));
+        if (!keys.length) continue;
+        const pick = attrs => Object.fromEntries(keys.map(k => [k, attrs[k]]));
+        ok = emit('shape:update', {
+          ...base(shape), keys, before: pick(before), after: pick(after),
+          ...(part.length && { part }),
+        });
+      }
+    }
+    if (!ok) return false;
+  }
+  return true;
+}
@@ -0,0 +1,238 @@
+/**
+ * StateSchema — the published format of Export.getState() documents, a
+ * small validator for it, and the migrations that bring older documents up
+ * to the current version.
+ *
+ * STATE_SCHEMA is plain JSON Schema (draft 2020-12), so external tools can
+ * validate documents too:
+ *   JSON.stringify(STATE_SCHEMA)   // → state.schema.json
+ *
+ * validateSchema() understands the subset of keywords these schemas use
+ * (type, required, properties, additionalProperties, items, enum, bounds,
+ * minLength, pattern, $ref) and reports every problem with a JSON Pointer:
+ *   { path: '/shapes/3/attrs/x', message: 'must be number' }
+ *
+ * Migrations run in order, each taking a document from one version to the
+ * next. To change the format: bump STATE_VERSION, update the schema and add
+ * a migration from the previous version.
+ */
+
+import { shiftToCenter } from '../modules/Drawing.js';
+
+export const STATE_VERSION = '1.1.0';
+
+const number        = { type: 'number' };
+const nonNegative   = { type: 'number', minimum: 0 };
+const colour        = { type: ['string', 'null'] };
+const shapeId       = { type: ['string', 'null'] };
+const anchor        = { enum: ['auto', 'top', 'right', 'bottom', 'left', 'center'] };
+
+export const STATE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id:     `https://github.com/mehulcode12/agentdraw-canvas/schema/state-${STATE_VERSION}.json`,
+  title:   'AgentDraw canvas state',
+  type:    'object',
+  required: ['version', 'shapes'],
+  properties: {
+    version:    { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    timestamp:  { type: 'string' },
+    shapeCount: { type: 'integer', minimum: 0 },
+    shapes:     { type: 'array', items: { $ref: '#/$defs/node' } },
+  },
+  $defs: {
+    node: {
+      type: 'object',
+      required: ['type', 'className', 'attrs'],
+      properties: {
+        id:        { type: ['string', 'null'] },
+        type:      { type: 'string', minLength: 1, description: 'ShapeRegistry type' },
+        className: { type: 'string', minLength: 1, description: 'Konva class' },
+        attrs:     { $ref: '#/$defs/attrs' },
+        children:  { type: 'array', items: { $ref: '#/$defs/node' } },
+      },
+    },
+    // Konva attrs; only the common ones are constrained, custom attrs pass through
+    attrs: {
+      type: 'object',
+      properties: {
+        x: number, y: number, offsetX: number, offsetY: number,
+        rotation: number, scaleX: number, scaleY: number,
+        opacity:     { type: 'number', minimum: 0, maximum: 1 },
+        width:       nonNegative,
+        height:      nonNegative,
+        radius:      nonNegative,
+        innerRadius: nonNegative,
+        outerRadius: nonNegative,
+        sides:       { type: 'integer', minimum: 3 },
+        numPoints:   { type: 'integer', minimum: 2 },
+        fill:        colour,
+        stroke:      colour,
+        strokeWidth: nonNegative,
+        fontSize:    { type: 'number', exclusiveMinimum: 0 },
+        text:        { type: 'string' },
+        name:        { type: 'string' },
+        points:      { type: 'array', items: number },
+        tension:     number,
+        src:         { type: 'string' },
+        draggable:   { type: 'boolean' },
+        visible:     { type: 'boolean' },
+        // Connector bindings
+        sourceId:      shapeId,
+        targetId:      shapeId,
+        sourceAnchor:  anchor,
+        targetAnchor:  anchor,
+        routing:       { enum: ['straight', 'elbow', 'curved'] },
+        bezier:        { type: 'boolean' },
+        locked:        { type: 'boolean' },
+        agentReadOnly: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+// ── Validation ──────────────────────────────────────────────────
+
+function _typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function _is(value, type) {
+  const actual = _typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function _resolve(ref, rootSchema) {
+  return ref.replace(/^#\//, '').split('/').reduce((s, key) => s[key], rootSchema);
+}
+
+function _check(value, schema, path, errors, rootSchema) {
+  if (schema.$ref) return _check(value, _resolve(schema.$ref, rootSchema), path, errors, rootSchema);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => _is(value, t))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum)
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    if (!Number.isFinite(value)) errors.push({ path, message: 'must be finite' });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+      errors.push({ path, message: `must have at least ${schema.minLength} character(s)` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value))
+      errors.push({ path, message: `must match ${schema.pattern}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => _check(v, schema.items, `${path}/${i}`, errors, rootSchema));
+  }
+
+  if (_typeOf(value) === 'object') {
+    schema.required?.forEach(key => {
+      if (!(key in value)) errors.push({ path, message: `must have required property '${key}'` });
+    });
+    Object.entries(value).forEach(([key, v]) => {
+      const sub = schema.properties?.[key];
+      if (sub) _check(v, sub, `${path}/${_escape(key)}`, errors, rootSchema);
+      else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}/${_escape(key)}`, message: `is not an allowed property` });
+      }
+    });
+  }
+}
+
+/** JSON Pointer escaping (RFC 6901). */
+function _escape(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Check `value` against a JSON Schema (the keyword subset above). `path`
+ * prefixes every reported pointer.
+ * @returns {Array<{ path: string, message: string }>} empty when valid
+ */
+export function validateSchema(value, schema, path = '') {
+  const errors = [];
+  _check(value, schema, path, errors, schema);
+  return errors;
+}
+
+/** Check a document against STATE_SCHEMA. */
+export function validateState(doc) {
+  return validateSchema(doc, STATE_SCHEMA);
+}
+
+// ── Migrations ──────────────────────────────────────────────────
+
+/**
+ * 1.0.0 stored the Konva class as `type` plus a few flat attrs. Rebuild each
+ * item with its registry factory, as the 1.0.0 loader did, and keep the
+ * saved position — 1.0.0 didn't store the centring offset. Images are
+ * dropped: 1.0.0 never saved their pixels.
+ */
+const LEGACY_TYPES = { RegularPolygon: 'triangle', Path: 'heart', Shape: 'cloud', Group: 'sticky', Image: null };
+const LEGACY_KEYS  = ['x', 'y', 'rotation', 'scaleX', 'scaleY', 'opacity', 'fill', 'stroke',
+  'strokeWidth', 'width', 'height', 'radius', 'text', 'fontSize', 'points'];
+
+function _from100(doc, { shapes }) {
+  return {
+    ...doc,
+    version: '1.1.0',
+    shapes: !Array.isArray(doc.shapes) ? doc.shapes : doc.shapes.flatMap(item => {
+      const className = item?.type;
+      if (typeof className !== 'string') return [item];  // let validation report it
+      const type = className in LEGACY_TYPES ? LEGACY_TYPES[className] : className.toLowerCase();
+
+      const config = {};
+      LEGACY_KEYS.forEach(k => { if (item[k] !== undefined && item[k] !== null) config[k] = item[k]; });
+      const node = type && shapes.build(type, config);
+      if (!node) {
+        console.warn(`[Export] Dropping 1.0.0 "${className}" — it can't be rebuilt from the saved fields`);
+        return [];
+      }
+      shiftToCenter(node);
+      node.position({ x: config.x ?? 0, y: config.y ?? 0 });
+      const { attrs, className: builtClass } = node.toObject();
+      node.destroy();
+      return [{ id: item.id ?? null, type, className: builtClass, attrs }];
+    }),
+  };
+}
+
+/** Ordered pipeline — each entry upgrades documents of version `from`. */
+export const MIGRATIONS = [
+  { from: '1.0.0', to: '1.1.0', migrate: _from100 },
+];
+
+/**
+ * Bring `doc` up to STATE_VERSION. Documents without a version are treated
+ * as 1.0.0. Throws if there's no path from the document's version.
+ * @param {object} doc
+ * @param {object} services  Migrations may need the registries
+ */
+export function migrateState(doc, services) {
+  let version = doc.version ?? '1.0.0';
+  while (version !== STATE_VERSION) {
+    const step = MIGRATIONS.find(m => m.from === version);
+    if (!step) throw new Error(`No migration from state version ${version} to ${STATE_VERSION}`);
+    doc = step.migrate(doc, services);
+    version = step.to;
+  }
+  return doc;
+}
@@ -0,0 +1,287 @@
+/**
+ * Agent — structured, validated edits for programmatic callers.
+ *
+ *   studio.Agent.applyOps([
+ *     { op: 'add',     type: 'rect', props: { x: 100, y: 80, width: 120 }, ref: 'box' },
+ *     { op: 'add',     type: 'text', props: { text: 'Hi' }, ref: 'label' },
+ *     { op: 'group',   ids: ['box', 'label'] },
+ *     { op: 'update',  id: '<uuid>', props: { fill: '#ef4444' } },
+ *     { op: 'reorder', id: '<uuid>', to: 'top' },   // 'top' | 'bottom' | 'up' | 'down' | index
+ *     { op: 'delete',  id: '<uuid>' },
+ *   ])
+ *   // → { applied: true, results: [{ op: 'add', ok: true, id: '<uuid>' }, …] }
+ *
+ * Every op is checked before anything changes: its fields, the ids it
+ * targets and its props against the shape type's schema
+ * (ShapeRegistry.schema). One bad op rejects the whole list — nothing is
+ * applied and each failing result carries `errors: [{ path, message }]`.
+ * A valid list is applied as a single undo step.
+ *
+ * `ref` names a shape added (or group made) earlier in the same list, so
+ * later ops can target it before it has an id.
+ *
+ * Changes are attributed to `options.actor` (default 'agent:default'), or to
+ * the caller's actor when already inside History.as() — an RPC peer, say.
+ *
+ * In suggestion mode the step becomes a proposal instead (see Proposals):
+ * the result says `proposed: true` and the canvas is unchanged until the
+ * user accepts it.
+ */
+import { validateSchema } from '../core/StateSchema.js';
+
+const str = { type: 'string', minLength: 1 };
+const obj = { type: 'object' };
+
+const OP_SCHEMAS = {
+  add:     { required: ['op', 'type'],        properties: { op: str, type: str, props: obj, ref: str } },
+  update:  { required: ['op', 'id', 'props'], properties: { op: str, id: str, props: obj } },
+  delete:  { required: ['op', 'id'],          properties: { op: str, id: str } },
+  reorder: { required: ['op', 'id', 'to'],    properties: { op: str, id: str, to: { type: ['integer', 'string'] } } },
+  group:   { required: ['op', 'ids'],         properties: { op: str, ids: { type: 'array', items: str }, props: obj, ref: str } },
+};
+
+const REORDER_TO = ['top', 'bottom', 'up', 'down'];
+
+export function createAgent(services) {
+
+  // ── Validation ────────────────────────────────────────────────
+
+  /**
+   * Check every op against the layer as it will be when that op runs, and
+   * against what `actor` may do (Permissions).
+   * @returns {Array<{ op: string, ok: boolean, errors?: object[] }>}
+   */
+  function _validate(ops, actor) {
+    const { shapes, core } = services;
+    const types = new Set(shapes.types());
+
+    /**
+     * id or ref → what it will be. `parent` is the entry of the group it is
+     * in, or the Konva container when that isn't a shape.
+     * @type {Map<string, { type?: string, parent: object }>}
+     */
+    const known = new Map();
+    shapes.shapeMap.forEach((node, id) => {
+      known.set(id, { type: node.getAttr('shapeType'), parent: node.getParent() });
+    });
+    known.forEach(entry => {
+      const id = entry.parent?._publicId;
+      if (id && known.has(id)) entry.parent = known.get(id);
+    });
+    // Is `entry` somewhere inside `group`?
+    const inside = (entry, group) => {
+      for (let p = entry.parent; p && !(p instanceof Konva.Node); p = p.parent) if (p === group) return true;
+      return false;
+    };
+
+    return ops.map(op => {
+      const errors = [];
+      const fail = (path, message) => errors.push({ path, message });
+      const name = op?.op;
+
+      if (!op || typeof op !== 'object' || Array.isArray(op)) {
+        fail('', 'must be object');
+        return { op: null, ok: false, errors };
+      }
+      if (!OP_SCHEMAS[name]) {
+        fail('/op', `must be one of ${Object.keys(OP_SCHEMAS).map(o => `'${o}'`).join(', ')}`);
+        return { op: name ?? null, ok: false, errors };
+      }
+      errors.push(...validateSchema(op, { type: 'object', additionalProperties: false, ...OP_SCHEMAS[name] }));
+      if (errors.length) return { op: name, ok: false, errors };
+
+      const target = () => {
+        const t = known.get(op.id);
+        if (!t) fail('/id', `no shape with id '${op.id}'`);
+        return t;
+      };
+      const claim = (ref, entry) => {
+        if (!ref) return;
+        if (known.has(ref)) fail('/ref', `'${ref}' is already an id or ref`);
+        else known.set(ref, entry);
+      };
+      // A connector's ends name shapes by id — refs aren't resolved inside props
+      const ends = props => ['sourceId', 'targetId'].forEach(key => {
+        const id = props?.[key];
+        if (typeof id === 'string' && !(shapes.shapeMap.has(id) && known.has(id))) fail(`/props/${key}`, `no shape with id '${id}'`);
+      });
+
+      switch (name) {
+        case 'add':
+          if (!types.has(op.type)) {
+            fail('/type', `unknown shape type '${op.type}'`);
+            break;
+          }
+          errors.push(...validateSchema(op.props ?? {}, shapes.schema(op.type), '/props'));
+          ends(op.props);
+          claim(op.ref, { type: op.type, parent: core.layer });
+          break;
+
+        case 'update': {
+          const t = target();
+          // What adding one requires, it already has
+          if (t) errors.push(...validateSchema(op.props, { ...shapes.schema(t.type), required: undefined }, '/props'));
+          ends(op.props);
+          break;
+        }
+
+        case 'delete': {
+          // Its nested shapes go with it
+          const t = target();
+          if (t) [...known].forEach(([id, entry]) => { if (entry === t || inside(entry, t)) known.delete(id); });
+          break;
+        }
+
+        case 'reorder':
+          target();
+          if (typeof op.to === 'string' && !REORDER_TO.includes(op.to)) {
+            fail('/to', `must be an index or one of ${REORDER_TO.map(t => `'${t}'`).join(', ')}`);
+          } else if (op.to < 0) {
+            fail('/to', 'must be >= 0');
+          }
+          break;
+
+        case 'group': {
+          if (!op.ids.length) fail('/ids', 'must not be empty');
+          if (new Set(op.ids).size !== op.ids.length) fail('/ids', 'must not repeat an id');
+          const members = op.ids.map((id, i) => {
+            const t = known.get(id);
+            if (!t) fail(`/ids/${i}`, `no shape with id '${id}'`);
+            return t;
+          });
+          if (members.every(Boolean) && new Set(members.map(t => t.parent)).size > 1) {
+            fail('/ids', 'shapes must share a parent');
+          }
+          errors.push(...validateSchema(op.props ?? {}, shapes.schema('group'), '/props'));
+          const group = { type: 'group', parent: members[0]?.parent };
+          members.forEach(t => { if (t) t.parent = group; });
+          claim(op.ref, group);
+          break;
+        }
+      }
+      if (!errors.length) _denied(actor, op).forEach(([path, message]) => fail(path, message));
+      return errors.length ? { op: name, ok: false, errors } : { op: name, ok: true };
+    });
+  }
+
+  /** [path, reason] for each thing in `op` that `actor` may not touch. Refs aren't shapes yet — History checks those. */
+  function _denied(actor, op) {
+    const permissions = services.permissions;
+    if (!permissions) return [];
+    const ask = (path, action, id, props) => {
+      const reason = permissions.check(actor, action, id, props);
+      return reason ? [[path, reason]] : [];
+    };
+    switch (op.op) {
+      case 'add':     return ask('/op', 'add');
+      case 'update':  return ask('/id', 'update', op.id, op.props);
+      case 'delete':  return ask('/id', 'delete', op.id);
+      case 'reorder': return ask('/id', 'reorder', op.id);
+      case 'group':   return [...ask('/op', 'add'), ...op.ids.flatMap((id, i) => ask(`/ids/${i}`, 'update', id))];
+    }
+    return [];
+  }
+
+  // ── Application ───────────────────────────────────────────────
+
+  const APPLY = {
+    add(op, refs) {
+      const node = services.shapes.create(op.type, op.props ?? {});
+      if (!node) throw new Error(`could not create '${op.type}'`);
+      if (op.ref) refs.set(op.ref, node);
+      return node._publicId;
+    },
+
+    update(op, refs) {
+      const node = _resolve(op.id, refs);
+      node.setAttrs(op.props);
+      return node._publicId;
+    },
+
+    delete(op, refs) {
+      const node = _resolve(op.id, refs);
+      services.shapes.erase(node, { instant: true });
+      return node._publicId;
+    },
+
+    reorder(op, refs) {
+      const node   = _resolve(op.id, refs);
+      const parent = node.getParent();
+      const { layer, tr, watermark } = services.core;
+      const siblings = parent.getChildren(n => n !== tr && n !== watermark && n !== node);
+      const from = parent.getChildren(n => n !== tr && n !== watermark).indexOf(node);
+      const to = {
+        top:    siblings.length,
+        bottom: 0,
+        up:     Math.min(from + 1, siblings.length),
+        down:   Math.max(from - 1, 0),
+      }[op.to] ?? Math.min(op.to, siblings.length);
+      siblings.splice(to, 0, node);
+      siblings.forEach((n, i) => n.zIndex(i));
+      if (parent === layer) {
+        tr.moveToTop();
+        if (watermark) watermark.moveToTop();
+      }
+      return node._publicId;
+    },
+
+    group(op, refs) {
+      const group = services.groups.group(op.ids.map(id => _resolve(id, refs)), op.props);
+      if (op.ref) refs.set(op.ref, group);
+      return group._publicId;
+    },
+  };
+
+  function _resolve(id, refs) {
+    return refs.get(id) ?? services.shapes.getById(id);
+  }
+
+  // ── Public ────────────────────────────────────────────────────
+
+  /**
+   * Validate, then apply `ops` in order as one undo step.
+   * @param {object[]} ops
+   * @param {{ actor?: string }} [options]  'agent:<name>' the step is attributed to
+   * @returns {{ applied: boolean, proposed?: boolean, results: Array<{ op: string|null, ok: boolean, id?: string, errors?: object[] }> }}
+   */
+  function applyOps(ops, { actor } = {}) {
+    if (!Array.isArray(ops)) {
+      return { applied: false, results: [{ op: null, ok: false, errors: [{ path: '', message: 'must be array' }] }] };
+    }
+    const { history } = services;
+    const who = actor ?? (history.actor() === 'user' ? 'agent:default' : history.actor());
+    const results = _validate(ops, who);
+    if (results.some(r => !r.ok)) return { applied: false, results };
+
+    const refs = new Map();
+    let current = -1;
+    history.save();  // pending user edits stay the user's
+    try {
+      history.as(who, () => history.atomic(() => {
+        ops.forEach((op, i) => {
+          current = i;
+          results[i].id = APPLY[op.op](op, refs);
+        });
+      }));
+    } catch (err) {
+      // Rolled back — report which op broke
+      results.forEach(r => delete r.id);
+      results[current] = { op: ops[current].op, ok: false, errors: [{ path: '', message: err.message }] };
+      return { applied: false, results };
+    }
+
+    if (services.core.watermark) services.core.watermark.moveToTop();
+    services.core.layer.batchDraw();
+    services.events.emit('stats:update');
+    if (services.proposals?.diverts(who)) return { applied: true, proposed: true, results };
+    return { applied: true, results };
+  }
+
+  return {
+    applyOps,
+    /** Shape types `add` accepts. */
+    types:  () => services.shapes.types(),
+    /** JSON Schema for a type's props. */
+    schema: type => services.shapes.schema(type),
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Audit — who changed what, and when.
+ *
+ * Every history step saved, undone or redone becomes an entry:
+ *
+ *   { seq: 12, time: '2026-03-02T10:15:04.211Z', actor: 'agent:planner',
+ *     action: 'save', step: 31,
+ *     changes: [{ op: 'add', id: '<uuid>', type: 'rect' },
+ *               { op: 'update', id: '<uuid>', type: 'sticky', keys: ['text'] }] }
+ *
+ * Actors come from History: 'user', 'agent:<name>' (Agent.applyOps),
+ * 'remote:<peer>' (RPC calls). Changes to a part of a shape (a sticky's
+ * text) are reported against the shape. The newest MAX_ENTRIES are kept.
+ *
+ * highlight(true) outlines every shape last touched by an agent or a
+ * remote peer and badges it with the actor's name, on the overlay layer.
+ *
+ * Emits:
+ *   'audit:entry' — the entry, as it is recorded
+ */
+
+const MAX_ENTRIES = 5000;
+
+// Attribution attrs are bookkeeping, not changes worth listing
+const STAMPS = new Set(['createdBy', 'updatedBy']);
+
+// When one step does several things to a shape, the strongest names the change
+const RANK = { update: 0, reorder: 1, add: 2, remove: 2 };
+
+const TINTS = { agent: '#8b5cf6', remote: '#0ea5e9' };
+
+export function createAudit(services, { highlight: highlightOnBoot = false } = {}) {
+  const headless = !!services.options?.headless;
+  const _entries = [];
+  let _seq = 0;
+  let _highlight = false;
+  /** @type {Konva.Group|null} */
+  let _badges = null;
+
+  services.events.on('history:commit', ({ action, step, actor, time, ops }) => {
+    const entry = {
+      seq: ++_seq,
+      time: new Date(time).toISOString(),
+      actor,
+      action,
+      step,
+      changes: _changes(ops, action === 'undo'),
+    };
+    if (!entry.changes.length) return;
+    _entries.push(entry);
+    if (_entries.length > MAX_ENTRIES) _entries.splice(0, _entries.length - MAX_ENTRIES);
+    services.events.emit('audit:entry', entry);
+  });
+
+  // ── Entries ───────────────────────────────────────────────────
+
+  /** History ops as id-level changes, merged per shape (Proposals summarises with it too). */
+  function _changes(ops, inverse = false) {
+    const { layer } = services.core;
+    const owner = node => {
+      for (let n = node; n && n !== layer; n = n.getParent()) if (n._publicId) return n;
+      return null;
+    };
+    /** @type {Map<Konva.Node, { op: string, id: string, type: string, keys?: Set<string> }>} */
+    const byShape = new Map();
+    const touch = (node, op, keys = []) => {
+      if (!node) return;
+      let change = byShape.get(node);
+      if (!change) {
+        change = { op, id: node._publicId, type: node.getAttr('shapeType') ?? node.getClassName().toLowerCase() };
+        byShape.set(node, change);
+      } else if (RANK[op] > RANK[change.op]) {
+        change.op = op;
+      }
+      if (op === 'update') {
+        change.keys ??= new Set();
+        keys.filter(k => !STAMPS.has(k)).forEach(k => change.keys.add(k));
+      }
+    };
+
+    const flip = { add: 'remove', remove: 'add' };
+    ops.forEach(op => {
+      const type = inverse ? flip[op.type] ?? op.type : op.type;
+      if ((type === 'add' || type === 'remove') && op.node._publicId) {
+        touch(op.node, type);
+        touch(owner(op.parent), 'update');
+      } else if (type === 'add' || type === 'remove') {
+        touch(owner(op.parent), 'update', ['children']);
+      } else if (type === 'reorder') {
+        touch(owner(op.node), op.node._publicId ? 'reorder' : 'update', ['zIndex']);
+      } else {
+        const keys = Object.keys(op.after);
+        const own = owner(op.node);
+        if (own && keys.some(k => !STAMPS.has(k))) touch(own, 'update', keys);
+      }
+    });
+
+    return [...byShape.values()]
+      .filter(c => c.op !== 'update' || c.keys?.size)
+      .map(({ keys, ...c }) => (c.op === 'update' ? { ...c, keys: [...keys] } : c));
+  }
+
+  const _time = t => (t instanceof Date ? t.getTime() : typeof t === 'string' ? Date.parse(t) : t);
+
+  /**
+   * Entries matching every given filter, oldest first.
+   * @param {object} [filter]
+   * @param {string} [filter.actor]   Exact ('agent:planner') or a kind ('agent', 'remote', 'user')
+   * @param {string} [filter.shapeId] Entries that changed this shape
+   * @param {'save'|'undo'|'redo'} [filter.action]
+   * @param {Date|string|number} [filter.since]  Inclusive
+   * @param {Date|string|number} [filter.until]  Inclusive
+   * @param {number} [filter.limit]   Only the newest `limit` matches
+   * @returns {object[]}
+   */
+  function entries({ actor, shapeId, action, since, until, limit } = {}) {
+    const from = since === undefined ? -Infinity : _time(since);
+    const to = until === undefined ? Infinity : _time(until);
+    const found = _entries.filter(e => {
+      if (actor !== undefined && e.actor !== actor && !e.actor.startsWith(actor + ':')) return false;
+      if (action !== undefined && e.action !== action) return false;
+      if (shapeId !== undefined && !e.changes.some(c => c.id === shapeId)) return false;
+      const t = Date.parse(e.time);
+      return t >= from && t <= to;
+    });
+    return structuredClone(limit === undefined ? found : found.slice(-limit));
+  }
+
+  /**
+   * The log as a JSON document. In the browser it also downloads, unless
+   * `filename` is `false`; headless it only returns.
+   * @returns {string}
+   */
+  function asJSON(filename) {
+    const json = JSON.stringify({ exported: new Date().toISOString(), entries: _entries }, null, 2);
+    if (!headless && filename !== false) {
+      const blob = new Blob([json], { type: 'application/json' });
+      services.export.download(filename || `agentdraw-audit-${Date.now()}.json`, URL.createObjectURL(blob));
+    }
+    return json;
+  }
+
+  /** Forget every entry. */
+  function clear() {
+    _entries.length = 0;
+  }
+
+  // ── Highlight ─────────────────────────────────────────────────
+
+  function _render() {
+    if (!_badges) return;
+    _badges.destroyChildren();
+    const { layer } = services.core;
+    layer.getChildren(n => !!n._publicId && n.isVisible()).forEach(node => {
+      const actor = node.getAttr('updatedBy');
+      const tint = TINTS[actor?.split(':')[0]];
+      const r = tint && services.query.bounds(node);
+      if (!r) return;
+      _badges.add(new Konva.Rect({
+        x: r.x - 4, y: r.y - 4, width: r.width + 8, height: r.height + 8,
+        stroke: tint, strokeWidth: 1.5, dash: [4, 3], cornerRadius: 4, strokeScaleEnabled: false,
+      }));
+      const label = new Konva.Label({ x: r.x - 4, opacity: 0.9 });
+      label.add(new Konva.Tag({ fill: tint, cornerRadius: 3 }));
+      label.add(new Konva.Text({ text: actor, fontSize: 10, fontFamily: 'Inter, sans-serif', fill: '#fff', padding: 3 }));
+      label.y(r.y - 6 - label.height());
+      _badges.add(label);
+    });
+    services.core.overlay.batchDraw();
+  }
+
+  /**
+   * Outline and badge shapes last touched by an agent or remote peer.
+   * @param {boolean} [on]  Omit to toggle
+   * @returns {boolean} whether highlighting is on
+   */
+  function highlight(on = !_highlight) {
+    const { layer, overlay } = services.core;
+    if (on === _highlight) return _highlight;
+    _highlight = on;
+    if (on) {
+      _badges = new Konva.Group({ name: 'actor-badges', listening: false });
+      overlay.add(_badges);
+      // Follow shapes while they are dragged or transformed, before any save
+      layer.on('dragmove.audit transform.audit', _render);
+      _render();
+    } else {
+      layer.off('.audit');
+      _badges.destroy();
+      _badges = null;
+      overlay.batchDraw();
+    }
+    return _highlight;
+  }
+
+  services.events.on('history:change', _render);
+  services.events.on('stats:update', _render);
+  if (highlightOnBoot) highlight(true);
+
+  return { entries, asJSON, clear, highlight, changes: _changes };
+}
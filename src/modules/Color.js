@@ -15,40 +15,44 @@ export const DEFAULT_PALETTE = [
 ];
 
 export function createColor(services, { palette = DEFAULT_PALETTE } = {}) {
-  const { events } = services;
+  const { events, dom } = services;
   let _color = palette[0];
+  let _grid  = null;
 
   function set(color, swatchEl) {
     _color = color;
-    document.querySelectorAll('.cs-swatch').forEach(s => s.classList.remove('active'));
+    _grid?.querySelectorAll('.cs-swatch').forEach(s => s.classList.remove('active'));
     if (swatchEl) swatchEl.classList.add('active');
     events.emit('color:change', { color });
 
-    // Live-update selected shape
-    const shape = services.interaction?.selected();
-    if (!shape) return;
-    const cls = shape.getClassName();
-    if      (cls === 'Line' || cls === 'Arrow') shape.stroke(color);
-    else if (cls === 'Text')                    shape.fill(color);
-    else                                         shape.fill(color);
+    // Live-update the selected shapes
+    const shapes = services.interaction?.selection() ?? [];
+    if (!shapes.length) return;
+    shapes.forEach(shape => {
+      const cls = shape.getClassName();
+      if      (cls === 'Line' || cls === 'Arrow') shape.stroke(color);
+      else if (cls === 'Text')                    shape.fill(color);
+      else                                         shape.fill(color);
+    });
     services.core.layer.batchDraw();
     services.history.save();
   }
 
   function initPalette(containerId) {
-    const grid = document.getElementById(containerId);
+    const grid = dom.get(containerId);
     if (!grid) return;
+    _grid = grid;
     palette.forEach(c => {
       const sw = document.createElement('div');
       sw.className = 'cs-swatch';
       sw.style.background = c;
       if (c === _color) sw.classList.add('active');
       sw.onclick = () => set(c, sw);
-      grid.appendChild(sw);
+      grid.appendChild(dom.track(sw));
     });
 
-    const custom = document.getElementById('custom-color');
-    if (custom) custom.addEventListener('input', e => set(e.target.value, null));
+    const custom = dom.get('custom-color');
+    if (custom) dom.listen(custom, 'input', e => set(e.target.value, null));
   }
 
   return {
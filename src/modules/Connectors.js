@@ -0,0 +1,367 @@
+/**
+ * Connectors — arrows and lines bound to the shapes at their ends.
+ *
+ *   studio.Shapes.connect(a, b);                                  // straight, edge to edge
+ *   studio.Shapes.connect(a, b, { routing: 'elbow' });            // orthogonal
+ *   studio.Shapes.connect(a, b, { routing: 'curved', sourceAnchor: 'bottom', targetAnchor: 'top' });
+ *   studio.Shapes.updateById(arrowId, { routing: 'curved' });    // reroutes on save
+ *
+ * A connector is an `arrow` or `line` whose ends name the shapes they are
+ * attached to. The binding lives in plain attrs, so getState() / loadState()
+ * and history keep it like any other:
+ *
+ *   sourceId, targetId          public ids of the shapes at each end
+ *   sourceAnchor, targetAnchor  'top' | 'right' | 'bottom' | 'left' | 'center' | 'auto'
+ *   routing                     'straight' | 'elbow' | 'curved'
+ *
+ * 'auto' (the default) picks the point for the routing: where the centre-to-
+ * centre line leaves the shape when straight, the side facing the other end
+ * for elbow and curved. An end with no shape — never bound, or its shape
+ * deleted — stays where it is.
+ *
+ * Anchors sit on the midpoints of a shape's box and at its centre, unless
+ * its type puts them elsewhere (ShapeRegistry `anchors`: a document's wavy
+ * bottom, a lifeline's dashed line). Ends on those shapes always meet an
+ * anchor — 'auto' takes the one facing the other end.
+ *
+ * Connectors follow their shapes live while they are dragged or
+ * transformed, and History.save() calls sync() before it diffs, so the
+ * reroute lands in the same step as the move and undo takes both back.
+ * A reroute isn't an edit of its own: Permissions checks the move, not the
+ * route attrs (ROUTE_KEYS) it rewrites — except on a locked connector,
+ * which keeps its points whoever moves its shapes.
+ * Routed connectors have no offset, rotation or scale: their points are in
+ * their parent's coordinates.
+ *
+ * While an arrow or line is being drawn, snap() finds the anchor under the
+ * pointer and showAnchors() marks the shape's anchors on the overlay.
+ */
+
+export const ANCHORS = ['top', 'right', 'bottom', 'left', 'center'];
+export const ROUTINGS = ['straight', 'elbow', 'curved'];
+
+// How close (screen px) the pointer must come to a shape to snap to it
+const SNAP = 14;
+const DOT = 4;
+// Attrs a route sets, and their values when unset
+const ROUTE_DEFAULTS = { x: 0, y: 0, offsetX: 0, offsetY: 0, rotation: 0, scaleX: 1, scaleY: 1, bezier: false, tension: 0 };
+/** Every attr reroute() sets. */
+export const ROUTE_KEYS = ['points', ...Object.keys(ROUTE_DEFAULTS)];
+// Unit vectors out of each side
+const NORMALS = { top: { x: 0, y: -1 }, right: { x: 1, y: 0 }, bottom: { x: 0, y: 1 }, left: { x: -1, y: 0 } };
+
+const _centre = r => ({ x: r.x + r.width / 2, y: r.y + r.height / 2 });
+const _round = v => Math.round(v * 100) / 100;
+
+/** The side of `from` that faces `to` most directly. */
+function _facing(from, to) {
+  const dx = to.x - from.x, dy = to.y - from.y;
+  if (Math.abs(dx) >= Math.abs(dy)) return dx >= 0 ? 'right' : 'left';
+  return dy >= 0 ? 'bottom' : 'top';
+}
+
+/** Where the line from the centre of `r` towards `toward` leaves it. */
+function _edge(r, toward) {
+  const c = _centre(r);
+  const dx = toward.x - c.x, dy = toward.y - c.y;
+  const t = Math.min(
+    dx ? r.width  / 2 / Math.abs(dx) : Infinity,
+    dy ? r.height / 2 / Math.abs(dy) : Infinity,
+  );
+  return t >= 1 ? c : { x: c.x + dx * t, y: c.y + dy * t };
+}
+
+function _anchorPoint(r, anchor) {
+  const c = _centre(r);
+  switch (anchor) {
+    case 'top':    return { x: c.x, y: r.y };
+    case 'right':  return { x: r.x + r.width, y: c.y };
+    case 'bottom': return { x: c.x, y: r.y + r.height };
+    case 'left':   return { x: r.x, y: c.y };
+    default:       return c;
+  }
+}
+
+/** `p` in the parent's coordinates of a node with these attrs. */
+function _toParent(attrs, p) {
+  const a = { ...ROUTE_DEFAULTS, ...attrs };
+  const sx = (p.x - a.offsetX) * a.scaleX, sy = (p.y - a.offsetY) * a.scaleY;
+  const rad = a.rotation * Math.PI / 180;
+  const cos = Math.cos(rad), sin = Math.sin(rad);
+  return { x: a.x + sx * cos - sy * sin, y: a.y + sx * sin + sy * cos };
+}
+
+export function createConnectors(services) {
+  const { events } = services;
+  let routing = 'straight';
+  /** @type {Konva.Group|null} anchor dots on the overlay */
+  let _dots = null;
+
+  /** Is `node` an arrow or line that can be bound? */
+  const isConnector = node => ['arrow', 'line'].includes(node?.getAttr('shapeType'));
+
+  /** A connector with a binding or a routing to keep up. */
+  const _managed = node => isConnector(node)
+    && !!(node.getAttr('sourceId') || node.getAttr('targetId') || node.getAttr('routing'));
+
+  /** The shape an end is bound to, if it is on the canvas. */
+  function _endShape(id) {
+    const node = id && services.shapes.shapeMap.get(id);
+    return node?.getLayer() ? node : null;
+  }
+
+  /** `fn()` with `node` put where it will be once tweens and animations have finished. */
+  function _atRest(node, fn) {
+    const KEYS = ['x', 'y', 'rotation', 'scaleX', 'scaleY', 'offsetX', 'offsetY'];
+    const settled = services.history.settled(node);
+    const now = {};
+    KEYS.forEach(k => { now[k] = node[k](); });
+    KEYS.forEach(k => { if (settled[k] !== undefined) node[k](settled[k]); });
+    try {
+      return fn();
+    } finally {
+      node.setAttrs(now);
+    }
+  }
+
+  /** Bounding box once tweens and animations have finished, relative to `relativeTo`. */
+  function restingRect(node, relativeTo = services.core.layer) {
+    return _atRest(node, () => node.getClientRect({ relativeTo, skipShadow: true }));
+  }
+
+  /**
+   * `node`'s anchors at rest, relative to `relativeTo`, with its resting box.
+   * `placed` says its type put some of them.
+   * @returns {{ rect: object, points: Object<string, { x: number, y: number }>, placed: boolean }}
+   */
+  function anchorPoints(node, relativeTo = services.core.layer) {
+    return _atRest(node, () => {
+      const rect = node.getClientRect({ relativeTo, skipShadow: true });
+      const points = Object.fromEntries(ANCHORS.map(anchor => [anchor, _anchorPoint(rect, anchor)]));
+      const own = services.shapes.anchors(node);
+      if (own) {
+        const m = node.getAbsoluteTransform(relativeTo);
+        Object.entries(own).forEach(([anchor, p]) => { if (ANCHORS.includes(anchor)) points[anchor] = m.point(p); });
+      }
+      return { rect, points, placed: !!own };
+    });
+  }
+
+  // ── Routing ───────────────────────────────────────────────────
+
+  /**
+   * The points `node` should have: each end at its shape's anchor, or where
+   * it is now if it has no shape.
+   * @returns {{ kind: string, points: number[] }} points in the parent's coordinates
+   */
+  function _route(node, settled) {
+    const parent = node.getParent();
+    const pts = node.points();
+    const kind = ROUTINGS.includes(node.getAttr('routing')) ? node.getAttr('routing') : 'straight';
+    const ends = ['source', 'target'].map((end, i) => {
+      const shape = _endShape(node.getAttr(`${end}Id`));
+      const j = i ? pts.length - 2 : 0;
+      return {
+        ...(shape ? anchorPoints(shape, parent) : { rect: null }),
+        anchor: node.getAttr(`${end}Anchor`) ?? 'auto',
+        at: _toParent(settled, { x: pts[j] ?? 0, y: pts[j + 1] ?? 0 }),
+      };
+    });
+    // What each end aims at: the other end's anchor or centre, or where it is
+    const aim = ends.map(e => {
+      if (!e.rect) return e.at;
+      return ANCHORS.includes(e.anchor) ? e.points[e.anchor] : e.points.center;
+    });
+    ends.forEach((e, i) => {
+      const other = aim[1 - i];
+      if (!e.rect) {
+        e.side = _facing(e.at, other);
+        return;
+      }
+      const anchor = ANCHORS.includes(e.anchor) ? e.anchor : 'auto';
+      e.side = anchor === 'auto' || anchor === 'center' ? _facing(e.points.center, other) : anchor;
+      if (anchor !== 'auto') e.at = e.points[anchor];
+      else e.at = kind === 'straight' && !e.placed ? _edge(e.rect, other) : e.points[e.side];
+    });
+
+    const [a, b] = ends;
+    const p1 = a.at, p2 = b.at;
+    let path;
+    if (kind === 'elbow') {
+      const h1 = a.side === 'left' || a.side === 'right';
+      const h2 = b.side === 'left' || b.side === 'right';
+      if (h1 && h2) {
+        const mx = (p1.x + p2.x) / 2;
+        path = [p1, { x: mx, y: p1.y }, { x: mx, y: p2.y }, p2];
+      } else if (!h1 && !h2) {
+        const my = (p1.y + p2.y) / 2;
+        path = [p1, { x: p1.x, y: my }, { x: p2.x, y: my }, p2];
+      } else {
+        path = [p1, h1 ? { x: p2.x, y: p1.y } : { x: p1.x, y: p2.y }, p2];
+      }
+    } else if (kind === 'curved') {
+      const reach = Math.max(Math.hypot(p2.x - p1.x, p2.y - p1.y) * 0.4, 30);
+      const out = (p, side) => ({ x: p.x + NORMALS[side].x * reach, y: p.y + NORMALS[side].y * reach });
+      path = [p1, out(p1, a.side), out(p2, b.side), p2];
+    } else {
+      path = [p1, p2];
+    }
+    return { kind, points: path.flatMap(p => [_round(p.x), _round(p.y)]) };
+  }
+
+  /**
+   * Reroute one connector if its shapes moved. Attrs mid-tween are left to
+   * the tween.
+   * @returns {boolean} true if anything changed
+   */
+  function reroute(node) {
+    if (!routes(node) || !node.getParent()) return false;
+    const settled = services.history.settled(node);
+    const { kind, points } = _route(node, settled);
+    const xs = points.filter((_, i) => i % 2 === 0), ys = points.filter((_, i) => i % 2 === 1);
+    const cx = _round((Math.min(...xs) + Math.max(...xs)) / 2);
+    const cy = _round((Math.min(...ys) + Math.max(...ys)) / 2);
+    // Centred like shiftToCenter leaves it, with no rotation or scale
+    const want = {
+      points, x: cx, y: cy, offsetX: cx, offsetY: cy, rotation: 0, scaleX: 1, scaleY: 1,
+      bezier: kind === 'curved', tension: 0,
+    };
+    const tweening = Konva.Tween.tweens[node._id] ?? {};
+    const now = key => settled[key] ?? ROUTE_DEFAULTS[key];
+    const changed = Object.fromEntries(Object.entries(want).filter(([key, value]) => {
+      if (key in tweening) return false;
+      if (key === 'points') {
+        const cur = now('points') ?? [];
+        return cur.length !== value.length || cur.some((v, i) => Math.abs(v - value[i]) > 0.01);
+      }
+      return now(key) !== value;
+    }));
+    if (!Object.keys(changed).length) return false;
+    node.setAttrs(changed);
+    return true;
+  }
+
+  /** Whether `node`'s route follows its binding: a bound connector, not locked. */
+  function routes(node) {
+    return _managed(node) && !services.permissions?.isLocked(node);
+  }
+
+  /** Every managed connector on the canvas. */
+  const _all = () => services.core.layer.find(_managed);
+
+  /**
+   * Reroute every connector whose shapes moved. History.save() calls this
+   * before it diffs.
+   * @returns {number} how many changed
+   */
+  function sync() {
+    const moved = _all().filter(reroute).length;
+    if (moved) services.core.layer.batchDraw();
+    return moved;
+  }
+
+  /** Reroute the connectors attached to `target` or to anything inside it, and those inside it. */
+  function _follow(target) {
+    if (!target || target.getLayer() !== services.core.layer) return;
+    const ids = new Set([target, ...(target.find ? target.find(n => !!n._publicId) : [])].map(n => n._publicId).filter(Boolean));
+    const inside = n => { for (let p = n.getParent(); p; p = p.getParent()) if (p === target) return true; return false; };
+    const hit = _all().filter(c => c !== target
+      && (ids.has(c.getAttr('sourceId')) || ids.has(c.getAttr('targetId')) || inside(c)));
+    if (hit.filter(reroute).length) services.core.layer.batchDraw();
+  }
+
+  // Follow shapes live while they are dragged or transformed. Drag events
+  // bubble to the layer; the Transformer reports each node it transforms.
+  services.core.layer.on('dragmove.connectors', e => {
+    if (e.target !== services.core.tr) _follow(e.target);
+  });
+  services.core.tr.on('transform.connectors', e => _follow(e.target));
+
+  // ── Binding ───────────────────────────────────────────────────
+
+  /**
+   * Bind a connector's ends and route it. Doesn't save.
+   * @param {Konva.Node} node  An arrow or line
+   * @param {{ sourceId?: string|null, targetId?: string|null, sourceAnchor?: string,
+   *           targetAnchor?: string, routing?: string }} binding
+   */
+  function bind(node, binding) {
+    const attrs = Object.fromEntries(Object.entries(binding).filter(([, v]) => v !== undefined));
+    node.setAttrs(attrs);
+    if (node.getAttr('sourceId') || node.getAttr('targetId')) node.draggable(false);
+    reroute(node);
+  }
+
+  /**
+   * Draw an arrow bound from `from` to `to` (nodes or ids).
+   * @param {object} [config]  `sourceAnchor`, `targetAnchor`, `routing`, and arrow style
+   * @returns {Konva.Arrow|null} null if either shape is missing
+   */
+  function connect(from, to, config = {}) {
+    const { shapes } = services;
+    const a = typeof from === 'string' ? shapes.getById(from) : from;
+    const b = typeof to   === 'string' ? shapes.getById(to)   : to;
+    if (!a || !b || a === b || !a._publicId || !b._publicId) return null;
+
+    const { sourceAnchor = 'auto', targetAnchor = 'auto', routing: kind = 'straight', ...style } = config;
+    const ra = restingRect(a), rb = restingRect(b);
+    const p1 = _edge(ra, _centre(rb)), p2 = _edge(rb, _centre(ra));
+    // create() saves, and the save routes it
+    return shapes.create('arrow', {
+      x: 0, y: 0, points: [p1.x, p1.y, p2.x, p2.y], draggable: false, ...style,
+      sourceId: a._publicId, targetId: b._publicId, sourceAnchor, targetAnchor, routing: kind,
+    });
+  }
+
+  // ── Drawing ───────────────────────────────────────────────────
+
+  /**
+   * The anchor nearest `pos` on the topmost shape within snapping distance,
+   * connectors excepted.
+   * @param {{ x: number, y: number }} pos  Canvas coordinates
+   * @returns {{ shape: Konva.Node, anchor: string, point: { x: number, y: number } }|null}
+   */
+  function snap(pos) {
+    const reach = SNAP / (services.core.stage.scaleX() || 1);
+    const near = { x: pos.x - reach, y: pos.y - reach, width: 2 * reach, height: 2 * reach };
+    const shape = services.query.shapesInRect(near).reverse()
+      .find(n => !isConnector(n) && n.getAttr('shapeType') !== 'pencil');
+    if (!shape) return null;
+    const { points } = anchorPoints(shape);
+    const best = ANCHORS
+      .map(anchor => ({ anchor, point: points[anchor] }))
+      .sort((p, q) => Math.hypot(p.point.x - pos.x, p.point.y - pos.y) - Math.hypot(q.point.x - pos.x, q.point.y - pos.y))[0];
+    return { shape, ...best };
+  }
+
+  /** Mark `shape`'s anchors on the overlay, `active` highlighted. null clears. */
+  function showAnchors(shape, active) {
+    const { overlay } = services.core;
+    _dots?.destroy();
+    _dots = null;
+    if (shape) {
+      const { points } = anchorPoints(shape);
+      const r = DOT / (services.core.stage.scaleX() || 1);
+      _dots = new Konva.Group({ listening: false });
+      ANCHORS.forEach(anchor => _dots.add(new Konva.Circle({
+        ...points[anchor], radius: anchor === active ? r * 1.6 : r,
+        fill: anchor === active ? '#3b82f6' : '#ffffff', stroke: '#3b82f6', strokeWidth: 1.5 * r / DOT,
+      })));
+      overlay.add(_dots);
+    }
+    overlay.batchDraw();
+  }
+
+  events.on('studio:destroy', () => {
+    services.core.layer.off('.connectors');
+    services.core.tr.off('.connectors');
+    showAnchors(null);
+  });
+
+  return {
+    connect, bind, reroute, routes, sync, snap, showAnchors, isConnector, restingRect, anchorPoints,
+    /** Routing for connectors drawn from now on */
+    get routing() { return routing; },
+    set routing(v) { if (ROUTINGS.includes(v)) routing = v; },
+  };
+}
@@ -1,6 +1,9 @@
 /**
  * Drawing — pencil freehand drawing and drag-to-create shape engine.
  * Tools call these methods from their mousedown/mousemove/mouseup handlers.
+ *
+ * Arrow and line ends snap to the anchors of the shape under the pointer,
+ * and a connector drawn that way stays bound to it (modules/Connectors.js).
  */
 export function createDrawing(services) {
   let pencilSize   = 4;
@@ -10,6 +13,8 @@ export function createDrawing(services) {
   let _isDrag      = false;
   let _dragStart   = null;
   let _tempShape   = null;
+  /** @type {{ source: object|null, target: object|null }} connector ends snapped to shapes */
+  let _ends        = { source: null, target: null };
 
   // ── Pencil ────────────────────────────────────────────────────
   function startPencil(pos) {
@@ -40,6 +45,7 @@ export function createDrawing(services) {
       _pencilLine.destroy();
     } else {
       services.interaction.makeInteractive(_pencilLine);
+      services.shapes.adopt(_pencilLine, 'pencil');
       if (services.core.watermark) services.core.watermark.moveToTop();
       services.history.save();
       services.core.layer.draw();
@@ -49,8 +55,21 @@ export function createDrawing(services) {
   }
 
   // ── Drag-draw (shapes) ────────────────────────────────────────
+  /** Snap a connector end to the anchor under `pos`, marking it on the overlay. */
+  function _snapEnd(pos, exclude) {
+    const hit = services.connectors.snap(pos);
+    const end = hit && hit.shape !== exclude ? hit : null;
+    services.connectors.showAnchors(end?.shape ?? null, end?.anchor);
+    return end;
+  }
+
   function startDrag(type, pos) {
     _isDrag    = true;
+    _ends      = { source: null, target: null };
+    if (type === 'arrow' || type === 'line') {
+      _ends.source = _snapEnd(pos);
+      if (_ends.source) pos = _ends.source.point;
+    }
     _dragStart = { ...pos };
     const color = services.color.current();
 
@@ -88,7 +107,9 @@ export function createDrawing(services) {
       const scale = Math.hypot(pos.x - sp.x, pos.y - sp.y) / 30;  // Scale from distance
       _tempShape.scale({ x: scale, y: scale });
     } else if (type === 'arrow' || type === 'line') {
-      _tempShape.points([sp.x, sp.y, pos.x, pos.y]);
+      _ends.target = _snapEnd(pos, _ends.source?.shape);
+      const end = _ends.target?.point ?? pos;
+      _tempShape.points([sp.x, sp.y, end.x, end.y]);
     }
     services.core.layer.batchDraw();
   }
@@ -96,6 +117,7 @@ export function createDrawing(services) {
   function endDrag(type) {
     if (!_isDrag) return;
     _isDrag = false;
+    services.connectors.showAnchors(null);
     if (!_tempShape) return;
 
     // Min-size guard
@@ -118,8 +140,17 @@ export function createDrawing(services) {
       _tempShape.shadowBlur(8);
       _tempShape.shadowOffset({ x: 2, y: 2 });
       _tempShape.draggable(true);
-      _shiftToCenter(_tempShape);
+      shiftToCenter(_tempShape);
       services.interaction.makeInteractive(_tempShape);
+      services.shapes.adopt(_tempShape, type);
+      const { source, target } = _ends;
+      if (source || target) {
+        services.connectors.bind(_tempShape, {
+          sourceId: source?.shape._publicId, sourceAnchor: source?.anchor,
+          targetId: target?.shape._publicId, targetAnchor: target?.anchor,
+          routing:  services.connectors.routing,
+        });
+      }
       // Keep watermark on top
       if (services.core.watermark) services.core.watermark.moveToTop();
       services.history.save();
@@ -129,19 +160,6 @@ export function createDrawing(services) {
     services.core.layer.draw();
   }
 
-  /** Shift offsetX/Y to visual centre so scale/rotation work correctly. */
-  function _shiftToCenter(shape) {
-    // Groups don't have getSelfRect(), use getClientRect() as fallback
-    const r  = shape.getSelfRect ? shape.getSelfRect() : shape.getClientRect();
-    const cx = r.x + r.width  / 2;
-    const cy = r.y + r.height / 2;
-    const dx = cx - shape.offsetX();
-    const dy = cy - shape.offsetY();
-    if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) return;
-    shape.offsetX(cx); shape.offsetY(cy);
-    shape.x(shape.x() + dx); shape.y(shape.y() + dy);
-  }
-
   return {
     get pencilSize() { return pencilSize; },
     set pencilSize(v) { pencilSize = v; },
@@ -149,6 +167,22 @@ export function createDrawing(services) {
     set fontSize(v)  { fontSize = v; },
     startPencil, movePencil, endPencil,
     startDrag, moveDrag, endDrag,
-    shiftToCenter: _shiftToCenter,
+    shiftToCenter,
   };
 }
+
+/**
+ * Shift offsetX/Y to visual centre so scale/rotation work correctly.
+ * Pure Konva — exported so headless modules can use it without a Drawing instance.
+ */
+export function shiftToCenter(shape) {
+  // Groups don't have getSelfRect(), use getClientRect() as fallback
+  const r  = shape.getSelfRect ? shape.getSelfRect() : shape.getClientRect();
+  const cx = r.x + r.width  / 2;
+  const cy = r.y + r.height / 2;
+  const dx = cx - shape.offsetX();
+  const dy = cy - shape.offsetY();
+  if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) return;
+  shape.offsetX(cx); shape.offsetY(cy);
+  shape.x(shape.x() + dx); shape.y(shape.y() + dy);
+}
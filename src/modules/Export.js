@@ -1,25 +1,47 @@
 /**
  * Export — exports the canvas as PNG (high-res) or JSON (layer state).
+ *
+ * Every exporter returns its payload (data URL / JSON string / SVG markup).
+ * In the browser it also triggers a download, unless `filename` is `false`;
+ * headless it only returns.
+ *
+ * getState()/loadState() speak the versioned format in core/StateSchema.js;
+ * loadState() validates (and migrates) before touching the canvas, emits
+ * 'before:document:load' (a listener returning false cancels), then
+ * 'document:load' — { version, shapeCount } — after the shape events of
+ * the load itself.
+ * describe() summarises the board in words for LLMs (core/SceneDescription.js).
  */
+import { STATE_SCHEMA, STATE_VERSION, validateState, migrateState } from '../core/StateSchema.js';
+import { describeScene } from '../core/SceneDescription.js';
+
 export function createExport(services) {
+  const headless = !!services.options?.headless;
+
   function asPNG(filename) {
     const { core, ui } = services;
     const nodes = core.tr.nodes();
     core.tr.nodes([]);
+    core.overlay.hide();
     core.layer.draw();
     const dataURL = core.stage.toDataURL({ pixelRatio: 2 });
     core.tr.nodes(nodes);
+    core.overlay.show();
     core.layer.draw();
-    _download(filename || `agentdraw-canvas-${Date.now()}.png`, dataURL);
+    if (!headless && filename !== false) _download(filename || `agentdraw-canvas-${Date.now()}.png`, dataURL);
     ui.toast('Exported as PNG ✓');
+    return dataURL;
   }
 
   function asJSON(filename) {
     const { core, ui } = services;
     const json = core.layer.toJSON();
-    const blob = new Blob([json], { type: 'application/json' });
-    _download(filename || `agentdraw-canvas-${Date.now()}.json`, URL.createObjectURL(blob));
+    if (!headless && filename !== false) {
+      const blob = new Blob([json], { type: 'application/json' });
+      _download(filename || `agentdraw-canvas-${Date.now()}.json`, URL.createObjectURL(blob));
+    }
     ui.toast('Exported as JSON ✓');
+    return json;
   }
 
   function asSVG(filename) {
@@ -32,10 +54,9 @@ export function createExport(services) {
     const svgHeight = stage.height();
     let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">`;
     
-    // Convert each shape to SVG
-    layer.getChildren().forEach(child => {
-      if (child.getClassName() === 'Transformer') return;
-      
+    // Convert each shape to SVG — groups recurse into their members
+    const toSVG = child => {
+      let svgContent = '';
       const type = child.getClassName();
       const x = child.x();
       const y = child.y();
@@ -43,11 +64,13 @@ export function createExport(services) {
       const scaleX = child.scaleX();
       const scaleY = child.scaleY();
       const opacity = child.opacity();
-      const fill = child.fill() || 'none';
-      const stroke = child.stroke() || 'none';
-      const strokeWidth = child.strokeWidth() || 0;
+      const fill = child.fill?.() || 'none';
+      const stroke = child.stroke?.() || 'none';
+      const strokeWidth = child.strokeWidth?.() || 0;
+      // Konva skews are slopes; ungrouping a rotated, unevenly scaled group leaves one
+      const skew = child.skewX() ? ` skewX(${Math.atan(child.skewX()) * 180 / Math.PI})` : '';
       
-      const transform = `translate(${x}, ${y}) rotate(${rotation}) scale(${scaleX}, ${scaleY})`;
+      const transform = `translate(${x}, ${y}) rotate(${rotation})${skew} scale(${scaleX}, ${scaleY})`;
       const style = `fill:${fill};stroke:${stroke};stroke-width:${strokeWidth};opacity:${opacity}`;
       
       if (type === 'Circle') {
@@ -71,7 +94,6 @@ export function createExport(services) {
       } else if (type === 'Arrow') {
         const points = child.points();
         const pointerLength = child.pointerLength() || 10;
-        const pointerWidth = child.pointerWidth() || 10;
         
         // Create line path
         let pathData = '';
@@ -135,6 +157,10 @@ export function createExport(services) {
         // Apply path's own scale to the transform
         const combinedTransform = `translate(${x}, ${y}) rotate(${rotation}) scale(${scaleX * (pathScale?.x || 1)}, ${scaleY * (pathScale?.y || 1)})`;
         svgContent += `<path d="${data}" style="${style}" transform="${combinedTransform}"/>`;
+      } else if (type === 'Group' && child.getAttr('shapeType') !== 'sticky') {
+        svgContent += `<g transform="${transform}" style="opacity:${opacity}">`;
+        svgContent += child.getChildren().map(toSVG).join('');
+        svgContent += `</g>`;
       } else if (type === 'Group') {
         // Handle sticky notes (groups)
         svgContent += `<g transform="${transform}" style="opacity:${opacity}">`;
@@ -171,14 +197,24 @@ export function createExport(services) {
           console.warn('[SVG Export] Could not export custom shape:', e);
         }
       }
-    });
+      // A shape's label, in its own frame — custom shapes' are in their image already
+      const label = type !== 'Shape' ? services.labels?.toSVG(child) : '';
+      if (label) {
+        svgContent += `<g transform="${transform} translate(${-child.offsetX()}, ${-child.offsetY()})" style="opacity:${opacity}">${label}</g>`;
+      }
+      return svgContent;
+    };
+    svgContent += layer.getChildren(n => n.getClassName() !== 'Transformer').map(toSVG).join('');
     
     svgContent += '</svg>';
     
     // Create blob and download
-    const blob = new Blob([svgContent], { type: 'image/svg+xml' });
-    _download(filename || `agentdraw-canvas-${Date.now()}.svg`, URL.createObjectURL(blob));
+    if (!headless && filename !== false) {
+      const blob = new Blob([svgContent], { type: 'image/svg+xml' });
+      _download(filename || `agentdraw-canvas-${Date.now()}.svg`, URL.createObjectURL(blob));
+    }
     ui.toast('Exported as SVG ✓');
+    return svgContent;
   }
 
   function _download(filename, href) {
@@ -192,107 +228,137 @@ export function createExport(services) {
 
   // ── Agent-ready API ──────────────────────────────────────────────────
 
+  // Flat fields each top-level item repeats for quick reads; `attrs` is authoritative
+  const TRANSFORM_KEYS = ['x', 'y', 'rotation', 'scaleX', 'scaleY', 'opacity'];
+  const STYLE_KEYS     = ['fill', 'stroke', 'strokeWidth', 'width', 'height', 'radius', 'text', 'fontSize', 'points'];
+
+  /**
+   * One node as plain data: registry type, Konva class, every attr that
+   * differs from Konva's default (running tweens at their end value) and,
+   * for containers, the children in z-order.
+   */
+  function _serialize(node) {
+    const { attrs, className } = node.toObject();
+    const settled = services.history.settled(node);
+    Object.keys(settled).forEach(k => {
+      const v = settled[k];
+      if (v !== node.getAttr(k) && (typeof v !== 'object' || v === null || Array.isArray(v))) attrs[k] = v;
+    });
+    const type = attrs.shapeType ?? className.toLowerCase();
+    delete attrs.shapeType;
+
+    const item = { id: node._publicId || null, type, className, attrs };
+    if (node.getChildren) item.children = node.getChildren().map(_serialize);
+    return item;
+  }
+
   function getState() {
-    const layer = services.core.layer;
-    const shapes = [];
-    
-    layer.getChildren().forEach(child => {
-      if (child.getClassName() === 'Transformer') return;
-      if (child.name() === 'watermark') return;  // Exclude watermark
-      
-      const attrs = child.getAttrs();
-      const shapeData = {
-        id: child._publicId || null,
-        type: child.getClassName(),
-        x: child.x(),
-        y: child.y(),
-        rotation: child.rotation(),
-        scaleX: child.scaleX(),
-        scaleY: child.scaleY(),
-        opacity: child.opacity(),
-        fill: attrs.fill,
-        stroke: attrs.stroke,
-        strokeWidth: attrs.strokeWidth,
-      };
-      
-      // Add type-specific properties
-      if (attrs.width !== undefined) shapeData.width = attrs.width;
-      if (attrs.height !== undefined) shapeData.height = attrs.height;
-      if (attrs.radius !== undefined) shapeData.radius = attrs.radius;
-      if (attrs.text !== undefined) shapeData.text = attrs.text;
-      if (attrs.fontSize !== undefined) shapeData.fontSize = attrs.fontSize;
-      if (attrs.points !== undefined) shapeData.points = attrs.points;
-      
-      shapes.push(shapeData);
+    const { layer, tr, watermark } = services.core;
+    const shapes = layer.getChildren(n => n !== tr && n !== watermark).map(node => {
+      const item = _serialize(node);
+      TRANSFORM_KEYS.forEach(k => { item[k] = item.attrs[k] ?? node[k](); });
+      STYLE_KEYS.forEach(k => { if (item.attrs[k] !== undefined) item[k] = item.attrs[k]; });
+      return item;
     });
-    
+
     return {
-      version: '1.0.0',
+      version: STATE_VERSION,
       timestamp: new Date().toISOString(),
       shapeCount: shapes.length,
       shapes,
     };
   }
 
+  /**
+   * The board in words and as a relationship graph: labels, text, what
+   * contains what, arrows as A → B, relative positions and clusters.
+   * @param {{ maxTokens?: number, textLength?: number, clusterGap?: number }} [options]
+   * @returns {{ text: string, tokens: number, detail: number, bounds: object|null,
+   *   shapes: object[], arrows: object[], relations: object[], clusters: object[] }}
+   */
+  function describe(options) {
+    return describeScene(services, options);
+  }
+
+  /**
+   * Check a state document without loading it. Older versions are migrated
+   * first, so errors point into the migrated document.
+   * @returns {{ valid: boolean, version: string|null, errors: Array<{ path: string, message: string }>, doc?: object }}
+   */
+  function validate(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      return { valid: false, version: null, errors: [{ path: '', message: 'must be object' }] };
+    }
+    const version = json.version ?? '1.0.0';
+    let doc;
+    try {
+      doc = migrateState(json, services);
+    } catch (err) {
+      return { valid: false, version, errors: [{ path: '/version', message: err.message }] };
+    }
+
+    const errors = validateState(doc);
+    // Beyond the schema: every node must be something restore() can build
+    const visit = (item, path) => {
+      if (!item || typeof item !== 'object') return;
+      if (typeof item.className === 'string' && !Konva[item.className]) {
+        errors.push({ path: `${path}/className`, message: `unknown Konva class '${item.className}'` });
+      }
+      if (Array.isArray(item.children)) item.children.forEach((c, i) => visit(c, `${path}/children/${i}`));
+    };
+    if (Array.isArray(doc.shapes)) doc.shapes.forEach((item, i) => visit(item, `/shapes/${i}`));
+
+    return { valid: errors.length === 0, version, errors, doc };
+  }
+
+  /**
+   * Replace the canvas with a state document. Nothing is loaded unless the
+   * whole document validates; see validate() for the errors. In suggestion
+   * mode a load by an agent or peer becomes a proposal instead, and the
+   * result says so, like Agent.applyOps().
+   * @returns {boolean|{ proposed: true }}
+   */
   function loadState(json) {
-    if (!json || !json.shapes || !Array.isArray(json.shapes)) {
-      console.error('[Export] Invalid state format');
+    const { valid, errors, doc } = validate(json);
+    if (!valid) {
+      console.error('[Export] Invalid state:', errors);
+      services.ui.toast(`Invalid state: ${errors[0].path || '/'} ${errors[0].message}`, 3000);
       return false;
     }
-    
-    
+
+    if (!services.events.emit('before:document:load', { version: doc.version, shapeCount: doc.shapes.length })) {
+      services.ui.toast('Load cancelled');
+      return false;
+    }
+
+    const proposed = !!services.proposals?.diverts(services.history.actor());
     services.animations.stopAll(true);  // Silent
-    services.core.layer.destroyChildren();
-    if (services.core.watermark) services.core.layer.add(services.core.watermark);
-    services.core.layer.add(services.core.tr);
-    services.interaction.deselect();
-    
-    // Recreate shapes from state
-    json.shapes.forEach(item => {
-      if (!item.type || !item.id) return;
-      
-      const config = {
-        x: item.x,
-        y: item.y,
-        rotation: item.rotation || 0,
-        scaleX: item.scaleX || 1,
-        scaleY: item.scaleY || 1,
-        opacity: item.opacity !== undefined ? item.opacity : 1,
-        fill: item.fill,
-        stroke: item.stroke,
-        strokeWidth: item.strokeWidth,
-      };
-      
-      // Add type-specific properties
-      if (item.width !== undefined) config.width = item.width;
-      if (item.height !== undefined) config.height = item.height;
-      if (item.radius !== undefined) config.radius = item.radius;
-      if (item.text !== undefined) config.text = item.text;
-      if (item.fontSize !== undefined) config.fontSize = item.fontSize;
-      if (item.points !== undefined) config.points = item.points;
-      
-      // Suppress entrance animation by setting opacity to final value
-      const shape = services.shapes.create(item.type.toLowerCase(), config);
-      if (shape) {
-        if (item.id && shape._publicId) {
-          services.shapes.shapeMap.delete(shape._publicId);
-          shape._publicId = item.id;
-          services.shapes.shapeMap.set(item.id, shape);
-        }
-        shape.opacity(config.opacity);
-        shape.scaleX(config.scaleX);
-        shape.scaleY(config.scaleY);
-      }
+    services.interaction?.deselect();
+
+    // One undo step takes the whole load back
+    services.history.batch(() => {
+      const { layer, tr, watermark } = services.core;
+      layer.getChildren(n => n !== tr && n !== watermark).forEach(n => n.remove());
+      services.shapes.shapeMap.clear();
+
+      // Recreate shapes in saved z-order
+      doc.shapes.forEach(item => services.shapes.restore(item));
     });
-    
-    
+
     if (services.core.watermark) services.core.watermark.moveToTop();
     services.core.layer.batchDraw();
     services.events.emit('stats:update');
-    services.history.save();
-    services.ui.toast(`Loaded ${json.shapes.length} shapes`, 2000);
+    // Held for review, nothing has loaded yet — accepting it fires the shape events only
+    if (proposed) return { proposed: true };
+    services.events.emit('document:load', { version: doc.version, shapeCount: doc.shapes.length });
+    services.ui.toast(`Loaded ${doc.shapes.length} shapes`, 2000);
     return true;
   }
 
-  return { asPNG, asJSON, asSVG, getState, loadState };
+  return {
+    asPNG, asJSON, asSVG, getState, loadState, validate, describe,
+    serialize: _serialize,
+    download: _download,  // for modules with exports of their own (Audit)
+    schema: STATE_SCHEMA,
+  };
 }
@@ -0,0 +1,113 @@
+/**
+ * Groups — combine shapes into one Konva.Group that moves, scales, animates
+ * and exports as a unit, and split it up again.
+ *
+ *   const g = services.groups.group([a, b]);   // a and b stay where they are on screen
+ *   services.groups.ungroup(g);                // → [a, b], still in place
+ *
+ * A group is a shape like any other: shapeType 'group', a public id in
+ * shapeMap, a place on the layer or inside another group — groups nest.
+ * Its members sit in its coordinates, so grouping and ungrouping rework
+ * each member's transform to keep it where it was, whatever the group's
+ * rotation or scale. A new group's origin is the centre of what it holds,
+ * so it spins and pulses about its middle like the other shapes.
+ *
+ * Members don't drag on their own — the group does. Interaction.enter()
+ * opens a group so its members can be selected and edited in place.
+ *
+ * Neither call saves: ShapeRegistry.group / ungroup and Agent do.
+ */
+
+export const GROUP_TYPE = 'group';
+
+// Transform keys group() and ungroup() rewrite on members
+const KEYS = ['x', 'y', 'rotation', 'scaleX', 'scaleY', 'skewX', 'skewY'];
+
+// Float noise from the matrix maths isn't worth recording
+const _round = v => Math.round(v * 1e6) / 1e6;
+
+export function createGroups(services) {
+
+  /** Is `node` a group made by group() — not a sticky or other composite shape? */
+  const isGroup = node => node?.getAttr('shapeType') === GROUP_TYPE;
+
+  /** `node`'s transform in its parent, from its resting attrs, without its offset. */
+  function _placement(node) {
+    const settled = services.history.settled(node);
+    const v = key => settled[key] ?? node[key]();
+    const m = new Konva.Transform();
+    m.translate(v('x'), v('y'));
+    m.rotate(Konva.getAngle(v('rotation')));
+    m.skew(v('skewX'), v('skewY'));
+    m.scale(v('scaleX'), v('scaleY'));
+    return m;
+  }
+
+  /** Give `node` the placement `m`, keeping its offset. */
+  function _place(node, m) {
+    const parts = m.decompose();
+    node.setAttrs(Object.fromEntries(KEYS.map(k => [k, _round(parts[k])])));
+  }
+
+  /**
+   * Move `nodes` (siblings) into a new group in their parent, at the z of
+   * the topmost, without moving them on screen. Doesn't save.
+   * @param {Konva.Node[]} nodes
+   * @param {object} [props]  Attrs for the group
+   * @returns {Konva.Group|null} null unless there are nodes sharing one parent
+   */
+  function group(nodes, props = {}) {
+    const parent = nodes[0]?.getParent();
+    if (!parent || nodes.some(n => n.getParent() !== parent)) return null;
+    const members = nodes.slice().sort((a, b) => a.zIndex() - b.zIndex());
+
+    const boxes = members.map(n => services.connectors.restingRect(n, parent));
+    const x1 = Math.min(...boxes.map(b => b.x)), x2 = Math.max(...boxes.map(b => b.x + b.width));
+    const y1 = Math.min(...boxes.map(b => b.y)), y2 = Math.max(...boxes.map(b => b.y + b.height));
+    const g = new Konva.Group({ x: _round((x1 + x2) / 2), y: _round((y1 + y2) / 2), draggable: true });
+    parent.add(g);
+    g.zIndex(members.at(-1).zIndex());
+
+    const into = _placement(g).invert();
+    members.forEach(n => {
+      const m = into.copy().multiply(_placement(n));
+      n.moveTo(g);
+      _place(n, m);
+      n.draggable(false);  // the group drags as one
+    });
+    g.setAttrs(props);
+
+    services.interaction?.makeInteractive(g);
+    services.shapes.adopt(g, GROUP_TYPE);
+    return g;
+  }
+
+  /**
+   * Put a group's members back in its parent, where the group held them,
+   * and take the group off the canvas. Doesn't save.
+   * @returns {Konva.Node[]} the members, back to front — empty if `g` isn't a group
+   */
+  function ungroup(g) {
+    const parent = g?.getParent();
+    if (!isGroup(g) || !parent) return [];
+    const out = _placement(g);
+    const members = g.getChildren().slice();
+    let index = g.zIndex();
+    members.forEach(n => {
+      const m = out.copy().multiply(_placement(n));
+      n.moveTo(parent);
+      n.zIndex(index++);
+      _place(n, m);
+      // Bound connectors stay put; everything else drags again
+      n.draggable(!(n.getAttr('sourceId') || n.getAttr('targetId')));
+    });
+
+    services.animations.stopForShape(g._id);
+    services.interaction?.deselect(g);
+    services.shapes.shapeMap.delete(g._publicId);
+    g.remove();  // not destroy() — undo brings the same node back
+    return members;
+  }
+
+  return { group, ungroup, isGroup };
+}
@@ -9,7 +9,7 @@ export function createImageUpload(services) {
   input.type = 'file';
   input.accept = 'image/*';
   input.style.display = 'none';
-  document.body.appendChild(input);
+  services.core.area.appendChild(services.dom.track(input));
 
   input.addEventListener('change', () => {
     const file = input.files[0];
@@ -31,6 +31,11 @@ export function createImageUpload(services) {
 
   function _placeImage(src) {
     const img = new window.Image();
+    const done = services.history.defer();
+    img.onerror = () => {
+      services.ui.toast('Could not load image');
+      done();
+    };
     img.onload = () => {
       const stage   = services.core.stage;
       const maxW    = stage.width()  * 0.55;
@@ -41,6 +46,7 @@ export function createImageUpload(services) {
 
       const kImg = new Konva.Image({
         image:    img,
+        src,
         x:        stage.width()  / 2 - w / 2,
         y:        stage.height() / 2 - h / 2,
         width:    w,
@@ -56,6 +62,7 @@ export function createImageUpload(services) {
       services.core.layer.add(kImg);
       services.drawing.shiftToCenter(kImg);
       services.interaction.makeInteractive(kImg);
+      services.shapes.adopt(kImg, 'image');
       
       // Keep watermark on top
       if (services.core.watermark) services.core.watermark.moveToTop();
@@ -63,18 +70,20 @@ export function createImageUpload(services) {
       kImg.to({ opacity: 1, duration: 0.35, easing: Konva.Easings.EaseOut });
 
       services.events.emit('stats:update');
-      services.history.save();
+      done.run(() => services.history.save());
       services.ui.toast('Image added ✓');
+      done();
     };
     img.src = src;
   }
 
   // ── Drag-and-drop onto canvas area ──────────────────────────────
-  const area = document.getElementById('canvas-area');
+  const { dom } = services;
+  const area = services.core.area;
   if (area) {
-    area.addEventListener('dragover', e => { e.preventDefault(); area.style.outline = '3px dashed var(--accent)'; });
-    area.addEventListener('dragleave', () => { area.style.outline = ''; });
-    area.addEventListener('drop', e => {
+    dom.listen(area, 'dragover', e => { e.preventDefault(); area.style.outline = '3px dashed var(--accent)'; });
+    dom.listen(area, 'dragleave', () => { area.style.outline = ''; });
+    dom.listen(area, 'drop', e => {
       e.preventDefault();
       area.style.outline = '';
       const file = e.dataTransfer.files[0];
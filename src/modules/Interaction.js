@@ -2,109 +2,374 @@
  * Interaction — wires hover, click-selection, and drag events onto every shape.
  * Call makeInteractive(shape) after adding a shape to the layer.
  *
+ * The selection is a list of shapes, all held by the Transformer, so they
+ * drag, scale and rotate together. Click selects one shape, Shift / Ctrl /
+ * ⌘-click toggles one in or out, and with the select tool a drag on empty
+ * canvas draws a marquee that selects every shape at the current level fully inside
+ * it (adding to the selection with Shift / Ctrl / ⌘). selected() is the
+ * shape selected last, for callers that act on one.
+ *
+ * Clicking a shape inside a group picks the group. Double-clicking a group
+ * enters it (see modules/Groups.js): clicks, drags and the marquee then
+ * pick its members, and double-clicking a group among them goes a level
+ * deeper. Escape goes back up a level, selecting the group it leaves; a
+ * click on empty canvas or on a shape outside leaves every level.
+ *
+ * The eraser finds the shape under the pointer through the spatial index
+ * (shapeAt(), backed by Query.shapesAt), so hovering and erasing cost the
+ * same on any size of board. Selecting, hovering and dragging with the
+ * select tool stay on Konva's own shape events, which dragging needs.
+ *
  * Emits:
- *   'selection:change' — shape | null 
+ *   'selection:change' — Konva.Node[] (empty when nothing is selected)
  * <!-- Made with ❤️ by Mehul Ligade -->
  * <!-- https://github.com/mehulcode12/agentdraw-canvas.git -->
  */
+
+// Below this size (screen px) a marquee drag counts as a click
+const MARQUEE_MIN = 4;
+
 export function createInteraction(services) {
   const { events } = services;
-  let _selected = null;
+  /** @type {Konva.Node[]} in the order they were selected */
+  let _selection = [];
+  /** @type {{ start: { x: number, y: number }, rect: Konva.Rect, add: boolean }|null} */
+  let _marquee = null;
+  let _marqueeDone = false;  // the click ending a marquee drag isn't a background click
+  /** @type {Konva.Group|null} the innermost group entered, or null at the top level */
+  let _scope = null;
+  /** @type {Konva.Rect|null} dashed frame around the entered group, on the overlay */
+  let _frame = null;
+  /** @type {Konva.Node|null} the shape under the last press */
+  let _pressed = null;
+  /** @type {Konva.Node|null} the shape dimmed under the eraser */
+  let _erasing = null;
 
-  // Stage background click → deselect
+  // Stage background click → deselect (and leave any group), unless adding to the selection
   services.core.stage.on('click tap', e => {
-    if (e.target === services.core.stage) deselect();
+    if (services.tools?.active() === 'eraser') {
+      const target = shapeAt(services.core.layer.getRelativePointerPosition());
+      _dimForEraser(null);
+      if (target) services.shapes?.erase(target);
+      return;
+    }
+    if (_marqueeDone) {
+      _marqueeDone = false;
+      return;
+    }
+    if (e.target === services.core.stage && !_additive(e.evt)) {
+      _close();
+      deselect();
+    }
+  });
+  services.core.stage.on('mousedown touchstart', e => { _pressed = e.target; });
+  services.core.stage.on('mousemove touchmove', () => {
+    const erasing = services.tools?.active() === 'eraser';
+    _dimForEraser(erasing ? shapeAt(services.core.layer.getRelativePointerPosition()) : null);
   });
+  services.core.stage.on('mouseleave', () => _dimForEraser(null));
+  events.on('tool:change', () => _dimForEraser(null));
 
-  function selected()  { return _selected; }
+  // The Transformer doesn't save — a resize or rotation is a step once it ends
+  services.core.tr.on('transformend', () => services.history.save());
 
-  function select(shape) {
-    if (_selected && _selected !== shape) {
-      _selected.to({ shadowBlur: 8, shadowColor: 'rgba(0,0,0,0.3)', duration: 0.1 });
-    }
-    _selected = shape;
-    services.core.tr.nodes(shape ? [shape] : []);
+  const _additive = evt => !!(evt && (evt.shiftKey || evt.ctrlKey || evt.metaKey));
+
+  /** The shapes selected, in the order they were selected. */
+  function selection() { return _selection.slice(); }
+
+  /** The shape selected last, or null. */
+  function selected()  { return _selection.at(-1) ?? null; }
+
+  // Shapes the user may not change (Permissions) drag and transform nowhere
+  const _editable = shape => !services.permissions || services.permissions.can('user', 'update', shape);
+
+  // Locked shapes don't drag (Permissions sets them draggable(false)) — and
+  // stay out of the Transformer beside free ones, which would drag them along
+  function _fitTransformer() {
+    const free = _selection.filter(_editable);
+    services.core.tr.nodes(free.length ? free : _selection);
+    services.core.tr.resizeEnabled(free.length === _selection.length);
+    services.core.tr.rotateEnabled(free.length === _selection.length);
+  }
+  events.on('permission:change', () => {
+    _fitTransformer();
+    services.core.layer.batchDraw();
+  });
+
+  // Hover and drag glow through the shadow — groups draw none, so their attrs are left alone
+  const _glows = shape => shape instanceof Konva.Shape;
+  const _unhighlight = shape => _glows(shape) && shape.to({ shadowBlur: 8, shadowColor: 'rgba(0,0,0,0.3)', duration: 0.1 });
+
+  function _set(shapes) {
+    const next = [...new Set(shapes.filter(Boolean))];
+    // Selecting something outside the entered group leaves it
+    if (_scope && next.some(s => !_scope.isAncestorOf(s))) _close();
+    _selection.filter(s => !next.includes(s)).forEach(_unhighlight);
+    _selection = next;
+    _fitTransformer();
     services.core.tr.moveToTop();
     // Keep watermark on top
     if (services.core.watermark) services.core.watermark.moveToTop();
     services.core.layer.batchDraw();
-    events.emit('selection:change', shape);
+    events.emit('selection:change', selection());
+  }
+
+  /**
+   * Select a shape or a list of shapes, replacing the selection — or adding
+   * to it with `{ add: true }`.
+   * @param {Konva.Node|Konva.Node[]|null} shapes
+   */
+  function select(shapes, { add = false } = {}) {
+    const list = [].concat(shapes ?? []);
+    _set(add ? [..._selection.filter(s => !list.includes(s)), ...list] : list);
+  }
+
+  /** Add `shape` to the selection, or take it out if it is in. */
+  function toggle(shape) {
+    _set(_selection.includes(shape) ? _selection.filter(s => s !== shape) : [..._selection, shape]);
+  }
+
+  /** Clear the selection — or take only `shape` out of it. */
+  function deselect(shape) {
+    if (shape) {
+      if (_selection.includes(shape)) _set(_selection.filter(s => s !== shape));
+      return;
+    }
+    if (!_selection.length && !services.core.tr.nodes().length) return;
+    _set([]);
+  }
+
+  /** Drop selected shapes that have left the canvas (undo, redo, patches). */
+  function refresh() {
+    while (_scope && !_scope.getLayer()) _scope = _enclosing(_scope);
+    _reframe();
+    if (_selection.some(s => !s.getLayer())) _set(_selection.filter(s => s.getLayer()));
+    else if (_selection.length) services.core.tr.forceUpdate();
+  }
+
+  // ── Entered groups ────────────────────────────────────────────
+
+  /** The group around `group` that stays entered when leaving it, or null. */
+  const _enclosing = group => {
+    const parent = group.getParent();
+    return services.groups?.isGroup(parent) ? parent : null;
+  };
+
+  /**
+   * The shape a pointer event on `node` acts on: the ancestor (or `node`
+   * itself) sitting directly in the entered group — or on the layer, when
+   * `node` is outside that group.
+   * @returns {Konva.Node|null}
+   */
+  function pick(node) {
+    const top = _scope?.isAncestorOf(node) ? _scope : services.core.layer;
+    let n = node;
+    while (n && n.getParent() !== top) n = n.getParent();
+    return n ?? null;
+  }
+
+  /**
+   * The shape a pointer at `point` (canvas coordinates) acts on, picked as
+   * a click there would be: the topmost one whose pixels are under it.
+   * @returns {Konva.Node|null}
+   */
+  function shapeAt(point) {
+    const hit = services.query?.shapesAt(point, { precise: true })[0];
+    return hit ? pick(hit) : null;
   }
 
-  function deselect() {
-    if (_selected) {
-      _selected.to({ shadowBlur: 8, shadowColor: 'rgba(0,0,0,0.3)', duration: 0.1 });
+  // Dim the shape the eraser would take, restoring the one dimmed before
+  function _dimForEraser(shape) {
+    if (shape === _erasing) return;
+    if (_erasing) _erasing.opacity(_erasing._preEraseOpacity);
+    _erasing = shape;
+    if (shape) {
+      shape._preEraseOpacity = shape.opacity();
+      shape.opacity(shape.opacity() * 0.45);
+      services.core.stage.container().style.cursor = 'none';
     }
-    _selected = null;
-    services.core.tr.nodes([]);
     services.core.layer.batchDraw();
-    events.emit('selection:change', null);
+  }
+
+  /** The group entered, innermost, or null. */
+  function entered() { return _scope; }
+
+  /**
+   * Enter `group` so its members can be selected and edited in place.
+   * @returns {boolean} false if `group` isn't a group on the canvas
+   */
+  function enter(group) {
+    if (!services.groups?.isGroup(group) || !group.getLayer()) return false;
+    deselect();
+    _scope = group;
+    _reframe();
+    return true;
+  }
+
+  /**
+   * Leave the entered group for the one around it, selecting the group left.
+   * @returns {boolean} false if no group was entered
+   */
+  function exit() {
+    if (!_scope) return false;
+    const left = _scope;
+    _scope = _enclosing(left);
+    _reframe();
+    select(left);
+    return true;
+  }
+
+  /** Leave every entered group. */
+  function _close() {
+    if (!_scope) return;
+    _scope = null;
+    _reframe();
+  }
+
+  /** Draw the frame around the entered group, or take it away. */
+  function _reframe() {
+    const { overlay, layer } = services.core;
+    if (!_scope && !_frame) return;
+    _frame?.destroy();
+    _frame = null;
+    if (_scope) {
+      const scale = services.core.stage.scaleX() || 1;
+      const box = _scope.getClientRect({ relativeTo: layer, skipShadow: true });
+      _frame = new Konva.Rect({
+        ...box, listening: false, stroke: 'rgba(108,99,255,0.6)',
+        strokeWidth: 1 / scale, dash: [6 / scale, 4 / scale],
+      });
+      overlay.add(_frame);
+    }
+    overlay.batchDraw();
+  }
+  events.on('history:commit', _reframe);
+
+  // ── Marquee ───────────────────────────────────────────────────
+
+  /** Start a marquee at `pos` (canvas coordinates). */
+  function startMarquee(pos, evt) {
+    const add = _additive(evt);
+    _marqueeDone = false;
+    if (!add) deselect();
+    const scale = services.core.stage.scaleX() || 1;
+    const rect = new Konva.Rect({
+      x: pos.x, y: pos.y, width: 0, height: 0, listening: false,
+      fill: 'rgba(108,99,255,0.08)', stroke: 'rgba(108,99,255,0.8)',
+      strokeWidth: 1 / scale, dash: [4 / scale, 3 / scale],
+    });
+    services.core.overlay.add(rect);
+    _marquee = { start: { ...pos }, rect, add };
+  }
+
+  function moveMarquee(pos) {
+    if (!_marquee) return;
+    const { start, rect } = _marquee;
+    rect.setAttrs({
+      x: Math.min(start.x, pos.x), y: Math.min(start.y, pos.y),
+      width: Math.abs(pos.x - start.x), height: Math.abs(pos.y - start.y),
+    });
+    services.core.overlay.batchDraw();
+  }
+
+  /** Select what the marquee encloses. */
+  function endMarquee() {
+    if (!_marquee) return;
+    const { rect, add } = _marquee;
+    _marquee = null;
+    const box = { x: rect.x(), y: rect.y(), width: rect.width(), height: rect.height() };
+    rect.destroy();
+    services.core.overlay.batchDraw();
+    const scale = services.core.stage.scaleX() || 1;
+    if (Math.max(box.width, box.height) * scale < MARQUEE_MIN) return;
+    _marqueeDone = true;
+
+    const within = _scope ?? services.core.layer;
+    const inside = services.query.shapesInRect(box, { fully: true })
+      .filter(n => n.getParent() === within && n.isVisible());
+    if (inside.length || !add) select(inside, { add });
   }
 
   function makeInteractive(shape) {
-    shape.on('mouseenter', function () {
-      const tool = services.tools?.active();
-      if (tool === 'eraser') {
-        this._preEraseOpacity = this.opacity();
-        this.opacity(this.opacity() * 0.45);
-        this.getLayer()?.batchDraw();
-        services.core.stage.container().style.cursor = 'none';
-        return;
-      }
-      if (tool === 'select') {
+    // Events from inside a shape bubble through it; only the shape they pick acts
+    const acts = (node, e) => pick(e.target) === node;
+
+    shape.on('mouseenter', function (e) {
+      if (!acts(this, e)) return;
+      if (services.tools?.active() === 'select') {
         services.core.stage.container().style.cursor = 'move';
-        if (this !== _selected)
+        if (!_selection.includes(this) && _glows(this))
           this.to({ shadowBlur: 24, shadowColor: 'rgba(108,99,255,0.5)', duration: 0.15 });
       }
     });
 
-    shape.on('mouseleave', function () {
+    shape.on('mouseleave', function (e) {
+      if (!acts(this, e)) return;
       const tool = services.tools?.active();
-      if (tool === 'eraser') {
-        if (this._preEraseOpacity !== undefined) this.opacity(this._preEraseOpacity);
-        this.getLayer()?.batchDraw();
-        return;
-      }
+      if (tool === 'eraser') return;
       if (tool === 'select')
         services.core.stage.container().style.cursor = 'default';
-      if (this !== _selected)
+      if (!_selection.includes(this) && _glows(this))
         this.to({ shadowBlur: 8, shadowColor: 'rgba(0,0,0,0.3)', duration: 0.12 });
     });
 
     shape.on('click tap', function (e) {
-      e.cancelBubble = true;
+      if (!acts(this, e)) return;
       const tool = services.tools?.active();
-      if (tool === 'eraser') {
-        services.shapes?.erase(this);
-        return;
-      }
+      if (tool === 'eraser') return;  // the stage's click handler erases
+      e.cancelBubble = true;
       if (tool !== 'select') return;
-      select(this);
+      if (_additive(e.evt)) toggle(this);
+      else select(this);
     });
 
-    shape.on('dblclick', function () {
-      if (this.getClassName() === 'Text') services.text?.startEdit(this);
+    shape.on('dblclick', function (e) {
+      if (!acts(this, e)) return;
+      if (services.groups?.isGroup(this) && services.tools?.active() === 'select') {
+        e.cancelBubble = true;
+        enter(this);
+        select(pick(e.target));
+        return;
+      }
+      const editsText = this.getClassName() === 'Text' || services.labels?.labelled(this);
+      if (editsText && _editable(this)) services.text?.startEdit(this);
     });
 
-    shape.on('dragstart', function () {
+    shape.on('dragstart', function (e) {
+      if (e.target !== this) return;
+      // In an entered group, pressing a member drags the member, not the group
+      const member = _pressed && this.isAncestorOf(_pressed) ? pick(_pressed) : null;
+      if (member && member !== this) {
+        this.stopDrag();
+        if (_editable(member)) member.startDrag();
+        else services.ui.toast('Locked — unlock it to move it (Ctrl+L)');
+        return;
+      }
       services.core.stage.container().style.cursor = 'grabbing';
-      this.to({ shadowBlur: 32, shadowOpacity: 0.45, duration: 0.1 });
+      if (_glows(this)) this.to({ shadowBlur: 32, shadowOpacity: 0.45, duration: 0.1 });
       this.moveToTop();
       services.core.tr.moveToTop();
       
       if (services.core.watermark) services.core.watermark.moveToTop();
     });
 
-    shape.on('dragend', function () {
+    shape.on('dragend', function (e) {
+      if (e.target !== this) return;
       const tool = services.tools?.active();
       services.core.stage.container().style.cursor =
         tool === 'select' ? 'default' : 'crosshair';
-      this.to({ shadowBlur: 8, shadowOpacity: 0.2, duration: 0.2 });
+      if (_glows(this)) this.to({ shadowBlur: 8, shadowOpacity: 0.2, duration: 0.2 });
       services.history.save();
     });
 
     return shape;
   }
 
-  return { selected, select, deselect, makeInteractive };
+  return {
+    selection, selected, select, toggle, deselect, refresh,
+    enter, exit, entered, pick, shapeAt,
+    startMarquee, moveMarquee, endMarquee,
+    makeInteractive,
+  };
 }
@@ -0,0 +1,194 @@
+/**
+ * Labels — text inside closed shapes: a rect, a circle, a star that says
+ * what it stands for.
+ *
+ *   studio.Shapes.create('rect', { text: 'Start', align: 'left', padding: 12 });
+ *   studio.Shapes.updateById(id, { text: 'Checkout', verticalAlign: 'top' });
+ *
+ * Types registered with a `textBox` (see ShapeRegistry) take a label. It
+ * lives in plain attrs on the shape, so getState() reports it as `text`
+ * and history, patches and loadState() keep it like any other:
+ *
+ *   text           the label; none when empty
+ *   align          'left' | 'center' | 'right'
+ *   verticalAlign  'top' | 'middle' | 'bottom'
+ *   padding        space between the text box's edge and the text
+ *   wrap           'word' | 'char' | 'none'
+ *   fontSize, fontFamily
+ *   textColor      defaults to dark or light, whichever reads on the fill
+ *   autoShrink     false keeps fontSize and cuts the text off with '…'
+ *
+ * The label is painted by the shape itself: attach() swaps its sceneFunc
+ * for one that draws the outline, then the text, wrapped to the text box
+ * and shrunk until it fits. It moves, scales, animates and clones with the
+ * shape, and pointer hits still land on the outline alone.
+ *
+ * Double-clicking a labelled shape edits the label in Text's textarea.
+ */
+
+const LABEL_DEFAULTS = {
+  align: 'center', verticalAlign: 'middle', padding: 8, wrap: 'word',
+  fontSize: 18, fontFamily: "'Kalam', cursive", autoShrink: true,
+};
+
+// Label config keys (JSON Schema), added to the schema of types with a textBox
+export const LABEL_PROPS = {
+  text:          { type: 'string' },
+  align:         { type: 'string', enum: ['left', 'center', 'right'] },
+  verticalAlign: { type: 'string', enum: ['top', 'middle', 'bottom'] },
+  padding:       { type: 'number', minimum: 0 },
+  wrap:          { type: 'string', enum: ['word', 'char', 'none'] },
+  fontSize:      { type: 'number', exclusiveMinimum: 0 },
+  fontFamily:    { type: 'string' },
+  textColor:     { type: ['string', 'null'] },
+  autoShrink:    { type: 'boolean' },
+};
+
+// Auto-shrink stops here; what still doesn't fit is cut off
+const MIN_FONT = 8;
+const LINE_HEIGHT = 1.2;
+const DARK = '#1e1e2e', LIGHT = '#ffffff';
+
+const _escape = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export function createLabels(services) {
+  // Lays out and paints every label — it is never on a layer
+  const _painter = new Konva.Text({ lineHeight: LINE_HEIGHT, listening: false });
+  /** @type {WeakMap<Konva.Shape, { key: string, size: number }>} font size each label last shrank to */
+  const _fitted = new WeakMap();
+
+  const _attr = (shape, key) => shape.getAttr(key) ?? LABEL_DEFAULTS[key];
+
+  /** Does `node`'s type take a label? */
+  const labelled = node => !!services.shapes.textBox(node);
+
+  /** Dark text on light fills, light on dark. */
+  function _color(shape) {
+    const own = shape.getAttr('textColor');
+    if (own) return own;
+    const fill = typeof shape.fill?.() === 'string' ? Konva.Util.colorToRGBA(shape.fill()) : null;
+    if (!fill || fill.a < 0.5) return DARK;
+    return (0.299 * fill.r + 0.587 * fill.g + 0.114 * fill.b) / 255 > 0.6 ? DARK : LIGHT;
+  }
+
+  /**
+   * The box the label's text fills, in the shape's own coordinates: its
+   * type's text box less the padding.
+   * @returns {{ x: number, y: number, width: number, height: number }|null}
+   */
+  function box(shape) {
+    const outer = services.shapes.textBox(shape);
+    if (!outer) return null;
+    const pad = Math.min(_attr(shape, 'padding'), outer.width / 2, outer.height / 2);
+    return {
+      x: outer.x + pad, y: outer.y + pad,
+      width: Math.max(outer.width - pad * 2, 1), height: Math.max(outer.height - pad * 2, 1),
+    };
+  }
+
+  /**
+   * Lay out `shape`'s label on the painter.
+   * @returns {{ x: number, y: number, width: number, height: number }|null} the text box, or null without a label
+   */
+  function _layout(shape) {
+    const text = shape.getAttr('text');
+    const at = text ? box(shape) : null;
+    if (!at) return null;
+    const size = _attr(shape, 'fontSize');
+    _painter.setAttrs({
+      text: String(text), width: at.width, height: 'auto', verticalAlign: 'top', ellipsis: false,
+      fontSize: size, fontFamily: _attr(shape, 'fontFamily'), align: _attr(shape, 'align'),
+      wrap: _attr(shape, 'wrap'), fill: _color(shape),
+    });
+
+    if (_attr(shape, 'autoShrink')) {
+      const key = [text, at.width, at.height, size, _painter.fontFamily(), _painter.wrap()].join('\u0000');
+      let fit = _fitted.get(shape);
+      if (fit?.key !== key) {
+        let s = size;
+        // Too tall, too wide, or a word broken across lines
+        const words = _painter.wrap() === 'word' ? String(text).split(/\s+|(?<=-)/) : [];
+        const over = () => _painter.height() > at.height || _painter.getTextWidth() > at.width
+          || words.some(w => _painter.measureSize(w).width > at.width);
+        while (s > MIN_FONT && over()) _painter.fontSize(s = Math.max(MIN_FONT, Math.min(s - 1, Math.floor(s * 0.9))));
+        fit = { key, size: s };
+        _fitted.set(shape, fit);
+      }
+      _painter.fontSize(fit.size);
+    }
+    _painter.setAttrs({ height: at.height, verticalAlign: _attr(shape, 'verticalAlign'), ellipsis: true });
+    return at;
+  }
+
+  /**
+   * How the label's text looks, font size after auto-shrink — for editing
+   * it in place.
+   * @returns {{ fontSize: number, fontFamily: string, color: string, align: string, lineHeight: number }}
+   */
+  function style(shape) {
+    return {
+      fontSize:   _layout(shape) ? _painter.fontSize() : _attr(shape, 'fontSize'),
+      fontFamily: _attr(shape, 'fontFamily'),
+      color:      _color(shape),
+      align:      _attr(shape, 'align'),
+      lineHeight: LINE_HEIGHT,
+    };
+  }
+
+  // ── Painting ──────────────────────────────────────────────────
+
+  /** The shape as its type draws it. */
+  function _drawOutline(ctx, shape) {
+    (shape.getAttr('outlineFunc') ?? shape._sceneFunc)?.call(shape, ctx, shape);
+  }
+
+  /** sceneFunc of a labelled shape: the outline, then the label on top. */
+  function _drawLabelled(ctx, shape) {
+    _drawOutline(ctx, shape);
+    if (services.text?.editing() === shape) return;  // the textarea stands in
+    const at = _layout(shape);
+    if (!at) return;
+    ctx.save();
+    ctx.setAttr('shadowColor', 'rgba(0,0,0,0)');  // the outline's shadow, not the text's
+    ctx.translate(at.x, at.y);
+    _painter._sceneFunc(ctx);
+    ctx.restore();
+  }
+
+  /**
+   * Make `node` paint its label. A sceneFunc its type set is kept as the
+   * outline. Runs on create and restore; calling it again does nothing.
+   */
+  function attach(node) {
+    const own = node.getAttr('sceneFunc');
+    if (own === _drawLabelled) return;
+    node.setAttrs({
+      ...(own && { outlineFunc: own }),
+      sceneFunc: _drawLabelled,
+      ...(!node.getAttr('hitFunc') && { hitFunc: _drawOutline }),
+    });
+  }
+
+  /**
+   * The label as SVG `<text>`, in the shape's own coordinates — '' without one.
+   */
+  function toSVG(shape) {
+    const at = _layout(shape);
+    if (!at) return '';
+    const size = _painter.fontSize();
+    const lineHeight = size * LINE_HEIGHT;
+    const lines = _painter.textArr;
+    const valign = _painter.verticalAlign();
+    const top = at.y + (valign === 'middle' ? (at.height - lines.length * lineHeight) / 2
+      : valign === 'bottom' ? at.height - lines.length * lineHeight : 0);
+    const align = _painter.align();
+    const x = at.x + (align === 'center' ? at.width / 2 : align === 'right' ? at.width : 0);
+    const anchor = { left: 'start', center: 'middle', right: 'end' }[align];
+    const spans = lines.map((line, i) =>
+      `<tspan x="${x}" y="${top + lineHeight * (i + 0.5)}">${_escape(line.text)}</tspan>`).join('');
+    return `<text font-size="${size}" font-family="${_escape(_painter.fontFamily())}" fill="${_painter.fill()}" ` +
+      `text-anchor="${anchor}" dominant-baseline="middle">${spans}</text>`;
+  }
+
+  return { attach, labelled, box, style, toSVG };
+}
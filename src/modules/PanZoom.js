@@ -51,7 +51,7 @@ export function createPanZoom(services) {
 
   function _updateLabel(s) {
     const pct = Math.round(s * 100) + '%';
-    const el = document.getElementById('zoom-label');
+    const el = dom.get('zoom-label');
     if (el) el.textContent = pct;
     events.emit('zoom:change', { scale: s, percent: Math.round(s * 100) });
   }
@@ -79,7 +79,8 @@ export function createPanZoom(services) {
   });
 
   // ── Middle-mouse + Space drag pan ──────────────────────────────
-  stage.container().addEventListener('mousedown', e => {
+  const { dom } = services;
+  dom.listen(stage.container(), 'mousedown', e => {
     if (e.button === 1 || _spaceDown) {
       _isPanning = true;
       _panStart  = { x: e.clientX - stage.x(), y: e.clientY - stage.y() };
@@ -88,7 +89,7 @@ export function createPanZoom(services) {
     }
   });
 
-  document.addEventListener('mousemove', e => {
+  dom.listen(document, 'mousemove', e => {
     if (_isPanning && _panStart) {
       targetX = e.clientX - _panStart.x;
       targetY = e.clientY - _panStart.y;
@@ -98,7 +99,7 @@ export function createPanZoom(services) {
     }
   });
 
-  document.addEventListener('mouseup', () => {
+  dom.listen(document, 'mouseup', () => {
     if (_isPanning) {
       _isPanning = false; _panStart = null;
       const tool = services.tools?.active();
@@ -107,14 +108,15 @@ export function createPanZoom(services) {
   });
 
   // ── Space bar temp pan ─────────────────────────────────────────
-  document.addEventListener('keydown', e => {
+  dom.listen(document, 'keydown', e => {
+    if (!dom.isActive()) return;
     if (e.code === 'Space' && !e.target.matches('textarea,input')) {
       _spaceDown = true;
       stage.container().style.cursor = 'grab';
       e.preventDefault();
     }
   });
-  document.addEventListener('keyup', e => {
+  dom.listen(document, 'keyup', e => {
     if (e.code === 'Space') {
       _spaceDown = false;
       const tool = services.tools?.active();
@@ -181,5 +183,13 @@ export function createPanZoom(services) {
     _startLerp();
   }
 
-  return { zoom, resetZoom, fitScreen };
+  function destroy() {
+    if (_rafId) cancelAnimationFrame(_rafId);
+    _rafId = null;
+  }
+
+  /** Is a pan under way, or about to start (Space held)? */
+  const panning = () => _isPanning || _spaceDown;
+
+  return { zoom, resetZoom, fitScreen, panning, destroy };
 }
@@ -0,0 +1,366 @@
+/**
+ * Permissions — what each actor may change.
+ *
+ *   studio.Permissions.lock(id);                  // nobody moves, edits or deletes it
+ *   studio.Permissions.setAgentReadOnly(id);      // the user may; agents and remote peers may not
+ *   studio.Permissions.protect({ x: 0, y: 0, width: 400, height: 300 }, { name: 'legend' });
+ *   studio.Permissions.policy({ agent: { delete: false }, remote: false });
+ *   studio.Permissions.can('agent:planner', 'delete', id);   // → false
+ *
+ * Actions are 'add', 'update', 'delete' and 'reorder'. The rules, in order:
+ *   - a `locked` shape can't be updated, deleted or reordered by anyone —
+ *     the user unlocks it first;
+ *   - an `agentReadOnly` shape, or one touching a protected region, by no
+ *     one but the user, and only the user adds shapes inside a region;
+ *   - only the user sets or clears the flags;
+ *   - the policy grants or denies each action per actor: the exact actor's
+ *     entry first, then its kind ('agent', 'remote', 'user'), then '*'.
+ *     `false` denies every action; actions left out are allowed.
+ *
+ * The flags are attrs, so undo steps and getState() keep them, and a flag on
+ * a group covers everything in it. Regions and the policy belong to the
+ * session: pass them as the `permissions` option or set them at runtime.
+ *
+ * The user's tools ask before acting (drag, transformer, eraser, delete,
+ * text editing, ShapeRegistry.updateById…) and Agent.applyOps reports a
+ * denied op as a validation error. As a backstop History runs every save
+ * by another actor through review(): a save that breaks a rule is rolled
+ * back and save() throws a PermissionError, which RPC callers receive as
+ * an error response. The points a bound connector is rerouted to aren't
+ * reviewed — moving its shapes is (see Connectors).
+ *
+ * Locked shapes wear a padlock on the overlay layer; protected regions are
+ * drawn as shaded frames.
+ *
+ * Emits:
+ *   'permission:change' — { id, locked, agentReadOnly } | { regions } | { policy }
+ *   'permission:denied' — { actor, denied: [{ action, id, reason }] }
+ */
+
+import { ROUTE_KEYS } from './Connectors.js';
+
+export const ACTIONS = ['add', 'update', 'delete', 'reorder'];
+
+// The flags themselves — only the user may change them
+const FLAGS = ['locked', 'agentReadOnly'];
+
+// Bookkeeping and hover / drag glow (Interaction) aren't edits worth refusing
+const IGNORED = /^(createdBy|updatedBy|shadow\w*)$/;
+
+const LOCK_TINT   = '#64748b';
+const REGION_TINT = '#f59e0b';
+
+/** Thrown by History.save() when a save breaks a permission rule. */
+export class PermissionError extends Error {
+  /** @param {Array<{ action: string, id: string|null, reason: string }>} denied */
+  constructor(actor, denied) {
+    super(`${actor}: ${denied.map(d => d.reason).join('; ')}`);
+    this.name = 'PermissionError';
+    this.actor = actor;
+    this.denied = denied;
+  }
+}
+
+export function createPermissions(services, { policy: initialPolicy = {}, regions: initialRegions = [] } = {}) {
+  const { events } = services;
+  /** @type {Record<string, boolean | Partial<Record<string, boolean>>>} */
+  let _policy = {};
+  /** @type {Array<{ id: string, name: string, x: number, y: number, width: number, height: number }>} */
+  const _regions = [];
+  let _seq = 0;
+  /** @type {Konva.Group|null} */
+  let _marks = null;
+
+  // ── Lookups ───────────────────────────────────────────────────
+
+  function _node(target) {
+    return typeof target === 'string' ? services.shapes.getById(target) : target ?? null;
+  }
+
+  /** The shape `node` belongs to: itself or its nearest ancestor with a public id. */
+  function _owner(node) {
+    const { layer } = services.core;
+    for (let n = node; n && n !== layer; n = n.getParent()) if (n._publicId) return n;
+    return null;
+  }
+
+  /** `flag` set on `node` or any group it sits in (`parent` stands in once it's detached). */
+  function _flagged(node, flag, parent = node.getParent()) {
+    const { layer } = services.core;
+    if (node.getAttr(flag)) return true;
+    for (let n = parent; n && n !== layer; n = n.getParent()) if (n.getAttr(flag)) return true;
+    return false;
+  }
+
+  /** `node`'s box in canvas coordinates — placed as if under `parent` when detached. */
+  function _box(node, parent = node.getParent()) {
+    const { layer } = services.core;
+    if (node.getLayer()) return node.getClientRect({ relativeTo: layer, skipShadow: true });
+    if (!parent?.getLayer()) return null;
+    const t = layer.getAbsoluteTransform().copy().invert().multiply(parent.getAbsoluteTransform())
+      .multiply(node.getTransform());
+    const r = node.getClientRect({ skipTransform: true, skipShadow: true });
+    const corners = [[r.x, r.y], [r.x + r.width, r.y], [r.x, r.y + r.height], [r.x + r.width, r.y + r.height]]
+      .map(([x, y]) => t.point({ x, y }));
+    const xs = corners.map(p => p.x), ys = corners.map(p => p.y);
+    return { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+  }
+
+  const _touches = (a, b) =>
+    a.x <= b.x + b.width && b.x <= a.x + a.width &&
+    a.y <= b.y + b.height && b.y <= a.y + a.height;
+
+  function _region(box) {
+    return box && _regions.find(r => _touches(r, box));
+  }
+
+  const _kind = actor => actor.split(':')[0];
+
+  function _granted(actor, action) {
+    for (const key of [actor, _kind(actor), '*']) {
+      const entry = _policy[key];
+      if (entry === undefined) continue;
+      if (typeof entry === 'boolean') return entry;
+      if (entry[action] !== undefined) return entry[action];
+    }
+    return true;
+  }
+
+  // ── Rules ─────────────────────────────────────────────────────
+
+  /**
+   * Why `actor` may not do `action` to `node`, or null if it may.
+   * @param {object} [context]
+   * @param {string[]} [context.keys]    Attrs an update changes
+   * @param {object[]} [context.boxes]   Where the shape is (and was); default: its box now
+   * @param {Konva.Container} [context.parent]  For detached nodes
+   */
+  function _reason(actor, action, node, { keys = [], boxes, parent } = {}) {
+    const user = actor === 'user';
+    if (!user && keys.some(k => FLAGS.includes(k))) return 'only the user can lock or unlock shapes';
+    if (node && action !== 'add') {
+      const id = node._publicId ? ` ${node._publicId.slice(0, 8)}` : '';
+      const flagsOnly = keys.length && keys.every(k => FLAGS.includes(k) || IGNORED.test(k));
+      if (_flagged(node, 'locked', parent) && !flagsOnly) {
+        return `shape${id} is locked`;
+      }
+      if (!user && _flagged(node, 'agentReadOnly', parent)) return `shape${id} is read-only for agents`;
+    }
+    if (node && !user) {
+      const region = (boxes ?? [_box(node, parent)]).map(_region).find(Boolean);
+      if (region) return `shape is in protected region '${region.name}'`;
+    }
+    if (!_granted(actor, action)) return `${actor} may not ${action} shapes`;
+    return null;
+  }
+
+  /**
+   * Why `actor` may not do `action` to `target` (a node or id; none for
+   * 'add'), or null if it may. `props` are the attrs an update would set.
+   * @returns {string|null}
+   */
+  function check(actor, action, target, props) {
+    if (!ACTIONS.includes(action)) throw new TypeError(`[Permissions] action must be one of ${ACTIONS.join(', ')}`);
+    const node = _node(target);
+    if (target !== undefined && !node) return null;  // nothing there to protect
+    return _reason(actor, action, node, { keys: Object.keys(props ?? {}) });
+  }
+
+  /** Whether `actor` may do `action` to `target`. */
+  function can(actor, action, target, props) {
+    return check(actor, action, target, props) === null;
+  }
+
+  /**
+   * Every rule a save's ops break, for History. Saves by the user pass —
+   * their tools asked first.
+   * @returns {Array<{ action: string, id: string|null, reason: string }>}
+   */
+  function review(ops, actor) {
+    if (actor === 'user') return [];
+    const denied = [];
+    const seen = new Set();
+    const verdict = (action, node, context) => {
+      if (!node || seen.has(`${action}:${node._id}`)) return;
+      seen.add(`${action}:${node._id}`);
+      const reason = _reason(actor, action, node, context);
+      if (reason) denied.push({ action, id: node._publicId ?? null, reason });
+    };
+    // A node removed from one parent and added to another moved — an update
+    const moved = new Set(ops.filter(op => op.type === 'remove' && op.node.getLayer()).map(op => op.node));
+
+    ops.forEach(op => {
+      switch (op.type) {
+        case 'add':
+          if (op.node._publicId) verdict(moved.has(op.node) ? 'update' : 'add', op.node);
+          verdict('update', _owner(op.parent));
+          break;
+        case 'remove':
+          if (moved.has(op.node)) break;
+          if (op.node._publicId) verdict('delete', op.node, { parent: op.parent });
+          verdict('update', _owner(op.parent));
+          break;
+        case 'reorder':
+          verdict(op.node._publicId ? 'reorder' : 'update', _owner(op.node));
+          break;
+        case 'update': {
+          // A bound connector's route follows its shapes: moving them is what's checked
+          const derived = services.connectors?.routes(op.node) ? ROUTE_KEYS : [];
+          const keys = Object.keys(op.after).filter(k => !IGNORED.test(k) && !derived.includes(k));
+          const owner = _owner(op.node);
+          if (!keys.length || !owner) break;
+          // Where it was counts as much as where it is
+          const now = _box(owner);
+          op.node.setAttrs(op.before);
+          const then = _box(owner);
+          op.node.setAttrs(op.after);
+          verdict('update', owner, { keys, boxes: [now, then] });
+          break;
+        }
+      }
+    });
+    return denied;
+  }
+
+  /** Report a refused save. @returns {PermissionError} for History to throw */
+  function refuse(actor, denied) {
+    events.emit('permission:denied', { actor, denied });
+    return new PermissionError(actor, denied);
+  }
+
+  // ── Flags ─────────────────────────────────────────────────────
+
+  // Unlocked, a shape drags if it sits on the layer and isn't a bound connector
+  const _drags = node => node.getParent() === services.core.layer && !node.getAttr('sourceId') && !node.getAttr('targetId');
+
+  function _flag(target, flag, on) {
+    const node = _node(target);
+    if (!node?._publicId) return false;
+    node.setAttr(flag, on ? true : undefined);
+    // A locked shape never starts a drag, alone or pulled along by the Transformer
+    if (flag === 'locked') node.draggable(!on && _drags(node));
+    services.history.save();
+    events.emit('permission:change', { id: node._publicId, locked: !!node.getAttr('locked'), agentReadOnly: !!node.getAttr('agentReadOnly') });
+    return true;
+  }
+
+  /**
+   * Lock a shape (node or id) against every change, the user's included.
+   * @returns {boolean} false if there is no such shape
+   */
+  function lock(target, on = true) {
+    return _flag(target, 'locked', on);
+  }
+
+  function unlock(target) {
+    return _flag(target, 'locked', false);
+  }
+
+  /** Keep agents and remote peers from changing a shape; the user still can. */
+  function setAgentReadOnly(target, on = true) {
+    return _flag(target, 'agentReadOnly', on);
+  }
+
+  /** Locked itself or inside a locked group. */
+  function isLocked(target) {
+    const node = _node(target);
+    return !!node && _flagged(node, 'locked');
+  }
+
+  // ── Regions & policy ──────────────────────────────────────────
+
+  /**
+   * Protect a canvas-coordinate rectangle from everyone but the user.
+   * @param {{ x: number, y: number, width: number, height: number }} rect
+   * @param {{ name?: string }} [options]
+   * @returns {string} region id, for unprotect()
+   */
+  function protect({ x, y, width, height }, { name } = {}) {
+    if (![x, y, width, height].every(Number.isFinite) || width < 0 || height < 0) {
+      throw new TypeError('[Permissions] region must be { x, y, width, height } with non-negative size');
+    }
+    const id = `r${++_seq}`;
+    _regions.push({ id, name: name ?? id, x, y, width, height });
+    _regionsChanged();
+    return id;
+  }
+
+  /** @returns {boolean} false if there is no such region */
+  function unprotect(id) {
+    const i = _regions.findIndex(r => r.id === id);
+    if (i < 0) return false;
+    _regions.splice(i, 1);
+    _regionsChanged();
+    return true;
+  }
+
+  const regions = () => _regions.map(r => ({ ...r }));
+
+  function _regionsChanged() {
+    _render();
+    events.emit('permission:change', { regions: regions() });
+  }
+
+  /**
+   * Replace the capability policy, or read it when called without one.
+   *   { agent: { delete: false }, 'agent:planner': { update: false }, remote: false, '*': {…} }
+   * @returns {object}
+   */
+  function policy(next) {
+    if (next !== undefined) {
+      if (!next || typeof next !== 'object' || Array.isArray(next)) throw new TypeError('[Permissions] policy must be an object');
+      Object.entries(next).forEach(([key, entry]) => {
+        if (typeof entry === 'boolean') return;
+        const bad = Object.keys(entry ?? {}).find(a => !ACTIONS.includes(a)) ?? (entry ? null : key);
+        if (bad) throw new TypeError(`[Permissions] unknown action '${bad}' for '${key}' — use ${ACTIONS.join(', ')}`);
+      });
+      _policy = structuredClone(next);
+      events.emit('permission:change', { policy: structuredClone(_policy) });
+    }
+    return structuredClone(_policy);
+  }
+
+  // ── Indicators ────────────────────────────────────────────────
+
+  function _render() {
+    const { layer, overlay } = services.core;
+    if (!_marks) {
+      _marks = new Konva.Group({ name: 'permission-marks', listening: false });
+      overlay.add(_marks);
+    }
+    _marks.destroyChildren();
+    _regions.forEach(r => {
+      _marks.add(new Konva.Rect({
+        ...r, fill: 'rgba(245, 158, 11, 0.06)', stroke: REGION_TINT, strokeWidth: 1, dash: [8, 4],
+        strokeScaleEnabled: false,
+      }));
+      _marks.add(new Konva.Text({ x: r.x + 4, y: r.y + 4, text: `🔒 ${r.name}`, fontSize: 10, fontFamily: 'Inter, sans-serif', fill: REGION_TINT }));
+    });
+    layer.find(n => !!n._publicId && n.isVisible() && (n.getAttr('locked') || n.getAttr('agentReadOnly'))).forEach(node => {
+      const r = services.query.bounds(node);
+      if (!r) return;
+      const label = new Konva.Label({ opacity: 0.9 });
+      label.add(new Konva.Tag({ fill: LOCK_TINT, cornerRadius: 3 }));
+      label.add(new Konva.Text({
+        text: node.getAttr('locked') ? '🔒' : '🔒 agents', fontSize: 10, fontFamily: 'Inter, sans-serif', fill: '#fff', padding: 3,
+      }));
+      label.position({ x: r.x + r.width - label.width() / 2, y: r.y - label.height() / 2 });
+      _marks.add(label);
+    });
+    overlay.batchDraw();
+  }
+
+  events.on('history:change', _render);
+  events.on('stats:update', _render);
+  // A locked child still rides along with its group
+  services.core.layer.on('dragmove.permissions transform.permissions', _render);
+
+  if (Object.keys(initialPolicy).length) policy(initialPolicy);
+  initialRegions.forEach(r => protect(r, r));
+
+  return {
+    check, can, review, refuse,
+    lock, unlock, setAgentReadOnly, isLocked,
+    protect, unprotect, regions, policy,
+  };
+}
@@ -0,0 +1,249 @@
+/**
+ * Plugins — install and uninstall bundles of shapes, tools, animations,
+ * panels, shortcuts and listeners as one unit.
+ *
+ *   studio.use({
+ *     name: 'stamps',
+ *     version: '1.0.0',
+ *     requires: ['grid@1.2'],          // other plugins, optionally with a minimum version
+ *     install(ctx) {
+ *       ctx.shapes.register('stamp', cfg => new Konva.Star({ numPoints: 6, ...cfg }), { icon: '✺' });
+ *       ctx.tools.register('stamp', { label: 'Stamp', shortcut: 'M', onMousedown(e, svc) { … } });
+ *       ctx.panel('Stamps', el => { el.textContent = '…'; });
+ *       ctx.on('shape:add', ({ id }) => { … });
+ *     },
+ *     uninstall(ctx) { },              // optional — what ctx registered is removed anyway
+ *   });
+ *   studio.Plugins.uninstall('stamps');
+ *
+ * Everything a plugin registers through `ctx` is recorded, and removed in
+ * reverse order when it is uninstalled — or straight away if install()
+ * throws, so a failed install leaves nothing behind. Names a plugin
+ * registers must be free: plugins don't replace built-ins or each other.
+ *
+ * The toolbar, Quick Add and animation panels pick up what plugins add.
+ * Plugin shortcuts are tried before the built-in ones. Destroying the
+ * studio uninstalls every plugin, newest first.
+ *
+ * Emits:
+ *   'plugin:install'   — { name, version }
+ *   'plugin:uninstall' — { name, version }
+ */
+
+/** -1, 0 or 1, comparing dotted versions part by part ('1.10' > '1.9'). */
+function _compare(a, b) {
+  const pa = String(a).split('.').map(Number), pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return Math.sign(d);
+  }
+  return 0;
+}
+
+/** 'mod+shift+k' → { key: 'k', mod: true, shift: true, alt: false } */
+function _parseKeys(keys) {
+  const parts = keys.toLowerCase().split('+');
+  const key = parts.pop();
+  const has = m => parts.includes(m);
+  return { key, mod: has('mod') || has('ctrl') || has('cmd') || has('meta'), shift: has('shift'), alt: has('alt') };
+}
+
+export function createPlugins(services, studio) {
+  const { events } = services;
+  /** @type {Map<string, { plugin: object, ctx: object, disposers: Array<() => void> }>} */
+  const _installed = new Map();
+  /** @type {Array<{ plugin: string, keys: string, match: object, fn: Function }>} */
+  const _shortcuts = [];
+
+  // ── Context ───────────────────────────────────────────────────
+
+  /** What install() gets: registration helpers that remember how to undo themselves. */
+  function _context(plugin, disposers) {
+    const name = plugin.name;
+    const track = dispose => disposers.push(dispose);
+    const free = (what, taken, key) => {
+      if (taken) throw new Error(`[Plugins] ${name}: ${what} '${key}' is already registered`);
+    };
+
+    const ctx = {
+      name,
+      studio,
+      services,
+
+      shapes: {
+        register(type, factory, meta) {
+          free('shape type', services.shapes.types().includes(type), type);
+          services.shapes.register(type, factory, meta);
+          track(() => services.shapes.unregister(type));
+        },
+      },
+
+      // Browser only — headless there are no tools to register
+      tools: {
+        register(toolName, config) {
+          if (!services.tools) return;
+          free('tool', services.tools.list().some(t => t.name === toolName), toolName);
+          services.tools.register(toolName, config);
+          track(() => services.tools.unregister(toolName));
+          if (config.shortcut) ctx.shortcut(config.shortcut, () => services.tools.setActive(toolName));
+        },
+      },
+
+      animations: {
+        register(type, factory, meta) {
+          free('animation', services.animations.has(type), type);
+          services.animations.register(type, factory, meta);
+          track(() => services.animations.unregister(type));
+        },
+      },
+
+      /**
+       * A titled section at the end of the side panel; `build(el)` fills it.
+       * @returns {HTMLElement|null} null headless or without a panel
+       */
+      panel(title, build) {
+        const aside = services.dom?.get('panel');
+        if (!aside) return null;
+        const section = document.createElement('div');
+        section.className = 'cs-panel-section';
+        section.dataset.plugin = name;
+        const heading = document.createElement('div');
+        heading.className = 'cs-section-title';
+        heading.textContent = title;
+        const body = document.createElement('div');
+        section.append(heading, body);
+        aside.appendChild(services.dom.track(section));
+        track(() => section.remove());
+        build?.(body);
+        return body;
+      },
+
+      /**
+       * A keyboard shortcut: 'k', 'shift+k', 'mod+k' (Ctrl or ⌘), 'alt+k'.
+       * Ignored while typing in a field.
+       */
+      shortcut(keys, fn) {
+        const entry = { plugin: name, keys, match: _parseKeys(keys), fn };
+        _shortcuts.push(entry);
+        track(() => {
+          const i = _shortcuts.indexOf(entry);
+          if (i >= 0) _shortcuts.splice(i, 1);
+        });
+      },
+
+      /** An EventBus listener, removed on uninstall. */
+      on(event, fn, options) {
+        track(events.on(event, fn, options));
+      },
+
+      /** Anything else to undo on uninstall. */
+      cleanup(fn) {
+        track(fn);
+      },
+    };
+    return ctx;
+  }
+
+  // ── Install / uninstall ───────────────────────────────────────
+
+  function _missing(requires = []) {
+    return requires.filter(spec => {
+      const [dep, min] = spec.split('@');
+      const found = _installed.get(dep);
+      return !found || (min && _compare(found.plugin.version ?? '0', min) < 0);
+    });
+  }
+
+  function _dispose(disposers) {
+    disposers.splice(0).reverse().forEach(dispose => {
+      try {
+        dispose();
+      } catch (err) {
+        console.warn('[Plugins] cleanup failed:', err);
+      }
+    });
+  }
+
+  /**
+   * Install a plugin.
+   * @param {{ name: string, version?: string, requires?: string[],
+   *           install: (ctx: object) => void, uninstall?: (ctx: object) => void }} plugin
+   * @throws if the name is taken, a requirement is missing, or install() throws
+   */
+  function use(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new TypeError('[Plugins] a plugin needs a name');
+    }
+    if (typeof plugin.install !== 'function') throw new TypeError(`[Plugins] ${plugin.name}: install must be a function`);
+    if (_installed.has(plugin.name)) throw new Error(`[Plugins] ${plugin.name} is already installed`);
+    const missing = _missing(plugin.requires);
+    if (missing.length) throw new Error(`[Plugins] ${plugin.name} requires ${missing.join(', ')}`);
+
+    const disposers = [];
+    const ctx = _context(plugin, disposers);
+    try {
+      plugin.install(ctx);
+    } catch (err) {
+      _dispose(disposers);
+      throw err;
+    }
+    _installed.set(plugin.name, { plugin, ctx, disposers });
+    events.emit('plugin:install', { name: plugin.name, version: plugin.version ?? null });
+  }
+
+  /**
+   * Uninstall a plugin: its uninstall(), then everything it registered.
+   * @returns {boolean} false if it isn't installed
+   * @throws if another installed plugin requires it
+   */
+  function uninstall(name) {
+    const entry = _installed.get(name);
+    if (!entry) return false;
+    const dependents = [..._installed.values()]
+      .filter(({ plugin }) => (plugin.requires ?? []).some(spec => spec.split('@')[0] === name))
+      .map(({ plugin }) => plugin.name);
+    if (dependents.length) throw new Error(`[Plugins] ${dependents.join(', ')} require${dependents.length === 1 ? 's' : ''} ${name}`);
+
+    try {
+      entry.plugin.uninstall?.(entry.ctx);
+    } finally {
+      _dispose(entry.disposers);
+      _installed.delete(name);
+    }
+    events.emit('plugin:uninstall', { name, version: entry.plugin.version ?? null });
+    return true;
+  }
+
+  /** @returns {Array<{ name: string, version: string|null, requires: string[] }>} */
+  function list() {
+    return [..._installed.values()].map(({ plugin }) => ({
+      name: plugin.name, version: plugin.version ?? null, requires: plugin.requires ?? [],
+    }));
+  }
+
+  /**
+   * Run the plugin shortcut matching a keydown, latest registered first.
+   * @returns {boolean} true if one ran
+   */
+  function keydown(e) {
+    const cmd = e.ctrlKey || e.metaKey;
+    const hit = _shortcuts.slice().reverse().find(({ match }) =>
+      match.key === e.key.toLowerCase() && match.mod === cmd && match.shift === e.shiftKey && match.alt === e.altKey);
+    if (!hit) return false;
+    hit.fn(e);
+    return true;
+  }
+
+  // Last installed goes first, so dependents leave before what they need
+  events.on('studio:destroy', () => {
+    [..._installed.keys()].reverse().forEach(name => {
+      try {
+        uninstall(name);
+      } catch (err) {
+        console.warn(`[Plugins] ${name}: uninstall failed:`, err);
+      }
+    });
+  });
+
+  return { use, uninstall, list, has: name => _installed.has(name), keydown };
+}
@@ -0,0 +1,349 @@
+/**
+ * Proposals — suggestion mode: edits by agents and remote peers wait for
+ * the user's review instead of landing on the canvas.
+ *
+ *   studio.Proposals.enable();
+ *   studio.Agent.applyOps([...]);      // → one proposal, drawn as a ghost
+ *   studio.Proposals.list();           // [{ id, actor, time, changes }]
+ *   studio.Proposals.accept(id);       // or reject(id), acceptAll(), rejectAll()
+ *
+ * While the mode is on, History hands every save by an actor other than
+ * 'user' to capture() and puts the canvas back. A proposal is that save's
+ * ops — the same invertible ops a history step holds — so anything an
+ * agent can do can be proposed: adds, updates, deletes, reorders, groups.
+ * Accepting applies the ops and saves them as one step by the proposing
+ * actor; rejecting drops them. Nothing reaches History until accepted.
+ *
+ * Ghosts are drawn on the overlay layer: what a proposal adds or changes as
+ * a translucent copy in a dashed outline, what it deletes struck through.
+ * Each proposal gets ✓ / ✕ buttons, and in the browser a bar over the
+ * canvas accepts or rejects them all.
+ *
+ * Shapes a pending proposal adds aren't on the canvas, but getById() still
+ * finds them. updateById() edits one through amend(), so only the actor
+ * that proposed it can change it, and accepting adds it as amended.
+ *
+ * Emits:
+ *   'proposal:add'    — { id, actor, time, changes }
+ *   'proposal:accept' — { id, actor, time, changes }
+ *   'proposal:reject' — { id, actor, time, changes }
+ */
+
+const GHOST_OPACITY = 0.45;
+const TINT   = '#8b5cf6';
+const STRIKE = '#ef4444';
+
+export function createProposals(services, { enabled = false } = {}) {
+  const { events } = services;
+  /** @type {Map<string, { id: string, actor: string, time: number, ops: object[] }>} */
+  const _pending = new Map();
+  let _seq = 0;
+  let _on = enabled;
+  let _accepting = false;
+  /** @type {Konva.Group|null} */
+  let _ghosts = null;
+
+  // ── Capture (called by History.save) ──────────────────────────
+
+  /** Whether a save by `actor` becomes a proposal. */
+  function diverts(actor) {
+    return _on && !_accepting && actor !== 'user';
+  }
+
+  /** Hold `ops` (already reverted on the canvas) as a new proposal. */
+  function capture(ops, actor) {
+    const proposal = { id: `p${++_seq}`, actor, time: Date.now(), ops };
+    _pending.set(proposal.id, proposal);
+    _render();
+    events.emit('proposal:add', _summary(proposal));
+    return proposal.id;
+  }
+
+  /** Whether a pending proposal holds `node` — History leaves it alone. */
+  function holds(node) {
+    return [..._pending.values()].some(p => p.ops.some(op => op.node === node));
+  }
+
+  // ── Summaries ─────────────────────────────────────────────────
+
+  /** The shape `node` belongs to: itself or its nearest ancestor with a public id. */
+  function _owner(node) {
+    const { layer } = services.core;
+    for (let n = node; n && n !== layer; n = n.getParent()) if (n._publicId) return n;
+    return null;
+  }
+
+  const _summary = p => ({ id: p.id, actor: p.actor, time: new Date(p.time).toISOString(), changes: services.audit.changes(p.ops) });
+
+  // ── Review ────────────────────────────────────────────────────
+
+  /**
+   * Pending proposals, oldest first.
+   * @returns {Array<{ id: string, actor: string, time: string, changes: object[] }>}
+   */
+  function list() {
+    return [..._pending.values()].map(_summary);
+  }
+
+  /**
+   * Apply a proposal as one undo step by its actor. If the save is refused
+   * — a shape it touches was locked since, say — the canvas is put back,
+   * the reason toasted and the proposal stays pending.
+   * @returns {boolean} false if there is no such proposal or it was refused
+   */
+  function accept(id) {
+    const proposal = _pending.get(id);
+    if (!proposal) return false;
+    const { history, core } = services;
+    history.save();  // pending user edits stay the user's
+    _accepting = true;
+    try {
+      history.as(proposal.actor, () => {
+        history.apply(proposal.ops);
+        history.save();
+      });
+    } catch (err) {
+      const reason = err.denied?.[0].reason ?? err.message;
+      services.ui.toast(reason[0].toUpperCase() + reason.slice(1));
+      return false;
+    } finally {
+      _accepting = false;
+    }
+    _pending.delete(id);
+    core.layer.batchDraw();
+    events.emit('stats:update');
+    _render();
+    events.emit('proposal:accept', _summary(proposal));
+    return true;
+  }
+
+  /**
+   * Drop a proposal; shapes it would have added are destroyed.
+   * @returns {boolean} false if there is no such proposal
+   */
+  function reject(id) {
+    const proposal = _pending.get(id);
+    if (!proposal) return false;
+    _pending.delete(id);
+    proposal.ops.forEach(op => {
+      if (op.type === 'add' && !op.node.getLayer()) op.node.destroy();
+    });
+    _render();
+    events.emit('proposal:reject', _summary(proposal));
+    return true;
+  }
+
+  /** Accept every pending proposal, oldest first; refused ones stay. @returns {number} how many */
+  function acceptAll() {
+    return [..._pending.keys()].filter(accept).length;
+  }
+
+  /** Reject every pending proposal. @returns {number} how many */
+  function rejectAll() {
+    return [..._pending.keys()].filter(reject).length;
+  }
+
+  /**
+   * Turn suggestion mode on or off. Turning it off leaves pending
+   * proposals to review.
+   * @param {boolean} [on=true]
+   * @returns {boolean}
+   */
+  function enable(on = true) {
+    _on = !!on;
+    _renderBar();
+    return _on;
+  }
+
+  /** A shape a pending proposal adds, by id — ShapeRegistry.getById falls back to it. */
+  function node(id) {
+    return _adding(id)?.node ?? null;
+  }
+
+  /**
+   * Change a shape a pending proposal adds — ShapeRegistry.updateById
+   * routes edits to such shapes here. Later updates the proposal makes to
+   * the same attrs take the new values too, so accepting lands them.
+   * @returns {boolean} false if no pending proposal adds it, or `actor` isn't the one that proposed it
+   */
+  function amend(id, props, actor = services.history.actor()) {
+    const found = _adding(id);
+    if (!found || found.proposal.actor !== actor) return false;
+    found.node.setAttrs(props);
+    found.proposal.ops.forEach(op => {
+      if (op.type !== 'update' || op.node !== found.node) return;
+      for (const key of Object.keys(props)) if (key in op.after) op.after[key] = props[key];
+    });
+    _render();
+    return true;
+  }
+
+  /** The pending proposal that adds the shape with `id`, and that shape. */
+  function _adding(id) {
+    for (const proposal of _pending.values()) {
+      for (const op of proposal.ops) {
+        const found = op.type === 'add' && [op.node, ...(op.node.find?.(n => !!n._publicId) ?? [])]
+          .find(n => n._publicId === id);
+        if (found) return { proposal, node: found };
+      }
+    }
+    return null;
+  }
+
+  // ── Ghosts ────────────────────────────────────────────────────
+
+  /** Wrap a detached copy in a group carrying `parent`'s transform, so it sits where the original would. */
+  function _placed(copy, parent) {
+    const { layer } = services.core;
+    const frame = new Konva.Group({ listening: false });
+    if (parent && parent !== layer) {
+      const t = layer.getAbsoluteTransform().copy().invert().multiply(parent.getAbsoluteTransform());
+      frame.setAttrs(t.decompose());
+    }
+    frame.add(copy);
+    return frame;
+  }
+
+  const _box = (r, stroke, extra = {}) => new Konva.Rect({
+    x: r.x - 4, y: r.y - 4, width: r.width + 8, height: r.height + 8,
+    stroke, strokeWidth: 1.5, dash: [6, 4], cornerRadius: 4, strokeScaleEnabled: false, listening: false, ...extra,
+  });
+
+  /**
+   * Draw one proposal: preview its ops on the canvas just long enough to
+   * copy what they produce, then put the canvas back.
+   */
+  function _ghost(proposal) {
+    const { history, core } = services;
+    const { layer } = core;
+    const group = new Konva.Group({ name: `proposal-${proposal.id}` });
+    const rect = n => n.getClientRect({ relativeTo: layer, skipShadow: true });
+
+    // Deletions are struck through where the shape stands now
+    const removed = proposal.ops.filter(op => op.type === 'remove' && op.node._publicId && op.node.getLayer());
+    const struck = removed.map(op => rect(op.node));
+    // The ops' recorded "before" may be stale by now (the user kept editing) —
+    // put back what is actually there rather than what the inverse says
+    const kept = new Map();
+    proposal.ops.forEach(op => {
+      if (op.type !== 'add' && op.node.getLayer() && !kept.has(op.node)) {
+        kept.set(op.node, { attrs: { ...op.node.getAttrs() }, index: op.node.zIndex() });
+      }
+    });
+
+    history.apply(proposal.ops);
+    const copies = [];
+    const subjects = new Set();
+    proposal.ops.forEach(op => {
+      if (op.type === 'remove') return;
+      const subject = op.type === 'add' && op.node._publicId ? op.node : _owner(op.node) ?? _owner(op.parent);
+      if (subject?.getLayer()) subjects.add(subject);
+    });
+    subjects.forEach(node => {
+      const copy = node.clone({ listening: false, draggable: false });
+      copy.setAttrs(_settledTransform(node));
+      copies.push({ frame: _placed(copy, node.getParent()), box: rect(node) });
+    });
+    history.apply(proposal.ops, { inverse: true });
+    kept.forEach(({ attrs, index }, node) => {
+      node.setAttrs(attrs);
+      if (node.zIndex() !== index) node.zIndex(index);
+    });
+
+    copies.forEach(({ frame, box }) => {
+      frame.opacity(GHOST_OPACITY);
+      group.add(frame, _box(box, TINT));
+    });
+    struck.forEach(r => {
+      group.add(_box(r, STRIKE, { fill: 'rgba(239, 68, 68, 0.08)' }));
+      group.add(new Konva.Line({
+        points: [r.x - 4, r.y + r.height + 4, r.x + r.width + 4, r.y - 4],
+        stroke: STRIKE, strokeWidth: 2, strokeScaleEnabled: false, listening: false,
+      }));
+    });
+
+    const all = [...copies.map(c => c.box), ...struck];
+    if (all.length) group.add(_buttons(proposal, all));
+    return group;
+  }
+
+  // Entrance tweens start shapes small and transparent — ghost them as they'll end up
+  function _settledTransform(node) {
+    const settled = services.history.settled(node);
+    const out = {};
+    ['x', 'y', 'scaleX', 'scaleY', 'rotation', 'opacity'].forEach(k => {
+      if (settled[k] !== undefined) out[k] = settled[k];
+    });
+    return out;
+  }
+
+  /** "agent:x ✓ ✕" above the top-right corner of everything the proposal touches. */
+  function _buttons(proposal, rects) {
+    const right = Math.max(...rects.map(r => r.x + r.width)) + 4;
+    const top = Math.min(...rects.map(r => r.y)) - 8;
+    const bar = new Konva.Group({ name: 'proposal-buttons' });
+    const pill = (text, fill, onClick) => {
+      const label = new Konva.Label({ listening: !!onClick });
+      label.add(new Konva.Tag({ fill, cornerRadius: 4 }));
+      label.add(new Konva.Text({ text, fontSize: 11, fontFamily: 'Inter, sans-serif', fill: '#fff', padding: 4 }));
+      if (onClick) {
+        label.on('click tap', e => {
+          e.cancelBubble = true;
+          onClick();
+        });
+        label.on('mouseenter', () => { services.core.stage.container().style.cursor = 'pointer'; });
+        label.on('mouseleave', () => { services.core.stage.container().style.cursor = ''; });
+      }
+      return label;
+    };
+    const parts = [
+      pill(proposal.actor, TINT),
+      pill('✓', '#22c55e', () => accept(proposal.id)),
+      pill('✕', STRIKE, () => reject(proposal.id)),
+    ];
+    let x = 0;
+    parts.forEach(p => {
+      p.x(x);
+      x += p.width() + 3;
+      bar.add(p);
+    });
+    bar.position({ x: right - x + 3, y: top - parts[0].height() });
+    return bar;
+  }
+
+  function _render() {
+    const { overlay } = services.core;
+    if (!_ghosts) {
+      _ghosts = new Konva.Group({ name: 'proposals' });
+      overlay.add(_ghosts);
+    }
+    _ghosts.destroyChildren();
+    _pending.forEach(p => _ghosts.add(_ghost(p)));
+    overlay.batchDraw();
+    _renderBar();
+  }
+
+  // Browser: "3 suggestions · Accept all · Reject all" over the canvas
+  function _renderBar() {
+    const { dom } = services;
+    if (!dom) return;
+    const bar = dom.ensure('proposal-bar', 'div', services.core.area);
+    bar.classList.toggle('show', _pending.size > 0);
+    if (!_pending.size) return;
+    const count = document.createElement('span');
+    count.textContent = `${_pending.size} suggestion${_pending.size === 1 ? '' : 's'}`;
+    const button = (text, fn) => {
+      const b = document.createElement('button');
+      b.textContent = text;
+      b.onclick = fn;
+      return b;
+    };
+    bar.replaceChildren(count, button('Accept all', acceptAll), button('Reject all', rejectAll));
+  }
+
+  // The canvas moved under the ghosts (undo, load, another change) — redraw
+  // them; accept() does once its save is through
+  events.on('history:change', () => { if (_pending.size && !_accepting) _render(); });
+
+  return { diverts, capture, holds, list, accept, reject, acceptAll, rejectAll, enable, enabled: () => _on, node, amend };
+}
@@ -0,0 +1,295 @@
+/**
+ * Query — find shapes by what they are and where they are.
+ *
+ *   studio.Query.find({ type: 'sticky', textContains: 'risk' })
+ *   studio.Query.shapesAt({ x: 120, y: 80 })                 // topmost first
+ *   studio.Query.shapesInRect({ x: 0, y: 0, width: 400, height: 300 }, { fully: true })
+ *   studio.Query.nearest({ x: 500, y: 500 })
+ *   studio.Query.overlapping(id)
+ *
+ * Coordinates are canvas (layer) coordinates — the ones shape x/y use —
+ * so pan and zoom don't change answers. Every adopted node is indexed,
+ * nested ones included; results are Konva nodes in z-order unless noted.
+ *
+ * Spatial queries run on a uniform grid of bounding boxes. A box is
+ * recomputed only when one of its node's geometry attrs changes (drag,
+ * transform, setAttrs, animation frames); which nodes exist is reconciled
+ * after each history step. Both happen lazily, on the next query.
+ */
+
+const CELL = 256;
+
+// Attrs whose change can move or resize a node's box
+const GEOMETRY = [
+  'x', 'y', 'rotation', 'scaleX', 'scaleY', 'offsetX', 'offsetY', 'skewX', 'skewY',
+  'width', 'height', 'radius', 'innerRadius', 'outerRadius', 'sides', 'numPoints',
+  'points', 'tension', 'pointerLength', 'pointerWidth', 'text', 'fontSize', 'padding',
+  'strokeWidth', 'visible',
+];
+const GEOMETRY_EVENTS = GEOMETRY.map(a => `${a}Change.query`).join(' ');
+
+export function createQuery(services) {
+  /** @type {Map<Konva.Node, { x: number, y: number, width: number, height: number }>} */
+  const _rects = new Map();
+  /** @type {Map<string, Set<Konva.Node>>} "cx,cy" → nodes whose box touches the cell */
+  const _cells = new Map();
+  /** @type {Map<Konva.Node, number>} document order, back to front */
+  const _order = new Map();
+  const _dirty = new Set();
+  let _stale = true;
+
+  const markStale = () => { _stale = true; };
+  services.events.on('history:change', markStale);
+  services.events.on('stats:update', markStale);
+
+  // ── Index ─────────────────────────────────────────────────────
+
+  function _cellRange(r) {
+    return {
+      x0: Math.floor(r.x / CELL), x1: Math.floor((r.x + r.width) / CELL),
+      y0: Math.floor(r.y / CELL), y1: Math.floor((r.y + r.height) / CELL),
+    };
+  }
+
+  function _forCells(r, fn) {
+    const { x0, x1, y0, y1 } = _cellRange(r);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) fn(`${cx},${cy}`);
+    }
+  }
+
+  function _unplace(node) {
+    const r = _rects.get(node);
+    if (!r) return;
+    _forCells(r, key => {
+      const cell = _cells.get(key);
+      cell?.delete(node);
+      if (cell && !cell.size) _cells.delete(key);
+    });
+    _rects.delete(node);
+  }
+
+  function _place(node) {
+    const r = node.getClientRect({ relativeTo: services.core.layer, skipShadow: true });
+    if (!node.isVisible() || !Number.isFinite(r.x + r.y + r.width + r.height)) return;
+    _rects.set(node, r);
+    _forCells(r, key => {
+      if (!_cells.has(key)) _cells.set(key, new Set());
+      _cells.get(key).add(node);
+    });
+  }
+
+  function _watch(node) {
+    node.on(GEOMETRY_EVENTS, () => {
+      _dirty.add(node);
+      // Boxes of nested nodes move with their container
+      if (node.find) node.find(n => _order.has(n)).forEach(n => _dirty.add(n));
+    });
+  }
+
+  /** Bring the index up to date with the layer. */
+  function _sync() {
+    if (_stale) {
+      _stale = false;
+      const { layer } = services.core;
+      const current = layer.find(n => !!n._publicId);
+      const alive = new Set(current);
+
+      [..._order.keys()].forEach(node => {
+        if (alive.has(node)) return;
+        node.off('.query');
+        _unplace(node);
+        _dirty.delete(node);
+        _order.delete(node);
+      });
+      current.forEach((node, i) => {
+        if (!_order.has(node)) {
+          _watch(node);
+          _dirty.add(node);
+        }
+        _order.set(node, i);
+        // Containers' boxes follow their children, which aren't watched
+        if (node.getChildren) _dirty.add(node);
+      });
+    }
+    _dirty.forEach(node => {
+      _unplace(node);
+      _place(node);
+    });
+    _dirty.clear();
+  }
+
+  const _byOrder = (a, b) => _order.get(a) - _order.get(b);
+
+  function _candidates(r) {
+    const found = new Set();
+    _forCells(r, key => _cells.get(key)?.forEach(n => found.add(n)));
+    return [...found];
+  }
+
+  const _intersects = (a, b) =>
+    a.x <= b.x + b.width && b.x <= a.x + a.width &&
+    a.y <= b.y + b.height && b.y <= a.y + a.height;
+
+  const _contains = (outer, inner) =>
+    inner.x >= outer.x && inner.y >= outer.y &&
+    inner.x + inner.width <= outer.x + outer.width &&
+    inner.y + inner.height <= outer.y + outer.height;
+
+  function _distance(p, r) {
+    const dx = Math.max(r.x - p.x, 0, p.x - (r.x + r.width));
+    const dy = Math.max(r.y - p.y, 0, p.y - (r.y + r.height));
+    return Math.hypot(dx, dy);
+  }
+
+  // Pixel-exact test against the node's hit region (any part, for groups)
+  function _hits(node, point) {
+    const abs = services.core.layer.getAbsoluteTransform().point(point);
+    const shapes = node.getChildren ? node.find('Shape') : [node];
+    return shapes.some(s => s.isVisible() && s.intersects(abs));
+  }
+
+  // Is `node` somewhere inside `container`?
+  function _within(node, container) {
+    for (let p = node.getParent(); p; p = p.getParent()) if (p === container) return true;
+    return false;
+  }
+
+  function _node(target) {
+    return typeof target === 'string' ? services.shapes.getById(target) : target;
+  }
+
+  // ── Attribute matching ────────────────────────────────────────
+
+  // A container matches if any part of it does
+  function _parts(node) {
+    return node.getChildren ? [node, ...node.find('Shape')] : [node];
+  }
+
+  const _lower = v => String(v).toLowerCase();
+
+  function _matches(node, { type, fill, textContains, name, tag }) {
+    if (type !== undefined && ![].concat(type).includes(node.getAttr('shapeType'))) return false;
+    if (name !== undefined && !node.hasName(name)) return false;
+    if (tag !== undefined && !(node.getAttr('tags') ?? []).includes(tag)) return false;
+    if (fill !== undefined) {
+      const want = _lower(fill);
+      if (!_parts(node).some(n => n.getAttr('fill') != null && _lower(n.getAttr('fill')) === want)) return false;
+    }
+    if (textContains !== undefined) {
+      const want = _lower(textContains);
+      if (!_parts(node).some(n => typeof n.getAttr('text') === 'string' && _lower(n.getAttr('text')).includes(want))) return false;
+    }
+    return true;
+  }
+
+  // ── Public ────────────────────────────────────────────────────
+
+  /**
+   * Shapes matching every given criterion, back to front.
+   * @param {object} [criteria]
+   * @param {string|string[]} [criteria.type]  Registry type(s)
+   * @param {string} [criteria.fill]          Colour, case-insensitive
+   * @param {string} [criteria.textContains]  Substring of its text, case-insensitive
+   * @param {string} [criteria.name]          One of its Konva names
+   * @param {string} [criteria.tag]           One of its `tags`
+   * @returns {Konva.Node[]}
+   */
+  function find(criteria = {}) {
+    _sync();
+    return [..._order.keys()].filter(n => _matches(n, criteria)).sort(_byOrder);
+  }
+
+  /**
+   * Shapes under `point`, topmost first. By bounding box, or by their
+   * actual pixels with `{ precise: true }`.
+   * @returns {Konva.Node[]}
+   */
+  function shapesAt(point, { precise = false } = {}) {
+    _sync();
+    const probe = { x: point.x, y: point.y, width: 0, height: 0 };
+    return _candidates(probe)
+      .filter(n => _intersects(_rects.get(n), probe) && (!precise || _hits(n, point)))
+      .sort(_byOrder)
+      .reverse();
+  }
+
+  /**
+   * Shapes whose box touches `rect` — or lies wholly inside it with
+   * `{ fully: true }`.
+   * @returns {Konva.Node[]}
+   */
+  function shapesInRect(rect, { fully = false } = {}) {
+    _sync();
+    return _candidates(rect)
+      .filter(n => (fully ? _contains(rect, _rects.get(n)) : _intersects(rect, _rects.get(n))))
+      .sort(_byOrder);
+  }
+
+  /**
+   * The shape whose box is closest to `point` (0 inside it; the topmost
+   * wins ties), optionally among those matching find() criteria.
+   * @returns {Konva.Node|null}
+   */
+  function nearest(point, criteria) {
+    _sync();
+    if (!_rects.size) return null;
+    let best = null, bestDist = Infinity;
+    const consider = node => {
+      if (criteria && !_matches(node, criteria)) return;
+      const d = _distance(point, _rects.get(node));
+      if (d < bestDist || (d === bestDist && _order.get(node) > _order.get(best))) {
+        best = node;
+        bestDist = d;
+      }
+    };
+
+    // Rings of cells outward from the point, until nothing closer can remain
+    const cx = Math.floor(point.x / CELL), cy = Math.floor(point.y / CELL);
+    const keys = [..._cells.keys()].map(k => k.split(',').map(Number));
+    const reach = Math.max(...keys.map(([x, y]) => Math.max(Math.abs(x - cx), Math.abs(y - cy))));
+    const seen = new Set();
+    for (let ring = 0; ring <= reach; ring++) {
+      for (let x = cx - ring; x <= cx + ring; x++) {
+        for (let y = cy - ring; y <= cy + ring; y++) {
+          if (Math.max(Math.abs(x - cx), Math.abs(y - cy)) !== ring) continue;
+          _cells.get(`${x},${y}`)?.forEach(n => {
+            if (!seen.has(n)) {
+              seen.add(n);
+              consider(n);
+            }
+          });
+        }
+      }
+      if (best && bestDist <= ring * CELL) break;
+    }
+    return best;
+  }
+
+  /**
+   * Shapes whose box touches the given shape's (a node or id), excluding
+   * its own parts and the groups it sits in.
+   * @returns {Konva.Node[]}
+   */
+  function overlapping(target) {
+    _sync();
+    const node = _node(target);
+    const r = node && _rects.get(node);
+    if (!r) return [];
+    return _candidates(r)
+      .filter(n => n !== node && !_within(n, node) && !_within(node, n) && _intersects(r, _rects.get(n)))
+      .sort(_byOrder);
+  }
+
+  /**
+   * A shape's bounding box in canvas coordinates, or null.
+   * @returns {{ x: number, y: number, width: number, height: number }|null}
+   */
+  function bounds(target) {
+    _sync();
+    const r = _rects.get(_node(target));
+    return r ? { ...r } : null;
+  }
+
+  return { find, shapesAt, shapesInRect, nearest, overlapping, bounds };
+}
@@ -0,0 +1,293 @@
+/**
+ * Recorder — record an editing session as a timestamped script, and play
+ * it back.
+ *
+ *   studio.Recorder.start();
+ *   // … draw, edit, call the API, let an agent work …
+ *   const script = studio.Recorder.stop();
+ *
+ *   const replay = new CanvasStudio(otherRoot);
+ *   await replay.Recorder.play(script);                   // real speed
+ *   await replay.Recorder.play(script, { instant: true }); // as fast as it goes
+ *
+ * A script starts from a snapshot of the document and lists what happened,
+ * each action `t` ms after the start:
+ *
+ *   { t: 0,    type: 'tool',   name: 'pencil' }           ← tool:change
+ *   { t: 180,  type: 'color',  color: '#ef4444' }         ← color:change
+ *   { t: 950,  type: 'stroke', tool: 'pencil', points: [x, y, …], duration: 640 }
+ *   { t: 1590, type: 'patch',  action: 'save', actor: 'user', patch: […] }   ← history:patch
+ *   { t: 2100, type: 'select', ids: ['<uuid>', …] }      ← selection:change
+ *   { t: 2400, type: 'call',   via: 'api', method: 'Shapes.create', params: […], result: { id } }
+ *   { t: 3000, type: 'mark',   label: 'bug shows here' }  ← mark()
+ *
+ * Playback loads the snapshot, then goes through the public API: tools,
+ * colours and selection are set again, and each patch is applied and saved
+ * as one history step by the actor who made it — so the document comes out
+ * the same, shape ids included. Strokes are drawn as fading trails on the
+ * overlay layer. Calls (through studio.<Namespace> or RPC) are annotations:
+ * their effects are already in the patches, so they aren't made again.
+ *
+ * Emits:
+ *   'recorder:action'  — each action as it is recorded
+ *   'playback:action'  — each action as it is played back
+ */
+import { applyPatch } from '../core/Patch.js';
+
+export const SCRIPT_FORMAT = 'agentdraw-session';
+export const SCRIPT_VERSION = 1;
+
+// Pointer samples closer together than this are dropped (ms)
+const SAMPLE_MS = 16;
+const TRAIL_TINT = '#ff6b6b';
+
+export function createRecorder(services) {
+  const { events } = services;
+  const headless = !!services.options?.headless;
+  /** @type {{ started: number, initial: object, actions: object[], stage: object }|null} */
+  let _session = null;
+  let _playing = false;
+  let _depth = 0;  // nested public API calls record only the outermost
+  /** @type {{ action: object, last: number }|null} pointer stroke in progress */
+  let _stroke = null;
+
+  // ── Recording ─────────────────────────────────────────────────
+
+  function _push(action) {
+    if (!_session || _playing) return null;
+    const entry = { t: Math.round(performance.now() - _session.started), ...action };
+    _session.actions.push(entry);
+    events.emit('recorder:action', entry);
+    return entry;
+  }
+
+  events.on('tool:change', ({ name }) => _push({ type: 'tool', name }));
+  events.on('color:change', ({ color }) => _push({ type: 'color', color }));
+  events.on('selection:change', shapes => _push({ type: 'select', ids: shapes.map(s => s._publicId).filter(Boolean) }));
+  events.on('history:patch', ({ action, actor, patch }) => {
+    if (patch.length) _push({ type: 'patch', action, actor, patch });
+  });
+
+  // Pointer strokes, in canvas coordinates — pushed on press so the patch
+  // the gesture produces on release comes after it
+  const { stage } = services.core;
+  stage.on('mousedown.recorder touchstart.recorder', () => {
+    const p = services.core.pointer();
+    if (!p) return;
+    const action = _push({ type: 'stroke', tool: services.tools?.active() ?? null, points: [p.x, p.y], duration: 0 });
+    _stroke = action && { action, last: performance.now() };
+  });
+  stage.on('mousemove.recorder touchmove.recorder', () => {
+    if (!_stroke || performance.now() - _stroke.last < SAMPLE_MS) return;
+    const p = services.core.pointer();
+    if (!p) return;
+    _stroke.last = performance.now();
+    _stroke.action.points.push(Math.round(p.x), Math.round(p.y));
+  });
+  stage.on('mouseup.recorder touchend.recorder', () => {
+    if (!_stroke) return;
+    _stroke.action.duration = Math.round(performance.now() - _session.started - _stroke.action.t);
+    _stroke = null;
+  });
+
+  /** JSON-safe copy of call arguments and results: shapes become `{ id }`. */
+  function _plain(value, depth = 0) {
+    if (value instanceof Konva.Node) return { id: value._publicId ?? null };
+    if (typeof value === 'function' || value === undefined) return null;
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 6 || value instanceof Promise) return null;
+    if (Array.isArray(value)) return value.map(v => _plain(v, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, _plain(v, depth + 1)]));
+  }
+
+  /**
+   * Note a call made from outside — `via` 'api' (a studio.<Namespace>
+   * method) or 'rpc'. Only the outermost call of a nested chain is kept.
+   */
+  function note(method, params, via, result) {
+    if (_depth > 1) return;
+    _push({ type: 'call', via, method, params: _plain(params), ...(result !== undefined && { result: _plain(result) }) });
+  }
+
+  /**
+   * Wrap a public API namespace so its calls are recorded while a session
+   * runs. Non-function members pass through.
+   * @template T
+   * @param {string} namespace
+   * @param {T} api
+   * @returns {T}
+   */
+  function trace(namespace, api) {
+    if (!api) return api;
+    return Object.fromEntries(Object.entries(api).map(([name, fn]) => {
+      if (typeof fn !== 'function') return [name, fn];
+      return [name, (...args) => {
+        if (!_session || _playing) return fn(...args);
+        _depth++;
+        try {
+          const result = fn(...args);
+          note(`${namespace}.${name}`, args, 'api', result instanceof Promise ? undefined : result);
+          return result;
+        } finally {
+          _depth--;
+        }
+      }];
+    }));
+  }
+
+  /**
+   * Start recording, from a snapshot of the document as it is now. A
+   * session already running is discarded.
+   */
+  function start() {
+    if (_playing) throw new Error('[Recorder] cannot record during playback');
+    services.history.save();  // pending edits belong to the snapshot
+    _session = {
+      started: performance.now(),
+      recorded: new Date().toISOString(),
+      initial: services.export.getState(),
+      stage: { width: services.core.stage.width(), height: services.core.stage.height() },
+      actions: [],
+    };
+    if (services.tools) _push({ type: 'tool', name: services.tools.active() });
+    if (services.color) _push({ type: 'color', color: services.color.current() });
+  }
+
+  /** Add a labelled marker to the session ("bug shows here"). */
+  function mark(label) {
+    return !!_push({ type: 'mark', label: String(label) });
+  }
+
+  /**
+   * Stop recording.
+   * @returns {object|null} the script, or null if nothing was recording
+   */
+  function stop() {
+    if (!_session) return null;
+    services.history.save();
+    const { started, ...rest } = _session;
+    _session = null;
+    _stroke = null;
+    return structuredClone({
+      format: SCRIPT_FORMAT,
+      version: SCRIPT_VERSION,
+      duration: Math.round(performance.now() - started),
+      ...rest,
+    });
+  }
+
+  /**
+   * The script as JSON. In the browser it also downloads, unless
+   * `filename` is `false`; headless it only returns.
+   * @returns {string}
+   */
+  function asJSON(script, filename) {
+    const json = JSON.stringify(script, null, 2);
+    if (!headless && filename !== false) {
+      const blob = new Blob([json], { type: 'application/json' });
+      services.export.download(filename || `agentdraw-session-${Date.now()}.json`, URL.createObjectURL(blob));
+    }
+    return json;
+  }
+
+  // ── Playback ──────────────────────────────────────────────────
+
+  const _sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  /** A pointer stroke as a trail on the overlay, drawn over `duration` then faded. */
+  function _trail({ points, duration }, speed) {
+    const { overlay } = services.core;
+    const line = new Konva.Line({
+      points: points.slice(0, 2), stroke: TRAIL_TINT, strokeWidth: 2, opacity: 0.8,
+      lineCap: 'round', lineJoin: 'round', dash: [2, 4], listening: false,
+    });
+    overlay.add(line);
+    const total = Math.max(duration / speed, 1);
+    const anim = new Konva.Animation(frame => {
+      const upto = Math.ceil(Math.min(frame.time / total, 1) * (points.length / 2)) * 2;
+      line.points(points.slice(0, Math.max(upto, 2)));
+      if (frame.time < total) return;
+      anim.stop();
+      line.to({ opacity: 0, duration: 0.4, onFinish: () => line.destroy() });
+    }, overlay);
+    anim.start();
+  }
+
+  const PLAY = {
+    tool:   ({ name }) => services.tools?.setActive(name),
+    color:  ({ color }) => services.color?.set(color),
+    // Scripts recorded before multi-selection carry one `id`
+    select: ({ ids, id }) => {
+      if (!services.interaction) return;
+      const list = ids ?? (id ? [id] : []);
+      if (list.length) services.shapes.selectById(list);
+      else services.interaction.deselect();
+    },
+    stroke: (action, { instant, speed }) => {
+      if (!instant && !headless && action.points.length > 2) _trail(action, speed);
+    },
+    patch:  ({ actor, patch }) => {
+      const { history } = services;
+      history.as(actor ?? 'user', () => {
+        applyPatch(services, patch);
+        history.save();
+      });
+    },
+    call:   () => {},
+    mark:   () => {},
+  };
+
+  /**
+   * Check a script's shape before playing it.
+   * @returns {string|null} what is wrong, or null
+   */
+  function _invalid(script) {
+    if (!script || typeof script !== 'object') return 'must be an object';
+    if (script.format !== SCRIPT_FORMAT) return `format must be '${SCRIPT_FORMAT}'`;
+    if (script.version !== SCRIPT_VERSION) return `unsupported version ${script.version}`;
+    if (!script.initial || !Array.isArray(script.actions)) return 'must have initial and actions';
+    const bad = script.actions.findIndex(a => !a || !PLAY[a.type] || !Number.isFinite(a.t));
+    return bad >= 0 ? `actions/${bad} is not a recorded action` : null;
+  }
+
+  /**
+   * Replay a script on this studio: load its snapshot, then each action at
+   * its time, divided by `speed`, or back to back with `instant`.
+   * @param {object} script  From stop() (or its JSON, parsed)
+   * @param {{ speed?: number, instant?: boolean, signal?: AbortSignal }} [options]
+   * @returns {Promise<{ played: number, cancelled: boolean }>}
+   */
+  async function play(script, { speed = 1, instant = false, signal } = {}) {
+    const problem = _invalid(script);
+    if (problem) throw new TypeError(`[Recorder] invalid script: ${problem}`);
+    if (_playing) throw new Error('[Recorder] already playing');
+    if (!(speed > 0)) throw new RangeError('[Recorder] speed must be > 0');
+
+    _playing = true;
+    let played = 0;
+    try {
+      if (!services.export.loadState(script.initial)) throw new Error('[Recorder] could not load the initial document');
+      const begun = performance.now();
+      for (const action of script.actions) {
+        if (signal?.aborted) break;
+        if (!instant) {
+          const wait = action.t / speed - (performance.now() - begun);
+          if (wait > 0) await _sleep(wait);
+          if (signal?.aborted) break;
+        }
+        PLAY[action.type](action, { instant, speed });
+        played++;
+        events.emit('playback:action', action);
+      }
+    } finally {
+      _playing = false;
+    }
+    return { played, cancelled: played < script.actions.length };
+  }
+
+  return {
+    start, stop, mark, play, asJSON, trace, note,
+    recording: () => !!_session,
+    playing: () => _playing,
+  };
+}
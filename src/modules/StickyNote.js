@@ -2,17 +2,52 @@
  * StickyNote — places draggable sticky note cards on the canvas.
  * Each sticky is a Konva.Group containing a Rect + Text.
  * Double-click the text to inline-edit it.
+ *
+ * Registered as the 'sticky' shape type: the group serialises like any other
+ * node, and the registry's hydrate hook re-wires the overlay and handlers
+ * when one is restored.
  */
 
 const STICKY_COLORS = ['#fef08a','#86efac','#93c5fd','#f9a8d4','#fdba74','#c4b5fd'];
-let _nextColor = 0;
 
 export function createStickyNote(services) {
+  let _nextColor = 0;
+  /** @type {Set<{ group: Konva.Group, label: Konva.Text, overlay: HTMLElement }>} */
+  const _notes = new Set();
+
+  // Undo / redo re-attach or patch the same groups — keep overlays in step
+  services.events.on('history:change', _syncOverlays);
+
+  services.shapes.register('sticky', cfg => _build(cfg, cfg.color ?? STICKY_COLORS[0]), {
+    interactive: false,
+    hydrate:     _wire,
+    props:       { color: { type: 'string' } },
+  });
 
   function place(pos) {
     const color = STICKY_COLORS[_nextColor % STICKY_COLORS.length];
     _nextColor++;
 
+    const group = _build(pos, color);
+    services.core.layer.add(group);
+    services.drawing.shiftToCenter(group);
+    services.shapes.adopt(group, 'sticky');
+
+    if (services.core.watermark) services.core.watermark.moveToTop();
+
+    _wire(group);
+
+    // Entrance
+    group.to({ opacity: 1, duration: 0.28, easing: Konva.Easings.BackEaseOut });
+
+    services.events.emit('stats:update');
+    services.history.save();
+    services.tools.setActive('select');
+    return group;
+  }
+
+  /** The Konva side of a sticky, centred on `pos` — no DOM, no handlers. */
+  function _build(pos, color) {
     const W = 180, H = 160;
 
     const group = new Konva.Group({
@@ -32,6 +67,7 @@ export function createStickyNote(services) {
 
     // Card body
     const card = new Konva.Rect({
+      name: 'sticky-card',
       width: W, height: H,
       fill: color,
       cornerRadius: 3,
@@ -48,6 +84,7 @@ export function createStickyNote(services) {
 
     // Text
     const label = new Konva.Text({
+      name: 'sticky-label',
       text: 'Double Click to edit…',
       x: 12, y: 12,
       width: W - 24,
@@ -62,20 +99,21 @@ export function createStickyNote(services) {
     });
 
     group.add(shadow, card, fold, label);
-    services.core.layer.add(group);
-    services.drawing.shiftToCenter(group);
+    return group;
+  }
 
-    if (services.core.watermark) services.core.watermark.moveToTop();
+  /** Attach the HTML text overlay and pointer handlers to a sticky group on the layer. */
+  function _wire(group) {
+    const label = group.findOne('.sticky-label');
+    const color = group.findOne('.sticky-card').fill();
 
     // Create scrollable HTML overlay
     const textOverlay = _createTextOverlay(group, label, color);
+    _notes.add({ group, label, overlay: textOverlay });
     
     // Hide the Konva text since we're using HTML overlay
     label.visible(false);
 
-    // Entrance
-    group.to({ opacity: 1, duration: 0.28, easing: Konva.Easings.BackEaseOut });
-
     // Update overlay position on drag/transform
     const updateOverlay = () => _updateOverlayPosition(group, label, textOverlay);
     group.on('dragmove', updateOverlay);
@@ -90,22 +128,19 @@ export function createStickyNote(services) {
     group.on('mouseleave', () => {
       services.core.stage.container().style.cursor = 'default';
     });
+    // Inside a group that isn't entered, clicks are the group's
+    const picked = () => services.interaction.pick(group) === group;
     group.on('click tap', e => {
+      if (!picked() || services.tools.active() === 'eraser') return;  // Interaction erases
       e.cancelBubble = true;
-      if (services.tools.active() === 'eraser') {
-        textOverlay.remove();
-        services.shapes.erase(group);
-        return;
-      }
       services.interaction.select(group);
     });
-    group.on('dblclick', () => _startEdit(group, label, color, textOverlay));
+    group.on('dblclick', e => {
+      if (!picked()) return;
+      e.cancelBubble = true;
+      _startEdit(group, label, color, textOverlay);
+    });
     group.on('dragend', () => services.history.save());
-
-    services.events.emit('stats:update');
-    services.history.save();
-    services.tools.setActive('select');
-    return group;
   }
 
   function _createTextOverlay(group, label, bgColor) {
@@ -136,14 +171,14 @@ export function createStickyNote(services) {
       .${uniqueId}::-webkit-scrollbar-thumb:hover { background: ${_darkenColor(bgColor, 0.4)}; }
       .${uniqueId} { scrollbar-color: ${scrollbarColor} rgba(0,0,0,0.05); scrollbar-width: thin; }
     `;
-    document.head.appendChild(style);
+    document.head.appendChild(services.dom.track(style));
 
     overlay.addEventListener('dblclick', (e) => {
       e.stopPropagation();
       _startEdit(group, label, bgColor, overlay);
     });
 
-    document.getElementById('canvas-area').appendChild(overlay);
+    services.core.area.appendChild(services.dom.track(overlay));
     _updateOverlayPosition(group, label, overlay);
     
     return overlay;
@@ -160,6 +195,15 @@ export function createStickyNote(services) {
     overlay.textContent = label.text();
   }
 
+  /** Show overlays only for stickies on the layer, at their current spot. */
+  function _syncOverlays() {
+    _notes.forEach(({ group, label, overlay }) => {
+      const onCanvas = !!group.getLayer();
+      overlay.style.display = onCanvas ? 'block' : 'none';
+      if (onCanvas) _updateOverlayPosition(group, label, overlay);
+    });
+  }
+
   function _darkenColor(hex, amount) {
     // Convert hex to RGB, darken, and return
     const r = parseInt(hex.slice(1, 3), 16);
@@ -171,15 +215,18 @@ export function createStickyNote(services) {
     return `rgb(${newR}, ${newG}, ${newB})`;
   }
 
+  // The user may not change it (Permissions)
+  const _locked = group => !!services.permissions && !services.permissions.can('user', 'update', group);
+
   function _startEdit(group, label, bgColor, textOverlay) {
+    if (_locked(group)) return services.ui.toast('Locked — unlock it to edit it (Ctrl+L)');
     const absPos = label.getAbsolutePosition();
     const scale  = services.core.stage.scaleX();
-    const area   = document.getElementById('canvas-area');
 
     // Hide overlay during edit
     textOverlay.style.display = 'none';
 
-    const ta = document.getElementById('text-editor');
+    const ta = services.dom.ensure('text-editor', 'textarea', services.core.area);
     ta.style.display    = 'block';
     ta.style.left       = absPos.x + 'px';
     ta.style.top        = absPos.y + 'px';
@@ -1,10 +1,10 @@
 /**
  * Text — click-to-place Konva Text nodes with full inline textarea editing.
- * Double-click an existing text shape to re-edit.
+ * Double-click an existing text shape to re-edit. The same textarea edits
+ * the labels inside closed shapes (modules/Labels.js).
  */
 export function createText(services) {
-  const area     = document.getElementById('canvas-area');
-  const textarea = document.getElementById('text-editor');
+  const textarea = services.dom.ensure('text-editor', 'textarea', services.core.area);
   let _editing   = null;
 
   function placeAt(pos) {
@@ -15,10 +15,11 @@ export function createText(services) {
     });
     if (!shape) return;
     services.core.layer.batchDraw();
-    setTimeout(() => startEdit(shape), 60);
+    services.dom.timeout(() => startEdit(shape), 60);
   }
 
   function startEdit(node) {
+    if (node.getClassName() !== 'Text') return _startLabel(node);
     _editing = node;
     services.core.tr.nodes([]);
 
@@ -35,6 +36,7 @@ export function createText(services) {
     textarea.style.width      = Math.max(200, node.width() + 40) + 'px';
     textarea.style.minHeight  = node.fontSize() * 1.4 + 'px';
     textarea.style.transform  = `rotate(${node.rotation()}deg)`;
+    textarea.style.transformOrigin = textarea.style.height = textarea.style.textAlign = '';
     textarea.value = node.text() === 'Type here...' ? '' : node.text();
 
     node.visible(false);
@@ -42,21 +44,56 @@ export function createText(services) {
     textarea.focus();
   }
 
+  /** Edit a shape's label over its text box; Labels leaves it unpainted meanwhile. */
+  function _startLabel(node) {
+    const box = services.labels.box(node);
+    if (!box) return;
+    _editing = node;
+    services.core.tr.nodes([]);
+
+    const at    = node.getAbsoluteTransform().point({ x: box.x, y: box.y });
+    const scale = node.getAbsoluteScale();
+    const style = services.labels.style(node);
+
+    textarea.style.display    = 'block';
+    textarea.style.left       = at.x + 'px';
+    textarea.style.top        = at.y + 'px';
+    textarea.style.fontSize   = (style.fontSize * scale.y) + 'px';
+    textarea.style.fontFamily = style.fontFamily;
+    textarea.style.color      = style.color;
+    textarea.style.lineHeight = String(style.lineHeight);
+    textarea.style.textAlign  = style.align;
+    textarea.style.width      = (box.width * scale.x) + 'px';
+    textarea.style.height     = (box.height * scale.y) + 'px';
+    textarea.style.minHeight  = '';
+    textarea.style.transformOrigin = 'top left';
+    textarea.style.transform  = `rotate(${node.getAbsoluteRotation()}deg)`;
+    textarea.value = node.getAttr('text') ?? '';
+
+    services.core.layer.batchDraw();
+    textarea.focus();
+  }
+
   function commitEdit() {
     if (!_editing) return;
-    _editing.text(textarea.value.trim() || 'Text');
-    _editing.visible(true);
-    textarea.style.display = 'none';
+    const node = _editing;
     _editing = null;
+    if (node.getClassName() === 'Text') {
+      node.text(textarea.value.trim() || 'Text');
+      node.visible(true);
+    } else {
+      node.setAttr('text', textarea.value.trim() || undefined);
+    }
+    textarea.style.display = 'none';
     services.core.layer.batchDraw();
     services.history.save();
   }
 
-  textarea.addEventListener('blur',   commitEdit);
-  textarea.addEventListener('keydown', e => {
+  services.dom.listen(textarea, 'blur',   commitEdit);
+  services.dom.listen(textarea, 'keydown', e => {
     if (e.key === 'Escape')                    commitEdit();
     if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); commitEdit(); }
   });
 
-  return { placeAt, startEdit, commitEdit, isEditing: () => !!_editing };
+  return { placeAt, startEdit, commitEdit, isEditing: () => !!_editing, editing: () => _editing };
 }
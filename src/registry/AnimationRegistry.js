@@ -13,6 +13,8 @@
  *   state  — { origX, origY, origRot, origScaleX, origScaleY, origOpacity, origFill, ... }
  *   layer  — the Konva layer (for Konva.Animation constructor)
  *
+ * Types registered after the panel is built get a button at its end.
+ *
  * Emits:
  *   'animation:start' — { shapeId, type }
  *   'animation:stop'  — { shapeId, type }
@@ -23,6 +25,9 @@ export function createAnimationRegistry(services) {
   const _registry = new Map();
   /** @type {Map<number, { anim: Konva.Animation, state: object, type: string }>} */
   const _running  = new Map();
+  /** @type {Map<string, HTMLButtonElement>} panel buttons by animation type */
+  const _buttons  = new Map();
+  let _grid = null;  // panel element, once built
 
   const PANEL_ORDER = [
     'pulse','spin','float','rainbow','shake','bounce',
@@ -32,6 +37,17 @@ export function createAnimationRegistry(services) {
 
   function register(type, factory, meta = {}) {
     _registry.set(type, { factory, meta });
+    if (_grid && !_buttons.has(type)) _addButton(type);
+  }
+
+  /** Remove a preset, stopping shapes that run it. */
+  function unregister(type) {
+    if (!_registry.has(type)) return false;
+    [..._running].forEach(([shapeId, entry]) => { if (entry.type === type) stopForShape(shapeId); });
+    _registry.delete(type);
+    _buttons.get(type)?.remove();
+    _buttons.delete(type);
+    return true;
   }
 
   // ── Centre-origin shift ───────────────────────────────────────
@@ -52,34 +68,48 @@ export function createAnimationRegistry(services) {
     if (!entry) return;
 
     entry.anim.stop();
-    const s = entry.state;
-    const shape = s.shape;
+    const shape = entry.state.shape;
     const alive = shape && shape.getLayer?.();
 
-    if (alive) {
-      // Instant restore — no async tween (avoids animation conflicts)
-      shape.offsetX(s.origOffsetX);
-      shape.offsetY(s.origOffsetY);
-      shape.x(s.origX - s.dx);
-      shape.y(s.origY - s.dy);
-      shape.rotation(s.origRot);
-      shape.scaleX(s.origScaleX);
-      shape.scaleY(s.origScaleY);
-      shape.opacity(s.origOpacity);
-      if (shape.shadowBlur)            shape.shadowBlur(s.origShadowBlur);
-      if (shape.shadowColor)           shape.shadowColor(s.origShadowColor);
-      if (s.origFill && shape.fill)    shape.fill(s.origFill);
-    }
+    // Instant restore — no async tween (avoids animation conflicts)
+    if (alive) shape.setAttrs(restingAttrs(shape));
 
     _running.delete(shapeId);
-    const btn = document.getElementById(`cs-anim-${entry.type}`);
-    if (btn) btn.classList.remove('running');
+    _buttons.get(entry.type)?.classList.remove('running');
     services.core.layer.draw();
-    events.emit('animation:stop', { shapeId, type: entry.type });
+    events.emit('animation:stop', { shapeId, id: shape?._publicId ?? null, type: entry.type });
   }
 
-  function apply(type) {
-    const shape = services.interaction.selected();
+  /**
+   * The attrs `shape` returns to when its animation stops, or null if it
+   * isn't animating. History records these instead of mid-animation values.
+   */
+  function restingAttrs(shape) {
+    const entry = _running.get(shape._id);
+    if (!entry) return null;
+    const s = entry.state;
+    const attrs = {
+      offsetX:  s.origOffsetX,
+      offsetY:  s.origOffsetY,
+      x:        s.origX - s.dx,
+      y:        s.origY - s.dy,
+      rotation: s.origRot,
+      scaleX:   s.origScaleX,
+      scaleY:   s.origScaleY,
+      opacity:  s.origOpacity,
+    };
+    if (shape.shadowBlur)         attrs.shadowBlur  = s.origShadowBlur;
+    if (shape.shadowColor)        attrs.shadowColor = s.origShadowColor;
+    if (s.origFill && shape.fill) attrs.fill        = s.origFill;
+    return attrs;
+  }
+
+  /** Apply `type` to `shape` — a shape, a list, or by default the selection. */
+  function apply(type, shape = services.interaction?.selection()) {
+    if (Array.isArray(shape)) {
+      if (!shape.length) return services.ui.toast('Select a shape first');
+      return shape.forEach(s => apply(type, s));
+    }
     if (!shape) return services.ui.toast('Select a shape first');
 
     const entry = _registry.get(type);
@@ -117,9 +147,8 @@ export function createAnimationRegistry(services) {
     _running.set(shapeId, { anim, state, type });
     anim.start();
 
-    const btn = document.getElementById(`cs-anim-${type}`);
-    if (btn) btn.classList.add('running');
-    events.emit('animation:start', { shapeId, type });
+    _buttons.get(type)?.classList.add('running');
+    events.emit('animation:start', { shapeId, id: shape._publicId ?? null, type });
   }
 
   function stopAll(silent = false) {
@@ -134,27 +163,29 @@ export function createAnimationRegistry(services) {
       .filter(s => s !== services.core.tr && s.draggable?.() && s.name() !== 'watermark');
 
     shapes.forEach((shape, i) => {
-      services.interaction.select(shape);
-      apply(types[i % types.length]);
+      services.interaction?.select(shape);
+      apply(types[i % types.length], shape);
     });
     services.ui.toast(`Animating ${shapes.length} shapes ✦`);
   }
 
   function initPanel(containerId) {
-    const grid = document.getElementById(containerId);
+    const grid = services.dom.get(containerId);
     if (!grid) return;
-    PANEL_ORDER.forEach(type => {
-      const entry = _registry.get(type);
-      if (!entry) return;
-      const { icon = '✦', label = type } = entry.meta;
-      const btn = document.createElement('button');
-      btn.className = 'cs-anim-btn';
-      btn.id = `cs-anim-${type}`;
-      btn.textContent = `${icon} ${label}`;
-      btn.onclick = () => apply(type);
-      grid.appendChild(btn);
-    });
+    _grid = grid;
+    PANEL_ORDER.forEach(type => { if (_registry.has(type)) _addButton(type); });
+  }
+
+  function _addButton(type) {
+    const { icon = '✦', label = type } = _registry.get(type).meta;
+    const btn = document.createElement('button');
+    btn.className = 'cs-anim-btn';
+    btn.dataset.anim = type;
+    btn.textContent = `${icon} ${label}`;
+    btn.onclick = () => apply(type);
+    _grid.appendChild(services.dom.track(btn));
+    _buttons.set(type, btn);
   }
 
-  return { register, apply, stopForShape, stopAll, animateAll, initPanel };
+  return { register, unregister, has: type => _registry.has(type), apply, stopForShape, stopAll, animateAll, initPanel, restingAttrs };
 }
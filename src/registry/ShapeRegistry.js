@@ -6,14 +6,76 @@
  *
  * Create shapes programmatically:
  *   services.shapes.create('rect', { x: 200, y: 150, width: 120, height: 80 })
+ *
+ * Every node on the layer carries its registry type in the `shapeType` attr
+ * and a public id, so Export.getState() can describe it and restore() can
+ * rebuild it. Nodes built outside create() (pencil strokes, stickies,
+ * images) are stamped with adopt(). Optional `meta` on register():
+ *   hydrate(node)  re-attach what attrs can't carry (a sceneFunc, an image
+ *                  element, DOM overlays) — runs on create and on restore
+ *   interactive    false if the type wires its own pointer handlers
+ *   props          JSON Schema `properties` for the type's own config keys;
+ *                  with it, schema(type) rejects keys it doesn't know
+ *   required       config keys an agent must give when adding one
+ *   label          display name for catalog(); defaults to the tool's label
+ *   textBox        the type takes a text label (modules/Labels.js): true to
+ *                  fill the shape's own rect, or node => { x, y, width, height }
+ *                  in the node's coordinates
+ *   anchors        node => { top?, right?, bottom?, left?, center? }: where
+ *                  connectors meet it, in its coordinates, for anchors that
+ *                  aren't the midpoints of its box's sides (or its centre)
+ *   description    one line on what the type is for, shown to agents
+ *   icon           with it, a type registered after the Quick Add panel is
+ *                  built gets a button there
+ *   category       with an icon, the button goes in a Quick Add section of
+ *                  its own ('flowchart', 'uml', …), built-in types included
+ *
+ * Emits: 'shape:register' / 'shape:unregister' — { type }
+ *
+ * Headless-safe: Color/Interaction/Drawing are optional, and in headless mode
+ * entrance/exit tweens are skipped so state is final as soon as a call returns.
  */
+import { DEFAULT_PALETTE } from '../modules/Color.js';
+import { shiftToCenter }   from '../modules/Drawing.js';
+import { LABEL_PROPS }     from '../modules/Labels.js';
+
+// Attrs duplicate() doesn't carry over: who made the original, and its locks
+const COPY_RESETS = ['createdBy', 'updatedBy', 'locked', 'agentReadOnly'];
+
 export function createShapeRegistry(services) {
-  /** @type {Map<string, (cfg: object) => Konva.Node>} */
+  const headless = !!services.options?.headless;
+
+  /** @type {Map<string, { factory: (cfg: object) => Konva.Node, meta: object }>} */
   const _registry = new Map();
   
   /** @type {Map<string, Konva.Node>} UUID → shape mapping for agent targeting */
   const _shapeMap = new Map();
 
+  // Config keys every shape accepts (JSON Schema), on top of a type's `props`
+  const BASE_PROPS = {
+    x:             { type: 'number' },
+    y:             { type: 'number' },
+    rotation:      { type: 'number' },
+    scaleX:        { type: 'number' },
+    scaleY:        { type: 'number' },
+    offsetX:       { type: 'number' },
+    offsetY:       { type: 'number' },
+    opacity:       { type: 'number', minimum: 0, maximum: 1 },
+    fill:          { type: ['string', 'null'] },
+    stroke:        { type: ['string', 'null'] },
+    strokeWidth:   { type: 'number', minimum: 0 },
+    dash:          { type: 'array', items: { type: 'number', minimum: 0 } },
+    shadowColor:   { type: ['string', 'null'] },
+    shadowBlur:    { type: 'number', minimum: 0 },
+    shadowOpacity: { type: 'number', minimum: 0, maximum: 1 },
+    shadowOffsetX: { type: 'number' },
+    shadowOffsetY: { type: 'number' },
+    name:          { type: 'string' },
+    tags:          { type: 'array', items: { type: 'string' } },
+    draggable:     { type: 'boolean' },
+    visible:       { type: 'boolean' },
+  };
+
   // ── Quick-add panel metadata ────────────────────────────────
   const QUICK_SHAPES = [
     { type:'rect',     icon:'⬜', label:'Rect' },
@@ -28,19 +90,86 @@ export function createShapeRegistry(services) {
     { type:'text',     icon:'T',  label:'Text' },
   ];
 
-  function register(type, factory) {
-    _registry.set(type, factory);
+  // Quick Add sections after QUICK_SHAPES, for types with a `category`
+  const CATEGORY_TITLES = { flowchart: 'Flowchart', uml: 'UML' };
+
+  /** @type {HTMLElement|null} Quick Add panel, once built */
+  let _quickGrid = null;
+  /** @type {Map<string, HTMLElement>} Quick Add grid of each category */
+  const _categoryGrids = new Map();
+  /** @type {Map<string, HTMLButtonElement>} Quick Add buttons of types registered later or with a category */
+  const _quickButtons = new Map();
+
+  function register(type, factory, meta = {}) {
+    _registry.set(type, { factory, meta });
+    if (_quickGrid && meta.icon && !_quickButtons.has(type)) {
+      _quickButtons.set(type, _quickButton(type, meta.icon, meta.label ?? type, meta.category));
+    }
+    services.events.emit('shape:register', { type });
   }
 
-  function create(type, config = {}) {
-    const factory = _registry.get(type);
+  /**
+   * Forget a type. Shapes of it already on the canvas stay; new ones can't
+   * be created.
+   * @returns {boolean} false if it wasn't registered
+   */
+  function unregister(type) {
+    if (!_registry.delete(type)) return false;
+    _quickButtons.get(type)?.remove();
+    _quickButtons.delete(type);
+    _dropEmptyCategories();
+    services.events.emit('shape:unregister', { type });
+    return true;
+  }
+
+  /** Registered type names, in registration order. */
+  function types() {
+    return [..._registry.keys()];
+  }
+
+  /**
+   * JSON Schema for the config `type` accepts: the base style keys plus the
+   * type's `props`, and the label keys if it takes a label. Types registered
+   * without `props` also allow other keys. `required` lists the keys adding
+   * one needs.
+   */
+  function schema(type) {
+    const { meta = {} } = _registry.get(type) ?? {};
+    return {
+      type: 'object',
+      properties: { ...BASE_PROPS, ...(meta.textBox && LABEL_PROPS), ...meta.props },
+      additionalProperties: !meta.props,
+      ...(meta.required?.length && { required: [...meta.required] }),
+    };
+  }
+
+  /**
+   * Every type with what an agent needs to create it. Labels fall back to
+   * the type's tool (browser) or quick-add entry.
+   * @returns {Array<{ type: string, label: string, description: string, schema: object }>}
+   */
+  function catalog() {
+    const tools = services.tools?.list() ?? [];
+    return types().map(type => {
+      const { meta } = _registry.get(type);
+      const label = meta.label
+        ?? tools.find(t => t.name === type)?.label
+        ?? QUICK_SHAPES.find(q => q.type === type)?.label
+        ?? type;
+      return { type, label, description: meta.description ?? '', schema: schema(type) };
+    });
+  }
+
+  /** Run `type`'s factory over the default style — the node isn't added anywhere. */
+  function build(type, config = {}) {
+    const { factory } = _registry.get(type) ?? {};
     if (!factory) {
       console.warn(`[ShapeRegistry] Unknown type: "${type}"`);
       return null;
     }
 
     const base = {
-      fill:          services.color.current(),
+      fill:          services.color?.current() ?? DEFAULT_PALETTE[0],
       stroke:        'rgba(0,0,0,0.25)',
       strokeWidth:   2,
       shadowColor:   'rgba(0,0,0,0.3)',
@@ -51,35 +180,123 @@ export function createShapeRegistry(services) {
       draggable:     true,
     };
 
-    const shape = factory({ ...base, ...config });
+    return factory({ ...base, ...config }) ?? null;
+  }
+
+  function create(type, config = {}) {
+    const shape = build(type, config);
     if (!shape) return null;
+    const { meta } = _registry.get(type);
 
     services.core.layer.add(shape);
-    services.drawing.shiftToCenter(shape);
-    services.interaction.makeInteractive(shape);
+    shiftToCenter(shape);
+    if (meta.interactive !== false) services.interaction?.makeInteractive(shape);
+    meta.hydrate?.(shape);
+    if (meta.textBox) services.labels?.attach(shape);
 
     // Keep watermark on top
     if (services.core.watermark) services.core.watermark.moveToTop();
 
     // Assign stable UUID for agent targeting
-    const publicId = crypto.randomUUID();
-    shape._publicId = publicId;
-    _shapeMap.set(publicId, shape);
-
-    // Entrance animation: scale up from tiny + fade in
-    shape.scaleX(0.05); shape.scaleY(0.05);
-    shape.to({
-      opacity: 1, scaleX: 1, scaleY: 1,
-      duration: 0.38,
-      easing: Konva.Easings.ElasticEaseOut,
-    });
+    adopt(shape, type);
+
+    // Entrance animation: scale up from tiny + fade in, to the config's opacity and scale
+    const rest = { opacity: config.opacity ?? 1, scaleX: shape.scaleX(), scaleY: shape.scaleY() };
+    if (headless) {
+      shape.opacity(rest.opacity);
+    } else {
+      shape.scaleX(rest.scaleX * 0.05); shape.scaleY(rest.scaleY * 0.05);
+      shape.to({
+        ...rest,
+        duration: 0.38,
+        easing: Konva.Easings.ElasticEaseOut,
+      });
+    }
 
     services.events.emit('stats:update');
     services.history.save();
     return shape;
   }
 
-  function quickAdd(type) {
+  /**
+   * Stamp a node built outside create() with its type and a public id.
+   * @returns {string} the node's public id
+   */
+  function adopt(node, type = node.getAttr('shapeType')) {
+    if (type) node.setAttr('shapeType', type);
+    if (!node._publicId) node._publicId = crypto.randomUUID();
+    _shapeMap.set(node._publicId, node);
+    return node._publicId;
+  }
+
+  /**
+   * Rebuild a node from an Export.getState() item and add it on top of the
+   * layer: attrs exactly as saved, no entrance tween, no history save.
+   * Items without an id get a fresh one.
+   */
+  function restore(item) {
+    const node = _revive(item);
+    if (!node) return null;
+    services.core.layer.add(node);
+    _interact(node);
+    _hydrate(node);
+    adopt(node);
+    return node;
+  }
+
+  function _revive(item) {
+    const Ctor = Konva[item.className];
+    if (!Ctor) {
+      console.warn(`[ShapeRegistry] Cannot restore unknown class: "${item.className}"`);
+      return null;
+    }
+    const node = new Ctor({ ...item.attrs, shapeType: item.type });
+    if (item.id) {
+      node._publicId = item.id;
+      _shapeMap.set(item.id, node);
+    }
+    item.children?.forEach(child => {
+      const c = _revive(child);
+      if (c) node.add(c);
+    });
+    return node;
+  }
+
+  /** Wire pointer handlers onto `node` and the shapes nested in it, as their types ask. */
+  function _interact(node) {
+    if (!services.interaction) return;
+    [node, ...(node.find ? node.find(n => !!n._publicId) : [])].forEach(n => {
+      if (_registry.get(n.getAttr('shapeType'))?.meta.interactive !== false) services.interaction.makeInteractive(n);
+    });
+  }
+
+  function _hydrate(node) {
+    const meta = _registry.get(node.getAttr('shapeType'))?.meta;
+    meta?.hydrate?.(node);
+    if (meta?.textBox) services.labels?.attach(node);
+    if (node.getChildren) node.getChildren().forEach(_hydrate);
+  }
+
+  /**
+   * Where a label sits inside `node`, in its own coordinates.
+   * @returns {{ x: number, y: number, width: number, height: number }|null} null if its type takes none
+   */
+  function textBox(node) {
+    const box = _registry.get(node?.getAttr('shapeType'))?.meta.textBox;
+    if (!box) return null;
+    return typeof box === 'function' ? box(node) : node.getSelfRect();
+  }
+
+  /**
+   * Where `node`'s type puts connection anchors of its own, in the node's
+   * coordinates (see modules/Connectors.js).
+   * @returns {Object<string, { x: number, y: number }>|null} null if its anchors are its box's
+   */
+  function anchors(node) {
+    return _registry.get(node?.getAttr('shapeType'))?.meta.anchors?.(node) ?? null;
+  }
+
+  function quickAdd(type, overrides = {}) {
     const w  = services.core.width();
     const h  = services.core.height();
     const cx = w / 2 + (Math.random() * 120 - 60);
@@ -89,139 +306,336 @@ export function createShapeRegistry(services) {
     if      (['rect','diamond'].includes(type))                              { cfg.width = 140; cfg.height = 100; }
     else if (['circle','triangle','pentagon','hexagon','star'].includes(type)) cfg.radius = 60;
     else if (type === 'arrow' || type === 'line')                             { cfg.points = [cx-80,cy,cx+80,cy]; cfg.x=0; cfg.y=0; }
-    else if (type === 'text')                                                 { cfg.fontSize = services.drawing.fontSize; }
-    return create(type, cfg);
+    else if (type === 'text')                                                 { cfg.fontSize = services.drawing?.fontSize; }
+    return create(type, { ...cfg, ...overrides });
+  }
+
+  /** Whoever is acting may `action` `shape` (Permissions) — says why not otherwise. */
+  function _allowed(shape, action, props) {
+    const reason = services.permissions?.check(services.history.actor(), action, shape, props);
+    if (reason) services.ui.toast(reason[0].toUpperCase() + reason.slice(1));
+    return !reason;
   }
 
-  function erase(shape) {
+  /** Remove `shape` with an exit tween; `{ instant: true }` skips it. */
+  function erase(shape, { instant = headless } = {}) {
+    if (!_allowed(shape, 'delete')) return false;
     services.animations.stopForShape(shape._id);
-    shape.to({
-      opacity: 0, scaleX: 0.35, scaleY: 0.35,
+    const done = services.history.defer();
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      try {
+        done.run(() => {
+          services.interaction?.deselect(shape);
+          // Clean up UUID mapping, nested shapes included
+          const nested = shape.find ? shape.find(n => !!n._publicId) : [];
+          [shape, ...nested].forEach(n => _shapeMap.delete(n._publicId));
+          shape.remove();  // not destroy() — undo brings the same node back
+          services.events.emit('stats:update');
+          services.history.save();
+          services.core.layer.draw();
+        });
+      } finally {
+        done();
+      }
+    };
+    if (instant) return finish();
+    const tween = new Konva.Tween({
+      node: shape, opacity: 0, scaleX: 0.35, scaleY: 0.35,
       duration: 0.2, easing: Konva.Easings.EaseIn,
-      onFinish: () => {
-        if (services.interaction.selected() === shape) services.interaction.deselect();
-        // Clean up UUID mapping
-        if (shape._publicId) _shapeMap.delete(shape._publicId);
-        shape.destroy();
-        services.events.emit('stats:update');
-        services.history.save();
-        services.core.layer.draw();
-      },
+      onFinish: () => tween.destroy(),
     });
+    // Finished or stopped early, the shape goes — and the history hold is released
+    const destroy = tween.destroy.bind(tween);
+    tween.destroy = () => {
+      destroy();
+      finish();
+    };
+    tween.play();
+  }
+
+  /** The selection, or null after telling the user to make one. */
+  function _selection() {
+    const sel = services.interaction?.selection() ?? [];
+    if (!sel.length) services.ui.toast('Select a shape first');
+    return sel.length ? sel : null;
   }
 
   function duplicate() {
-    const s = services.interaction.selected();
-    if (!s) return services.ui.toast('Select a shape first');
-    const clone = s.clone({ x: s.x() + 28, y: s.y() + 28 });
-    services.interaction.makeInteractive(clone);
-    services.core.layer.add(clone);
-    
+    const sel = _selection();
+    if (!sel) return;
+    /** @type {Map<string, string>} original id → copy id, nested shapes included */
+    const copies = new Map();
+    const clones = sel.map(s => {
+      const clone = s.clone({ x: s.x() + 28, y: s.y() + 28 });
+      // clone() copies the original's handlers and attrs too — the copy gets its own handlers,
+      // as restore() wires them; save() credits it to whoever duplicated it; and it starts
+      // unlocked, a new shape that no lock was put on
+      [clone, ...(clone.find ? clone.find(() => true) : [])].forEach(n => {
+        n.off();
+        COPY_RESETS.forEach(key => n.setAttr(key, undefined));
+      });
+      _adoptCopy(s, clone, copies);
+      s.getParent().add(clone);
+      _interact(clone);
+      _hydrate(clone);
+      clone.opacity(0);
+      clone.to({ opacity: 1, duration: 0.28, easing: Konva.Easings.EaseOut });
+      return clone;
+    });
+    // Connectors duplicated with both their shapes attach to the copies
+    clones.flatMap(c => [c, ...(c.find ? c.find(n => !!n._publicId) : [])]).forEach(c => ['sourceId', 'targetId'].forEach(key => {
+      if (copies.has(c.getAttr(key))) c.setAttr(key, copies.get(c.getAttr(key)));
+    }));
+
     if (services.core.watermark) services.core.watermark.moveToTop();
-    clone.opacity(0);
-    clone.to({ opacity: 1, duration: 0.28, easing: Konva.Easings.EaseOut });
-    services.interaction.select(clone);
+    services.interaction.select(clones);
     services.events.emit('stats:update');
     services.history.save();
   }
 
+  /** Give `clone` and the shapes nested in it ids of their own, noting them in `copies`. */
+  function _adoptCopy(original, clone, copies) {
+    if (original._publicId) copies.set(original._publicId, adopt(clone));
+    original.getChildren?.().forEach((child, i) => _adoptCopy(child, clone.getChildren()[i], copies));
+  }
+
+  /** Erase the selection — several shapes as one history step. */
   function deleteSelected() {
-    const s = services.interaction.selected();
-    if (!s) return services.ui.toast('Select a shape first');
-    erase(s);
+    const sel = _selection();
+    if (!sel) return;
+    if (sel.length === 1) return erase(sel[0]);
+    return services.history.transaction(() => sel.forEach(s => erase(s)));
   }
 
   function clearAll() {
-    if (!confirm('Clear all shapes?')) return;
-    services.animations.stopAll();
+    if (!headless && !confirm('Clear all shapes?')) return;
+    services.animations.stopAll(headless);
+    const actor = services.history.actor();
+    // Locked and protected shapes stay
     const shapes = services.core.layer.getChildren().filter(n => 
-      n !== services.core.tr && n.name() !== 'watermark'
+      n !== services.core.tr && n.name() !== 'watermark' &&
+      (!services.permissions || services.permissions.can(actor, 'delete', n))
     );
+    const forget = () => shapes.forEach(s => {
+      [s, ...(s.find ? s.find(n => !!n._publicId) : [])].forEach(n => _shapeMap.delete(n._publicId));
+    });
+    if (headless) {
+      shapes.forEach(s => s.remove());
+      forget();
+      services.events.emit('stats:update');
+      services.history.save();
+      return;
+    }
     shapes.forEach((s, i) => s.to({
       opacity: 0, scaleX: 0, scaleY: 0,
       duration: 0.28, delay: i * 0.02,
-      onFinish: () => s.destroy(),
+      onFinish: () => s.remove(),
     }));
-    setTimeout(() => {
+    const done = services.history.defer();
+    services.dom.timeout(() => done.run(() => {
       services.interaction.deselect();
+      forget();
       services.events.emit('stats:update');
       services.history.save();
       services.core.layer.draw();
-    }, shapes.length * 20 + 380);
+      done();
+    }), shapes.length * 20 + 380);
   }
 
+  /** Centre the selection, as one block, on the canvas. */
   function alignCenter() {
-    const s = services.interaction.selected();
-    if (!s) return services.ui.toast('Select a shape first');
-    s.to({ x: services.core.width() / 2, y: services.core.height() / 2,
-           duration: 0.35, easing: Konva.Easings.EaseInOut });
+    const sel = _selection();
+    if (!sel || !sel.every(s => _allowed(s, 'update'))) return;
+    const boxes = sel.map(s => services.query.bounds(s)).filter(Boolean);
+    if (!boxes.length) return;
+    const x1 = Math.min(...boxes.map(b => b.x)), x2 = Math.max(...boxes.map(b => b.x + b.width));
+    const y1 = Math.min(...boxes.map(b => b.y)), y2 = Math.max(...boxes.map(b => b.y + b.height));
+    const dx = services.core.width() / 2 - (x1 + x2) / 2;
+    const dy = services.core.height() / 2 - (y1 + y2) / 2;
+    sel.forEach(s => s.to({ x: s.x() + dx, y: s.y() + dy,
+                            duration: 0.35, easing: Konva.Easings.EaseInOut }));
     services.history.save();
   }
 
+  // Reordering keeps the selected shapes' order among themselves
+  const _byZ = (a, b) => a.zIndex() - b.zIndex();
+
   function toFront() {
-    const s = services.interaction.selected();
-    if (!s) return;
-    s.moveToTop(); services.core.tr.moveToTop();
+    const sel = services.interaction?.selection() ?? [];
+    if (!sel.length || !sel.every(s => _allowed(s, 'reorder'))) return;
+    sel.sort(_byZ).forEach(s => s.moveToTop());
+    services.core.tr.moveToTop();
     // Keep watermark on top
     if (services.core.watermark) services.core.watermark.moveToTop();
     services.core.layer.draw(); services.history.save();
   }
 
   function toBack() {
-    const s = services.interaction.selected();
-    if (!s) return;
-    s.moveToBottom();
+    const sel = services.interaction?.selection() ?? [];
+    if (!sel.length || !sel.every(s => _allowed(s, 'reorder'))) return;
+    sel.sort(_byZ).reverse().forEach(s => s.moveToBottom());
     
     if (services.core.watermark) services.core.watermark.moveToTop();
     services.core.layer.draw(); services.history.save();
   }
 
+  /** Mirror each selected shape in place. */
   function flipH() {
-    const s = services.interaction.selected();
-    if (!s) return;
-    s.scaleX(s.scaleX() * -1);
+    const sel = services.interaction?.selection() ?? [];
+    if (!sel.length || !sel.every(s => _allowed(s, 'update'))) return;
+    sel.forEach(s => s.scaleX(s.scaleX() * -1));
     services.core.layer.draw(); services.history.save();
   }
 
   function createRandom(n = 10) {
     const types   = ['rect','circle','triangle','star','pentagon','hexagon','diamond'];
     const palette = ['#6c63ff','#ff63b8','#06d6a0','#ffd166','#f72585','#4cc9f0','#fb8500','#ef233c'];
+    if (!services.color) {
+      // Headless: no palette to swap — create synchronously with explicit fills
+      for (let i = 0; i < n; i++) quickAdd(types[i % types.length], { fill: palette[i % palette.length] });
+      return;
+    }
     const saved   = services.color.current();
+    const done    = services.history.defer();
     for (let i = 0; i < n; i++) {
-      setTimeout(() => {
+      services.dom.timeout(() => done.run(() => {
         services.color.set(palette[i % palette.length], null);
         quickAdd(types[i % types.length]);
-      }, i * 70);
+      }), i * 70);
     }
-    setTimeout(() => services.color.set(saved, null), n * 70 + 80);
+    services.dom.timeout(() => {
+      services.color.set(saved, null);
+      done();
+    }, n * 70 + 80);
   }
 
   function initQuickPanel(containerId) {
-    const grid = document.getElementById(containerId);
+    const grid = services.dom.get(containerId);
     if (!grid) return;
-    QUICK_SHAPES.forEach(({ type, icon, label }) => {
-      const btn = document.createElement('button');
-      btn.className = 'cs-shape-btn';
-      btn.innerHTML = `${icon}<span>${label}</span>`;
-      btn.onclick = () => quickAdd(type);
-      grid.appendChild(btn);
+    _quickGrid = grid;
+    QUICK_SHAPES.forEach(({ type, icon, label }) => _quickButton(type, icon, label));
+    _registry.forEach(({ meta }, type) => {
+      if (meta.category && meta.icon) _quickButtons.set(type, _quickButton(type, meta.icon, meta.label ?? type, meta.category));
     });
   }
 
+  function _quickButton(type, icon, label, category) {
+    const btn = document.createElement('button');
+    btn.className = 'cs-shape-btn';
+    btn.innerHTML = `${icon}<span>${label}</span>`;
+    btn.onclick = () => quickAdd(type);
+    _categoryGrid(category).appendChild(services.dom.track(btn));
+    return btn;
+  }
+
+  /** The Quick Add grid for `category`, titled and added under the others the first time. */
+  function _categoryGrid(category) {
+    if (!category) return _quickGrid;
+    if (!_categoryGrids.has(category)) {
+      const title = document.createElement('div');
+      title.className = 'cs-shape-group-title';
+      title.textContent = CATEGORY_TITLES[category] ?? category;
+      const grid = document.createElement('div');
+      grid.className = 'cs-shape-grid';
+      grid.dataset.category = category;
+      _quickGrid.parentElement.append(services.dom.track(title), services.dom.track(grid));
+      _categoryGrids.set(category, grid);
+    }
+    return _categoryGrids.get(category);
+  }
+
+  function _dropEmptyCategories() {
+    _categoryGrids.forEach((grid, category) => {
+      if (grid.children.length) return;
+      grid.previousElementSibling?.remove();
+      grid.remove();
+      _categoryGrids.delete(category);
+    });
+  }
+
+  /**
+   * Draw an arrow from `from` to `to` (nodes or ids) that stays attached to
+   * both — see modules/Connectors.js. `config` takes `sourceAnchor`,
+   * `targetAnchor` and `routing`, and styles the arrow.
+   * @returns {Konva.Arrow|null} null if either shape is missing
+   */
+  function connect(from, to, config = {}) {
+    return services.connectors.connect(from, to, config);
+  }
+
+  /** Nodes for `targets` (ids or nodes), or the selection when none are given. */
+  function _targets(targets) {
+    if (targets === undefined) return _selection();
+    const nodes = [].concat(targets).map(t => (typeof t === 'string' ? _shapeMap.get(t) : t));
+    return nodes.length && nodes.every(Boolean) ? nodes : null;
+  }
+
+  /**
+   * Group shapes — ids or nodes, the selection by default — so they move,
+   * scale, animate and export as one (see modules/Groups.js). They must
+   * share a parent; nothing moves on screen. The group is selected.
+   * @returns {Konva.Group|null}
+   */
+  function group(targets) {
+    const nodes = _targets(targets);
+    if (!nodes) return null;
+    if (nodes.length < 2) {
+      services.ui.toast('Select two or more shapes to group');
+      return null;
+    }
+    if (!nodes.every(n => _allowed(n, 'update'))) return null;
+    const g = services.groups.group(nodes);
+    if (!g) {
+      services.ui.toast('Only shapes in the same group can be grouped together');
+      return null;
+    }
+    services.interaction?.select(g);
+    services.events.emit('stats:update');
+    services.history.save();
+    return g;
+  }
+
+  /**
+   * Split groups — ids or nodes, the selection by default — back into their
+   * members, which stay where they are on screen and are selected.
+   * Anything that isn't a group is left alone.
+   * @returns {Konva.Node[]} the members set free
+   */
+  function ungroup(targets) {
+    const groups = (_targets(targets) ?? []).filter(services.groups.isGroup);
+    if (!groups.length) {
+      if (targets === undefined && services.interaction?.selection().length) services.ui.toast('Select a group first');
+      return [];
+    }
+    if (!groups.every(g => _allowed(g, 'delete') && g.getChildren().every(n => _allowed(n, 'update')))) return [];
+    const members = groups.flatMap(g => services.groups.ungroup(g));
+    services.interaction?.select(members);
+    services.events.emit('stats:update');
+    services.history.save();
+    return members;
+  }
+
+  // Shapes a pending proposal would add aren't on the canvas yet, but callers can still reach them
   function getById(id) {
-    return _shapeMap.get(id) || null;
+    return _shapeMap.get(id) || services.proposals?.node(id) || null;
   }
 
+  /** Select the shape with `id` — or, given a list of ids, all of them. */
   function selectById(id) {
-    const shape = _shapeMap.get(id);
-    if (!shape) return false;
-    services.interaction.select(shape);
+    const shapes = [].concat(id).map(i => _shapeMap.get(i));
+    if (!shapes.length || shapes.some(n => !n) || !services.interaction) return false;
+    services.interaction.select(shapes);
     return true;
   }
 
+  // A shape a pending proposal adds is changed through the proposal, by the actor that proposed it
   function updateById(id, props) {
-    const shape = _shapeMap.get(id);
-    if (!shape) return false;
+    const shape = getById(id);
+    if (!shape || !_allowed(shape, 'update', props)) return false;
+    if (!_shapeMap.has(id)) return services.proposals.amend(id, props);
     shape.setAttrs(props);
     services.core.layer.draw();
     services.history.save();
@@ -233,7 +647,8 @@ export function createShapeRegistry(services) {
   }
 
   return {
-    register, create, quickAdd, erase,
+    register, unregister, types, schema, catalog, textBox, anchors, create, build, adopt, restore, quickAdd, erase, connect,
+    group, ungroup,
     duplicate, deleteSelected, clearAll,
     alignCenter, toFront, toBack, flipH, createRandom,
     initQuickPanel,
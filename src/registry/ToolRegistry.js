@@ -1,10 +1,18 @@
 /**
  * ToolRegistry — manages the active drawing tool and wires stage events.
+ * Tools registered after the toolbar is built get a button at its end;
+ * unregistered ones lose theirs.
  * Emits: 'tool:change' — { name, label, color }
  */
 export function createToolRegistry(services) {
+  const { dom } = services;
   const _registry = new Map();
   let _active = 'select';
+  let _bar       = null;   // toolbar element
+  let _order     = [];     // toolbar items, as last built
+  let _picker    = null;   // shape-picker popup
+  let _pickerBtn = null;   // toolbar button that opens the popup
+  let _offDocClick = null; // outside-click listener that closes the popup
 
   const TOOL_COLORS = {
     select:'#6c63ff', hand:'#f59e0b',
@@ -42,6 +50,22 @@ export function createToolRegistry(services) {
 
   function register(name, config) {
     _registry.set(name, config);
+    if (_bar && !_order.includes(name)) {
+      _order.push(name);
+      _renderToolbar();
+    }
+  }
+
+  /** Remove a tool (and its toolbar button); the select tool takes over if it was active. */
+  function unregister(name) {
+    if (!_registry.has(name)) return false;
+    if (_active === name) setActive('select');
+    _registry.delete(name);
+    if (_bar && _order.includes(name)) {
+      _order = _order.filter(item => item !== name);
+      _renderToolbar();
+    }
+    return true;
   }
 
   function setActive(name) {
@@ -57,8 +81,8 @@ export function createToolRegistry(services) {
     _active = name;
     const tool = _registry.get(name);
 
-    document.querySelectorAll('.cs-tool-btn').forEach(b => b.classList.remove('active'));
-    document.querySelector(`[data-tool="${name}"]`)?.classList.add('active');
+    _bar?.querySelectorAll('.cs-tool-btn').forEach(b => b.classList.remove('active'));
+    _bar?.querySelector(`[data-tool="${name}"]`)?.classList.add('active');
 
     const cursor = name === 'pencil' ? 'none' : (tool.cursor || 'default');
     services.core.stage.container().style.cursor = cursor;
@@ -66,7 +90,7 @@ export function createToolRegistry(services) {
     services.events.emit('tool:change', {
       name,
       label: tool.label || name,
-      color: TOOL_COLORS[name] || '#6c63ff',
+      color: TOOL_COLORS[name] || tool.color || '#6c63ff',
     });
 
     if (tool.onActivate) tool.onActivate(services);
@@ -74,6 +98,13 @@ export function createToolRegistry(services) {
 
   function active() { return _active; }
 
+  /** Registered tools' metadata, in registration order. */
+  function list() {
+    return [..._registry].map(([name, { label, icon, shortcut }]) => ({
+      name, label: label || name, icon: icon ?? null, shortcut: shortcut ?? null,
+    }));
+  }
+
   // Wire stage events to active tool
   services.core.stage.on('mousedown touchstart', e => {
     const tool = _registry.get(_active);
@@ -89,23 +120,30 @@ export function createToolRegistry(services) {
   });
 
   function initToolbar(toolOrder) {
-    const bar = document.getElementById('toolbar');
+    const bar = dom.get('toolbar');
     if (!bar) return;
+    _bar = bar;
+    _order = [...toolOrder];
+    _renderToolbar();
+    if (!_offDocClick) _offDocClick = dom.listen(document, 'click', () => _hideShapePicker());
+  }
+
+  function _renderToolbar() {
+    const bar = _bar;
     bar.innerHTML = '';
     _createShapePicker();
 
-    toolOrder.forEach(item => {
+    _order.forEach(item => {
       if (item === '---') {
         const sep = document.createElement('div');
         sep.className = 'cs-tool-sep';
-        bar.appendChild(sep);
+        bar.appendChild(dom.track(sep));
         return;
       }
 
       if (item === 'shapes') {
         const btn = document.createElement('button');
         btn.className = 'cs-tool-btn';
-        btn.id = 'shapes-picker-btn';
         btn.dataset.tool = 'shapes';
         btn.title = 'Shapes';
         btn.innerHTML = `
@@ -119,7 +157,8 @@ export function createToolRegistry(services) {
           <span class="cs-tool-caret">&#9650;</span>
         `;
         btn.onclick = e => { e.stopPropagation(); _toggleShapePicker(btn); };
-        bar.appendChild(btn);
+        bar.appendChild(dom.track(btn));
+        _pickerBtn = btn;
         return;
       }
 
@@ -132,16 +171,13 @@ export function createToolRegistry(services) {
       const icon = TOOL_ICONS[item] || tool.icon || item[0].toUpperCase();
       btn.innerHTML = `${icon}<span class="cs-tool-tip">${tool.label}${tool.shortcut ? ` <kbd>${tool.shortcut}</kbd>` : ''}</span>`;
       btn.onclick = () => setActive(item);
-      bar.appendChild(btn);
+      bar.appendChild(dom.track(btn));
     });
-
-    document.addEventListener('click', () => _hideShapePicker());
   }
 
   function _createShapePicker() {
-    document.getElementById('shape-picker')?.remove();
+    _picker?.remove();
     const popup = document.createElement('div');
-    popup.id = 'shape-picker';
     popup.className = 'cs-shape-picker';
     popup.innerHTML = `<div class="cs-picker-grid">${
       SHAPE_PICKER_ITEMS.map(s => `
@@ -157,14 +193,15 @@ export function createToolRegistry(services) {
         e.stopPropagation();
         _hideShapePicker();
         setActive(btn.dataset.shape);
-        document.getElementById('shapes-picker-btn')?.classList.add('active');
+        _pickerBtn?.classList.add('active');
       };
     });
-    document.body.appendChild(popup);
+    dom.body.appendChild(dom.track(popup));
+    _picker = popup;
   }
 
   function _toggleShapePicker(btn) {
-    const popup = document.getElementById('shape-picker');
+    const popup = _picker;
     if (!popup) return;
     const isOpen = popup.classList.contains('open');
     _hideShapePicker();
@@ -177,8 +214,8 @@ export function createToolRegistry(services) {
   }
 
   function _hideShapePicker() {
-    document.getElementById('shape-picker')?.classList.remove('open');
+    _picker?.classList.remove('open');
   }
 
-  return { register, setActive, active, initToolbar };
+  return { register, unregister, setActive, active, list, initToolbar };
 }
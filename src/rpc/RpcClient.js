@@ -0,0 +1,83 @@
+/**
+ * RpcClient — the calling side of a transport from rpc/transports.js, for
+ * pages that drive an embedded board and for the MCP server.
+ *
+ *   const board = createRpcClient(postMessageTransport(iframe.contentWindow), {
+ *     onNotification: (event, params) => console.log(event, params),
+ *   });
+ *   const rect = await board.call('Shapes.create', ['rect', { x: 100 }]);
+ *
+ * call() resolves to the result or rejects with an RpcError carrying the
+ * server's code and message.
+ */
+import { RpcError, RPC_ERRORS } from './RpcServer.js';
+
+/**
+ * @param {{ send(message: object): void, listen(fn: Function): () => void }} transport
+ * @param {object}   [options]
+ * @param {(method: string, params: any) => void} [options.onNotification]
+ * @param {number}   [options.timeout=30000]  ms before a call is rejected; 0 = never
+ */
+export function createRpcClient(transport, { onNotification, timeout = 30000 } = {}) {
+  let _nextId = 1;
+  /** @type {Map<number, { resolve: Function, reject: Function, timer: any }>} */
+  const _pending = new Map();
+
+  function _receive(message) {
+    if (typeof message === 'string') {
+      try { message = JSON.parse(message); } catch { return; }
+    }
+    [].concat(message).forEach(msg => {
+      if (!msg || msg.jsonrpc !== '2.0') return;
+      if (msg.method !== undefined) {
+        onNotification?.(msg.method, msg.params);
+        return;
+      }
+      const call = _pending.get(msg.id);
+      if (!call) return;
+      _pending.delete(msg.id);
+      clearTimeout(call.timer);
+      if (msg.error) call.reject(new RpcError(msg.error.code, msg.error.message, msg.error.data));
+      else call.resolve(msg.result);
+    });
+  }
+
+  const unlisten = transport.listen(_receive);
+
+  /**
+   * Call `method` and wait for its result.
+   * @param {string} method
+   * @param {any[]|object} [params]
+   * @returns {Promise<any>}
+   */
+  function call(method, params) {
+    const id = _nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = timeout && setTimeout(() => {
+        _pending.delete(id);
+        reject(new RpcError(RPC_ERRORS.INTERNAL_ERROR, `${method} timed out after ${timeout}ms`));
+      }, timeout);
+      _pending.set(id, { resolve, reject, timer });
+      transport.send(params === undefined
+        ? { jsonrpc: '2.0', id, method }
+        : { jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /** Call `method` without waiting for (or getting) a result. */
+  function notify(method, params) {
+    transport.send(params === undefined ? { jsonrpc: '2.0', method } : { jsonrpc: '2.0', method, params });
+  }
+
+  /** Stop listening and reject every call still waiting. */
+  function close() {
+    unlisten?.();
+    _pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new RpcError(RPC_ERRORS.INTERNAL_ERROR, 'Connection closed'));
+    });
+    _pending.clear();
+  }
+
+  return { call, notify, close };
+}
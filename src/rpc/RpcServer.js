@@ -0,0 +1,323 @@
+/**
+ * RpcServer — JSON-RPC 2.0 access to a studio from outside the page.
+ *
+ * The server is transport-neutral: handle() takes a request (object, batch
+ * array or JSON text) and resolves to the response, or null when there is
+ * nothing to send back. attach() connects it to a transport — anything with
+ *   { send(message), listen(onMessage) → unlisten }
+ * — and forwards EventBus events to it as notifications. Ready-made
+ * transports for postMessage and WebSocket live in rpc/transports.js.
+ *
+ *   → { "jsonrpc": "2.0", "id": 1, "method": "Shapes.create", "params": ["rect", { "x": 100 }] }
+ *   ← { "jsonrpc": "2.0", "id": 1, "result": { "id": "…", "type": "rect", "className": "Rect", "attrs": { … } } }
+ *   ← { "jsonrpc": "2.0", "method": "history:change", "params": [{ "canUndo": true, … }] }
+ *
+ * Methods are named `<Namespace>.<method>` after the public API and take
+ * params by position or by name. Shapes are addressed by id and returned as
+ * Export.getState() items. Batches run in order, one request at a time.
+ *
+ * createRpcEndpoint() is the dispatch part on its own — method table and
+ * handle() — for servers that speak other method sets (see mcp/server.js).
+ */
+
+export const RPC_ERRORS = {
+  PARSE_ERROR:      -32700,
+  INVALID_REQUEST:  -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS:   -32602,
+  INTERNAL_ERROR:   -32603,
+  SERVER_ERROR:     -32000,  // a method threw
+};
+
+/** Throw from an exposed method to answer with a specific error code. */
+export class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * EventBus events attach() forwards by default. 'stats:update' is left out:
+ * it carries no data and fires on every change ('history:change' covers it).
+ */
+export const FORWARDED_EVENTS = [
+  'history:change', 'history:patch', 'selection:change', 'animation:start', 'animation:stop',
+  'zoom:change', 'tool:change', 'color:change', 'theme:change',
+  'core:resize', 'ui:toast', 'shape:register', 'shape:unregister', 'audit:entry',
+  'plugin:install', 'plugin:uninstall',
+  'shape:add', 'shape:update', 'shape:remove', 'shape:reorder', 'document:load',
+  'proposal:add', 'proposal:accept', 'proposal:reject',
+  'permission:change', 'permission:denied', 'studio:destroy',
+];
+
+/**
+ * A JSON-RPC 2.0 method table and dispatcher, without a transport.
+ * @param {object}   [options]
+ * @param {Function} [options.marshal]  Turns each result into plain data
+ * @returns {{ expose: Function, methods: Function, handle: Function }}
+ */
+export function createRpcEndpoint({ marshal = v => v ?? null } = {}) {
+  const { INVALID_REQUEST, METHOD_NOT_FOUND, INVALID_PARAMS, PARSE_ERROR, SERVER_ERROR } = RPC_ERRORS;
+
+  /** @type {Map<string, { params: string[], description: string, fn: Function }>} */
+  const _methods = new Map();
+
+  /**
+   * Make `fn` callable as `name`. `params` names its arguments in order so
+   * callers can pass them by name. Returns a function that removes it.
+   * @param {string}   name
+   * @param {Function} fn
+   * @param {{ params?: string[], description?: string }} [meta]
+   */
+  function expose(name, fn, { params = [], description = '' } = {}) {
+    _methods.set(name, { params, description, fn });
+    return () => _methods.delete(name);
+  }
+
+  /** Every exposed method: `{ name, params, description }`. */
+  function methods() {
+    return [..._methods].map(([name, { params, description }]) => ({ name, params, description }));
+  }
+
+  function _error(id, code, message, data) {
+    const error = { code, message };
+    if (data !== undefined) error.data = data;
+    return { jsonrpc: '2.0', id, error };
+  }
+
+  function _args(params, given) {
+    if (given === undefined) return [];
+    if (Array.isArray(given)) {
+      if (given.length > params.length) {
+        throw new RpcError(INVALID_PARAMS, `expects at most ${params.length} param(s)`);
+      }
+      return given;
+    }
+    const unknown = Object.keys(given).find(k => !params.includes(k));
+    if (unknown) throw new RpcError(INVALID_PARAMS, `unknown param '${unknown}'`);
+    return params.map(k => given[k]);
+  }
+
+  async function _call(req, run) {
+    const valid = req && typeof req === 'object' && !Array.isArray(req);
+    const id = valid && ['string', 'number'].includes(typeof req.id) ? req.id : null;
+    if (!valid || req.jsonrpc !== '2.0' || typeof req.method !== 'string' ||
+        (req.params !== undefined && (typeof req.params !== 'object' || req.params === null))) {
+      return _error(id, INVALID_REQUEST, 'Invalid Request');
+    }
+    const notification = !('id' in req);
+
+    try {
+      const entry = _methods.get(req.method);
+      if (!entry) throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${req.method}`);
+      const args = _args(entry.params, req.params);
+      const result = marshal(await run(() => entry.fn(...args)));
+      return notification ? null : { jsonrpc: '2.0', id, result };
+    } catch (err) {
+      if (notification) {
+        console.warn(`[Rpc] ${req.method} failed:`, err);
+        return null;
+      }
+      return _error(id, err instanceof RpcError ? err.code : SERVER_ERROR, err.message, err.data);
+    }
+  }
+
+  /**
+   * Answer one request or a batch.
+   * @param {object|object[]|string} message  Parsed or JSON text
+   * @param {(call: () => any) => any} [run]  Makes each method call — to run it as someone
+   * @returns {Promise<object|object[]|null>} null when only notifications were sent
+   */
+  async function handle(message, run = call => call()) {
+    if (typeof message === 'string') {
+      try {
+        message = JSON.parse(message);
+      } catch {
+        return _error(null, PARSE_ERROR, 'Parse error');
+      }
+    }
+    if (!Array.isArray(message)) return _call(message, run);
+    if (!message.length) return _error(null, INVALID_REQUEST, 'Invalid Request');
+
+    const responses = [];
+    for (const req of message) {
+      const res = await _call(req, run);
+      if (res) responses.push(res);
+    }
+    return responses.length ? responses : null;
+  }
+
+  return { expose, methods, handle };
+}
+
+/**
+ * The studio's server: the built-in methods below on an endpoint, plus
+ * attach() for transports.
+ */
+export function createRpcServer(services) {
+  const { INVALID_PARAMS, SERVER_ERROR } = RPC_ERRORS;
+  const endpoint = createRpcEndpoint({ marshal: _marshal });
+  const { handle } = endpoint;
+
+  // Calls go into a running session recording (the changes they make are
+  // recorded as patches anyway)
+  const expose = (name, fn, meta) => endpoint.expose(name, (...args) => {
+    services.recorder?.note(name, args, 'rpc');
+    return fn(...args);
+  }, meta);
+
+  /** @type {Set<() => void>} detach functions of attached transports */
+  const _attached = new Set();
+
+  // ── Built-in methods ──────────────────────────────────────────
+
+  const _shape = id => {
+    const node = services.shapes.getById(id);
+    if (!node) throw new RpcError(INVALID_PARAMS, `no shape with id '${id}'`);
+    return node;
+  };
+  // PanZoom only exists in the browser
+  const _panzoom = () => {
+    if (!services.panzoom) throw new RpcError(SERVER_ERROR, 'PanZoom is not available in headless mode');
+    return services.panzoom;
+  };
+
+  const BUILTINS = {
+    'Shapes.create': [['type', 'config'], 'Create a shape of a registered type.', (type, config = {}) => {
+      const node = services.shapes.create(type, config);
+      if (!node) throw new RpcError(INVALID_PARAMS, `unknown shape type '${type}'`);
+      return node;
+    }],
+    'Shapes.quickAdd':   [['type', 'overrides'], 'Add a shape near the centre of the canvas.', (type, overrides) => {
+      const node = services.shapes.quickAdd(type, overrides);
+      if (!node) throw new RpcError(INVALID_PARAMS, `unknown shape type '${type}'`);
+      return node;
+    }],
+    'Shapes.connect': [['from', 'to', 'config'], 'Draw an arrow between two shapes that stays attached to both. config: sourceAnchor, targetAnchor, routing, style.', (from, to, config) => {
+      return services.shapes.connect(_shape(from), _shape(to), config);
+    }],
+    'Shapes.group':      [['ids'], 'Group shapes that share a parent; they keep their place on screen.', ids => {
+      [].concat(ids).forEach(_shape);
+      const group = services.shapes.group(ids);
+      if (!group) throw new RpcError(INVALID_PARAMS, 'shapes to group must be two or more with the same parent');
+      return group;
+    }],
+    'Shapes.ungroup':    [['ids'], 'Split groups back into their members, which keep their place on screen.', ids => {
+      [].concat(ids).forEach(_shape);
+      return services.shapes.ungroup(ids);
+    }],
+    'Shapes.getById':    [['id'], 'One shape, serialized.', id => _shape(id)],
+    'Shapes.updateById': [['id', 'props'], 'Set attrs on a shape.', (id, props) => _shape(id) && services.shapes.updateById(id, props)],
+    'Shapes.selectById': [['id'], 'Select a shape, or every shape in a list of ids.', id => {
+      [].concat(id).forEach(_shape);
+      return services.shapes.selectById(id);
+    }],
+    'Shapes.listIds':    [[], 'Ids of every shape.', () => services.shapes.listIds()],
+    'Shapes.types':      [[], 'Registered shape types.', () => services.shapes.types()],
+    'Shapes.catalog':    [[], 'Every shape type with its label and props schema.', () => services.shapes.catalog()],
+    'Shapes.schema':     [['type'], "JSON Schema of a shape type's props.", type => services.shapes.schema(type)],
+    'Shapes.clearAll':   [[], 'Remove every shape.', () => services.shapes.clearAll()],
+    'Shapes.createRandom': [['n'], 'Create n random shapes.', n => services.shapes.createRandom(n)],
+
+    'Query.find':         [['criteria'], 'Shapes matching { type, fill, textContains, name, tag }, back to front.', criteria => services.query.find(criteria)],
+    'Query.shapesAt':     [['point', 'options'], 'Shapes under a point, topmost first.', (point, options) => services.query.shapesAt(point, options)],
+    'Query.shapesInRect': [['rect', 'options'], 'Shapes touching (or, with fully, inside) a rect.', (rect, options) => services.query.shapesInRect(rect, options)],
+    'Query.nearest':      [['point', 'criteria'], 'The shape closest to a point.', (point, criteria) => services.query.nearest(point, criteria)],
+    'Query.overlapping':  [['id'], "Shapes whose box touches this shape's.", id => services.query.overlapping(_shape(id))],
+    'Query.bounds':       [['id'], "A shape's bounding box.", id => services.query.bounds(_shape(id))],
+
+    'Agent.applyOps':    [['ops'], 'Validate and apply a list of shape ops as one undo step.', ops => services.agent.applyOps(ops)],
+
+    'Export.getState':   [[], 'The canvas as a versioned state document.', () => services.export.getState()],
+    'Export.loadState':  [['state'], 'Replace the canvas with a state document.', state => services.export.loadState(state)],
+    'Export.validate':   [['state'], 'Check a state document without loading it.', state => {
+      const { valid, version, errors } = services.export.validate(state);
+      return { valid, version, errors };
+    }],
+    'Export.describe':   [['options'], 'The board summarised in words: labels, text, containment, arrows, layout, clusters.', options => services.export.describe(options)],
+    'Export.asPNG':      [[], 'The canvas as a PNG data URL.', () => services.export.asPNG(false)],
+    'Export.asSVG':      [[], 'The canvas as SVG markup.', () => services.export.asSVG(false)],
+    'Export.asJSON':     [[], 'The Konva layer as JSON.', () => services.export.asJSON(false)],
+
+    'History.undo':       [[], 'Undo the last step.', () => services.history.undo()],
+    'History.redo':       [[], 'Redo the last undone step.', () => services.history.redo()],
+    'History.save':       [[], 'Record pending changes as one undo step.', () => services.history.save()],
+    'History.canUndo':    [[], 'Whether there is a step to undo.', () => services.history.canUndo()],
+    'History.canRedo':    [[], 'Whether there is a step to redo.', () => services.history.canRedo()],
+    'History.checkpoint': [['name'], 'Name the current step.', name => services.history.checkpoint(name)],
+    'History.list':       [[], 'Every step, oldest first.', () => services.history.list()],
+    'History.goto':       [['id'], 'Jump to any step.', id => services.history.goto(id)],
+
+    'Audit.entries':      [['filter'], 'Audit log entries by actor, shape, action or time.', filter => services.audit.entries(filter)],
+    'Audit.asJSON':       [[], 'The audit log as a JSON document.', () => services.audit.asJSON(false)],
+
+    // Asked as the caller; setting locks, regions and the policy stays with the user
+    'Permissions.can':     [['action', 'id'], 'Whether the caller may add, update, delete or reorder (a shape).', (action, id) => services.permissions.can(services.history.actor(), action, id)],
+    'Permissions.regions': [[], 'Protected regions, in canvas coordinates.', () => services.permissions.regions()],
+
+    // Review is the user's: peers may see what awaits it, not accept or switch it off
+    'Proposals.list':     [[], 'Edits awaiting review in suggestion mode.', () => services.proposals.list()],
+    'Proposals.enabled':  [[], 'Whether edits are held for review.', () => services.proposals.enabled()],
+
+    'PanZoom.zoom':  [['delta'], 'Zoom by a step (e.g. 0.15 or -0.15).', delta => _panzoom().zoom(delta)],
+    'PanZoom.reset': [[], 'Reset zoom and pan.', () => _panzoom().resetZoom()],
+    'PanZoom.fit':   [[], 'Fit every shape on screen.', () => _panzoom().fitScreen()],
+
+    'Animations.apply':      [['type', 'id'], 'Start (or toggle off) an animation on a shape.', (type, id) => services.animations.apply(type, _shape(id))],
+    'Animations.stopFor':    [['id'], "Stop a shape's animation.", id => services.animations.stopForShape(_shape(id)._id)],
+    'Animations.stopAll':    [[], 'Stop every animation.', () => services.animations.stopAll()],
+    'Animations.animateAll': [[], 'Animate every shape.', () => services.animations.animateAll()],
+  };
+  Object.entries(BUILTINS).forEach(([name, [params, description, fn]]) => expose(name, fn, { params, description }));
+
+  /** Plain, cloneable data: nodes become Export items, functions are dropped. */
+  function _marshal(value) {
+    if (value instanceof Konva.Node) return services.export.serialize(value);
+    if (Array.isArray(value)) return value.map(_marshal);
+    if (value && typeof value === 'object') {
+      const out = {};
+      Object.entries(value).forEach(([k, v]) => { if (typeof v !== 'function') out[k] = _marshal(v); });
+      return out;
+    }
+    return value === undefined || typeof value === 'function' ? null : value;
+  }
+
+  // ── Transports ────────────────────────────────────────────────
+
+  /**
+   * Serve requests arriving on `transport` and forward `events` to it as
+   * notifications (method = event name, params = the event's arguments).
+   * The caller keeps owning the transport; detach() only stops listening.
+   * Changes its requests make are attributed to `remote:<peer>`.
+   * @param {{ send(message: object): void, listen(fn: (message: object|string) => void): () => void }} transport
+   * @param {{ events?: string[], peer?: string }} [options]
+   * @returns {() => void} detach
+   */
+  function attach(transport, { events = FORWARDED_EVENTS, peer = 'rpc' } = {}) {
+    const actor = `remote:${peer}`;
+    const unlisten = transport.listen(async message => {
+      // Each call as the peer, not the await around it — edits made meanwhile aren't theirs
+      const response = await handle(message, call => services.history.as(actor, call));
+      if (response) transport.send(response);
+    });
+    const offs = events.map(name => services.events.on(name, (...args) => {
+      transport.send({ jsonrpc: '2.0', method: name, params: _marshal(args) });
+    }));
+
+    const detach = () => {
+      if (!_attached.delete(detach)) return;
+      unlisten?.();
+      offs.forEach(off => off());
+    };
+    _attached.add(detach);
+    return detach;
+  }
+
+  // Forward the destroy notification, then let go
+  services.events.on('studio:destroy', () => queueMicrotask(() => [..._attached].forEach(d => d())));
+
+  return { ...endpoint, expose, attach };
+}
@@ -0,0 +1,79 @@
+/**
+ * Transports for RpcServer.attach(). Each one is
+ *   { send(message), listen(onMessage) → unlisten }
+ * and carries JSON-RPC messages to and from one peer.
+ *
+ *   // Board embedded in an iframe, driven by the host page
+ *   studio.Rpc.attach(postMessageTransport(window.parent, { origin: 'https://host.example' }));
+ *
+ *   // Board in a browser tab, driven by an agent's WebSocket server
+ *   studio.Rpc.attach(webSocketTransport(new WebSocket('ws://localhost:8765')));
+ */
+
+const _isRpc = data => Array.isArray(data) || data?.jsonrpc === '2.0';
+
+/**
+ * Talk to a window (iframe parent/child, popup), worker or MessagePort.
+ * Messages are posted as structured-clone objects; JSON text is accepted
+ * on the way in. Anything that isn't JSON-RPC is ignored, so the channel
+ * can be shared with other messages.
+ * @param {Window|Worker|MessagePort} target  Where responses and notifications go
+ * @param {object} [options]
+ * @param {string} [options.origin='*']  Windows only: the target's origin. Set it —
+ *   it is used as `targetOrigin` and only messages from this origin are served.
+ * @param {EventTarget} [options.source]  Where requests arrive; defaults to this
+ *   window for window targets and to the target itself otherwise
+ */
+export function postMessageTransport(target, { origin = '*', source } = {}) {
+  const isWindow = target.window === target;
+  const from = source ?? (isWindow ? globalThis : target);
+
+  return {
+    send(message) {
+      if (isWindow) target.postMessage(message, origin);
+      else target.postMessage(message);
+    },
+
+    listen(fn) {
+      const onMessage = e => {
+        if (isWindow && (e.source !== target || (origin !== '*' && e.origin !== origin))) return;
+        let data = e.data;
+        if (typeof data === 'string') {
+          try { data = JSON.parse(data); } catch { return; }
+        }
+        if (_isRpc(data)) fn(data);
+      };
+      from.addEventListener('message', onMessage);
+      from.start?.();  // MessagePort only delivers once started
+      return () => from.removeEventListener('message', onMessage);
+    },
+  };
+}
+
+/**
+ * Talk over a WebSocket — or anything shaped like one (`send`, `readyState`,
+ * `addEventListener('open' | 'message')`), such as a socket from the `ws`
+ * package or a test stand-in. Messages sent before the socket opens are
+ * queued; after it closes they are dropped.
+ * @param {WebSocket} socket
+ */
+export function webSocketTransport(socket) {
+  const CONNECTING = 0, OPEN = 1;
+  const queue = [];
+
+  socket.addEventListener('open', () => queue.splice(0).forEach(text => socket.send(text)));
+
+  return {
+    send(message) {
+      const text = JSON.stringify(message);
+      if (socket.readyState === OPEN) socket.send(text);
+      else if (socket.readyState === CONNECTING) queue.push(text);
+    },
+
+    listen(fn) {
+      const onMessage = e => fn(String(e.data));
+      socket.addEventListener('message', onMessage);
+      return () => socket.removeEventListener('message', onMessage);
+    },
+  };
+}
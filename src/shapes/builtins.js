@@ -1,16 +1,43 @@
 /**
  * Built-in shapes — registers all default shape types into the ShapeRegistry.
  * Import and call registerBuiltinShapes(services) during bootstrap.
+ *
+ * Each type declares the config keys it understands (`props`, JSON Schema)
+ * on top of the registry's base style keys — Agent.applyOps validates
+ * against them. Closed shapes declare a `textBox`, where their label goes.
  */
+const size   = { type: 'number', minimum: 0 };
+const points = { type: 'array', items: { type: 'number' } };
+
+// Connector bindings (modules/Connectors.js) — arrows and lines take these
+const anchor  = { type: 'string', enum: ['auto', 'top', 'right', 'bottom', 'left', 'center'] };
+const binding = {
+  sourceId:     { type: ['string', 'null'], description: 'Id of the shape the start is attached to' },
+  targetId:     { type: ['string', 'null'], description: 'Id of the shape the end is attached to' },
+  sourceAnchor: anchor,
+  targetAnchor: anchor,
+  routing:      { type: 'string', enum: ['straight', 'elbow', 'curved'] },
+};
+
+// Label boxes (modules/Labels.js), centred on the shape's origin
+const inCircle = r => ({ x: -r / Math.SQRT2, y: -r / Math.SQRT2, width: r * Math.SQRT2, height: r * Math.SQRT2 });
+function inPolygon(node) {
+  const r = node.radius();
+  // A triangle's roomiest box sits low, from a quarter up to its base
+  if (node.sides() === 3) return { x: -r * Math.sqrt(3) / 4, y: -r / 4, width: r * Math.sqrt(3) / 2, height: r * 0.75 };
+  return inCircle(r * Math.cos(Math.PI / node.sides()));
+}
+
 export function registerBuiltinShapes(services) {
   const { shapes } = services;
+  const polygon = { props: { radius: size }, textBox: inPolygon };
 
-  shapes.register('rect',     cfg => new Konva.Rect(cfg));
-  shapes.register('circle',   cfg => new Konva.Circle(cfg));
-  shapes.register('triangle', cfg => new Konva.RegularPolygon({ ...cfg, sides: 3 }));
-  shapes.register('pentagon', cfg => new Konva.RegularPolygon({ ...cfg, sides: 5 }));
-  shapes.register('hexagon',  cfg => new Konva.RegularPolygon({ ...cfg, sides: 6 }));
-  shapes.register('diamond',  cfg => new Konva.RegularPolygon({ ...cfg, sides: 4 }));
+  shapes.register('rect',     cfg => new Konva.Rect(cfg), { props: { width: size, height: size, cornerRadius: size }, textBox: true });
+  shapes.register('circle',   cfg => new Konva.Circle(cfg), { props: { radius: size }, textBox: n => inCircle(n.radius()) });
+  shapes.register('triangle', cfg => new Konva.RegularPolygon({ ...cfg, sides: 3 }), polygon);
+  shapes.register('pentagon', cfg => new Konva.RegularPolygon({ ...cfg, sides: 5 }), polygon);
+  shapes.register('hexagon',  cfg => new Konva.RegularPolygon({ ...cfg, sides: 6 }), polygon);
+  shapes.register('diamond',  cfg => new Konva.RegularPolygon({ ...cfg, sides: 4 }), polygon);
 
   shapes.register('star', cfg =>
     new Konva.Star({
@@ -18,7 +45,11 @@ export function registerBuiltinShapes(services) {
       numPoints:   5,
       innerRadius: (cfg.radius || 60) * 0.42,
       outerRadius: cfg.radius || 60,
-    })
+    }),
+    {
+      props:   { radius: size, innerRadius: size, outerRadius: size },
+      textBox: n => inCircle(Math.max(n.innerRadius(), n.outerRadius() * 0.55)),  // text may brush the points' roots
+    }
   );
 
   shapes.register('arrow', cfg =>
@@ -29,7 +60,8 @@ export function registerBuiltinShapes(services) {
       strokeWidth:   3,
       pointerLength: 16,
       pointerWidth:  16,
-    })
+    }),
+    { props: { points, pointerLength: size, pointerWidth: size, ...binding } }
   );
 
   shapes.register('line', cfg =>
@@ -39,27 +71,35 @@ export function registerBuiltinShapes(services) {
       fill:        null,
       strokeWidth: 4,
       lineCap:     'round',
-    })
+    }),
+    { props: { points, tension: { type: 'number' }, ...binding } }
   );
 
-  shapes.register('cloud', cfg => {
-    // Cloud made of overlapping circles using a Path approximation
-    return new Konva.Shape({
+  // Freehand stroke — what the pencil tool draws
+  shapes.register('pencil', cfg =>
+    new Konva.Line({
       ...cfg,
-      sceneFunc(ctx, shape) {
-        const w = 120, h = 70;
-        ctx.beginPath();
-        ctx.arc(30, 50, 28, Math.PI, 0, false);
-        ctx.arc(55, 30, 32, Math.PI * 1.1, 0, false);
-        ctx.arc(85, 40, 25, Math.PI, 0, false);
-        ctx.arc(100, 50, 20, Math.PI * 0.8, 0, false);
-        ctx.lineTo(125, 70); ctx.lineTo(5, 70);
-        ctx.closePath();
-        ctx.fillStrokeShape(shape);
+      stroke:   cfg.stroke || cfg.fill,
+      fill:     null,
+      lineCap:  'round',
+      lineJoin: 'round',
+      tension:  0.4,
+    }),
+    { props: { points } }
+  );
+
+  shapes.register('cloud', cfg =>
+    new Konva.Shape({ width: CLOUD.width, height: CLOUD.height, ...cfg, sceneFunc: drawCloud }),
+    {
+      hydrate: node => node.sceneFunc(drawCloud),  // functions don't serialise
+      props:   { width: size, height: size },
+      // The body, below the puffs
+      textBox: n => {
+        const sx = n.width() / CLOUD.width, sy = n.height() / CLOUD.height;
+        return { x: 12 * sx, y: 24 * sy, width: 106 * sx, height: 44 * sy };
       },
-      width: 130, height: 70,
-    });
-  });
+    }
+  );
 
   shapes.register('heart', cfg =>
     new Konva.Path({
@@ -67,7 +107,8 @@ export function registerBuiltinShapes(services) {
       data: 'M12 21.593c-5.63-5.539-11-10.297-11-14.402 0-3.791 3.068-5.191 5.281-5.191 1.312 0 4.151.501 5.719 4.457 1.59-3.968 4.464-4.447 5.726-4.447 2.54 0 5.274 1.621 5.274 5.181 0 4.069-5.136 8.625-11 14.402z',
       scale: { x: 4, y: 4 },
       stroke: cfg.stroke || cfg.fill,
-    })
+    }),
+    { props: {} }
   );
 
 
@@ -75,11 +116,57 @@ export function registerBuiltinShapes(services) {
     new Konva.Text({
       ...cfg,
       text:        cfg.text || 'Double-click to edit',
-      fontSize:    cfg.fontSize || services.drawing.fontSize,
+      fontSize:    cfg.fontSize || services.drawing?.fontSize || 24,
       fontFamily:  "'Kalam', cursive",
       fill:        cfg.fill,
       stroke:      'transparent',
       strokeWidth: 0,
-    })
+    }),
+    {
+      props: {
+        text:     { type: 'string' },
+        fontSize: { type: 'number', exclusiveMinimum: 0 },
+        width:    size,
+        align:    { type: 'string', enum: ['left', 'center', 'right'] },
+      },
+    }
   );
+
+  // The pixels live in the `src` attr (usually a data URL) so they serialise.
+  // The size is given, not read from the pixels — they load after the shape is placed
+  shapes.register('image', cfg => new Konva.Image({ ...cfg, stroke: null, strokeWidth: 0 }), {
+    hydrate:  loadImage,
+    props:    { src: { type: 'string', minLength: 1 }, width: size, height: size },
+    required: ['src', 'width', 'height'],
+  });
+}
+
+// Cloud made of overlapping circles using a Path approximation
+// The cloud is drawn at this size and stretched to its width and height
+const CLOUD = { width: 130, height: 70 };
+
+function drawCloud(ctx, shape) {
+  const sx = shape.width() / CLOUD.width, sy = shape.height() / CLOUD.height;
+  // Stretched in the path rather than ctx.scale(), so the stroke keeps its width
+  const puff = (x, y, r, from) => ctx.ellipse(x * sx, y * sy, r * sx, r * sy, 0, from, 0, false);
+  ctx.beginPath();
+  puff(30, 50, 28, Math.PI);
+  puff(55, 30, 32, Math.PI * 1.1);
+  puff(85, 40, 25, Math.PI);
+  puff(100, 50, 20, Math.PI * 0.8);
+  ctx.lineTo(125 * sx, 70 * sy); ctx.lineTo(5 * sx, 70 * sy);
+  ctx.closePath();
+  ctx.fillStrokeShape(shape);
+}
+
+/** Give a Konva.Image the element for its `src` attr (skipped without a DOM). */
+function loadImage(node) {
+  const src = node.getAttr('src');
+  if (!src || typeof Image === 'undefined') return;
+  const img = new Image();
+  img.onload = () => {
+    node.image(img);
+    node.getLayer()?.batchDraw();
+  };
+  img.src = src;
 }
@@ -0,0 +1,324 @@
+/**
+ * Diagram library — flowchart and UML shapes, registered next to the
+ * built-ins. Import and call registerShapeLibrary(services) during bootstrap.
+ *
+ *   studio.Shapes.create('decision', { text: 'In stock?' });
+ *   studio.Shapes.create('class', { text: 'Order', attributes: ['id: string'], methods: ['total(): number'] });
+ *
+ * Each shape is drawn into its `width` × `height`, takes a label (modules/
+ * Labels.js) and puts its connection anchors on its outline, where a
+ * connector should meet it (`anchors`, see ShapeRegistry). Their `category`
+ * gives each family its own section of the Quick Add panel.
+ */
+const size    = { type: 'number', minimum: 0 };
+const members = { type: 'array', items: { type: 'string' } };
+const sized   = { width: size, height: size };
+
+// UML class compartments
+const NAME_H = 34, LINE_H = 18, GAP = 6;
+// Lifeline head, actor name
+const HEAD_H = 40, NAME_BOX = 32;
+
+const _box = (x, y, width, height) => ({ x, y, width, height });
+const _memberHeight = list => Math.max(list?.length ?? 0, 1) * LINE_H + GAP * 2;
+
+export function registerShapeLibrary(services) {
+  const { shapes } = services;
+
+  /**
+   * Register a type drawn by `draw` (and hit by `hit`, if given) into its
+   * width × height, which default to `w` × `h`.
+   */
+  function custom(type, draw, [w, h], meta, hit) {
+    const funcs = { sceneFunc: draw, ...(hit && { hitFunc: hit }) };
+    shapes.register(type, cfg => new Konva.Shape({ width: w, height: h, ...cfg, ...funcs }), {
+      hydrate: node => node.setAttrs(funcs),  // functions don't serialise
+      ...meta,
+      props: { ...sized, ...meta.props },
+    });
+  }
+
+  // ── Flowchart ─────────────────────────────────────────────────
+
+  const flowchart = { category: 'flowchart', textBox: true };
+
+  shapes.register('process', cfg => new Konva.Rect({ width: 140, height: 70, ...cfg }), {
+    ...flowchart, icon: '▭', label: 'Process',
+    description: 'flowchart step: an action or operation',
+    props: { ...sized, cornerRadius: size },
+  });
+
+  custom('decision', drawDecision, [140, 90], {
+    ...flowchart, icon: '◇', label: 'Decision',
+    description: 'flowchart branch: a yes/no question, one connector out per answer',
+    textBox: n => _box(n.width() / 4, n.height() / 4, n.width() / 2, n.height() / 2),
+  });
+
+  custom('terminator', drawTerminator, [140, 56], {
+    ...flowchart, icon: '⬭', label: 'Terminator',
+    description: 'flowchart start or end',
+    textBox: n => _box(Math.min(n.width(), n.height()) / 4, 0, n.width() - Math.min(n.width(), n.height()) / 2, n.height()),
+  });
+
+  custom('document', drawDocument, [140, 80], {
+    ...flowchart, icon: '🗎', label: 'Document',
+    description: 'flowchart document or report',
+    textBox: n => _box(0, 0, n.width(), n.height() * 0.88),
+    anchors: n => ({ bottom: { x: n.width() / 2, y: n.height() * 0.88 } }),
+  });
+
+  custom('database', drawDatabase, [100, 110], {
+    ...flowchart, icon: '⛁', label: 'Database',
+    description: 'flowchart data store, drawn as a cylinder',
+    textBox: n => {
+      const ry = _rim(n);
+      return _box(0, ry * 2, n.width(), n.height() - ry * 3);
+    },
+  });
+
+  custom('manual-input', drawManualInput, [140, 70], {
+    ...flowchart, icon: '⏢', label: 'Manual input',
+    description: 'flowchart step where someone enters data by hand',
+    textBox: n => _box(0, n.height() / 4, n.width(), n.height() * 0.75),
+    anchors: n => ({ top: { x: n.width() / 2, y: n.height() / 8 } }),
+  });
+
+  custom('predefined-process', drawPredefined, [150, 70], {
+    ...flowchart, icon: '▥', label: 'Predefined process',
+    description: 'flowchart subroutine defined elsewhere',
+    textBox: n => _box(_inset(n), 0, n.width() - _inset(n) * 2, n.height()),
+  });
+
+  // ── UML ───────────────────────────────────────────────────────
+
+  const uml = { category: 'uml' };
+
+  /** Class box: name, then attributes, then methods, one per line. */
+  function drawClass(ctx, shape) {
+    const w = shape.width(), h = shape.height();
+    ctx.beginPath();
+    ctx.rect(0, 0, w, h);
+    ctx.fillStrokeShape(shape);
+
+    const attrs = shape.getAttr('attributes') ?? [], methods = shape.getAttr('methods') ?? [];
+    const split = Math.min(NAME_H + _memberHeight(attrs), h);
+    ctx.beginPath();
+    ctx.moveTo(0, Math.min(NAME_H, h)); ctx.lineTo(w, Math.min(NAME_H, h));
+    ctx.moveTo(0, split); ctx.lineTo(w, split);
+    ctx.strokeShape(shape);
+
+    ctx.save();
+    ctx.setAttr('shadowColor', 'rgba(0,0,0,0)');
+    ctx.setAttr('font', "13px 'DM Sans', sans-serif");
+    ctx.setAttr('fillStyle', services.labels.style(shape).color);
+    ctx.setAttr('textBaseline', 'middle');
+    const list = (lines, top) => lines.forEach((line, i) => {
+      const y = top + GAP + LINE_H * (i + 0.5);
+      if (y + LINE_H / 2 <= h) ctx.fillText(String(line), GAP, y, w - GAP * 2);
+    });
+    list(attrs, NAME_H);
+    list(methods, split);
+    ctx.restore();
+  }
+
+  shapes.register('class', cfg => new Konva.Shape({
+    width: 160,
+    height: NAME_H + _memberHeight(cfg.attributes) + _memberHeight(cfg.methods),
+    ...cfg, sceneFunc: drawClass, hitFunc: hitBox,
+  }), {
+    ...uml, icon: '▤', label: 'Class',
+    description: 'UML class: name (text), attributes and methods compartments',
+    hydrate: node => node.setAttrs({ sceneFunc: drawClass, hitFunc: hitBox }),
+    props: { ...sized, attributes: members, methods: members },
+    textBox: n => _box(0, 0, n.width(), Math.min(NAME_H, n.height())),
+  });
+
+  custom('actor', drawActor, [80, 120], {
+    ...uml, icon: '웃', label: 'Actor',
+    description: 'UML actor: a stick figure with its name (text) underneath',
+    textBox: n => _box(0, n.height() - NAME_BOX, n.width(), NAME_BOX),
+    anchors: n => {
+      const f = _figure(n);
+      return {
+        left:   { x: f.cx - f.reach, y: f.arms },
+        right:  { x: f.cx + f.reach, y: f.arms },
+        center: { x: f.cx, y: f.hips },
+      };
+    },
+  }, hitBox);
+
+  custom('lifeline', drawLifeline, [120, 260], {
+    ...uml, icon: '┆', label: 'Lifeline',
+    description: 'UML sequence-diagram lifeline: a head box (text) over a dashed line',
+    textBox: n => _box(0, 0, n.width(), Math.min(HEAD_H, n.height())),
+    // Messages meet the dashed line, not the head
+    anchors: n => {
+      const line = { x: n.width() / 2, y: (Math.min(HEAD_H, n.height()) + n.height()) / 2 };
+      return { left: line, right: line, center: line };
+    },
+  }, hitLifeline);
+
+  custom('component', drawComponent, [150, 80], {
+    ...uml, icon: '⧉', label: 'Component',
+    description: 'UML component: a box with the component icon',
+    textBox: n => _box(0, 24, n.width(), Math.max(n.height() - 24, 0)),
+  });
+
+  custom('note', drawNote, [140, 90], {
+    ...uml, icon: '🗒', label: 'Note',
+    description: 'UML note: a comment with a folded corner',
+    textBox: true,
+  });
+}
+
+// ── Outlines ────────────────────────────────────────────────────
+
+function drawDecision(ctx, shape) {
+  const w = shape.width(), h = shape.height();
+  ctx.beginPath();
+  ctx.moveTo(w / 2, 0); ctx.lineTo(w, h / 2); ctx.lineTo(w / 2, h); ctx.lineTo(0, h / 2);
+  ctx.closePath();
+  ctx.fillStrokeShape(shape);
+}
+
+function drawTerminator(ctx, shape) {
+  const w = shape.width(), h = shape.height(), r = Math.min(w, h) / 2;
+  ctx.beginPath();
+  ctx.moveTo(r, 0);
+  ctx.arcTo(w, 0, w, h, r); ctx.arcTo(w, h, 0, h, r);
+  ctx.arcTo(0, h, 0, 0, r); ctx.arcTo(0, 0, w, 0, r);
+  ctx.closePath();
+  ctx.fillStrokeShape(shape);
+}
+
+// The wave along the bottom crosses the middle at 88% of the height
+function drawDocument(ctx, shape) {
+  const w = shape.width(), h = shape.height(), base = h * 0.88, wave = h * 0.1;
+  ctx.beginPath();
+  ctx.moveTo(0, 0); ctx.lineTo(w, 0); ctx.lineTo(w, base);
+  ctx.bezierCurveTo(w * 0.75, base - wave * 2, w * 0.25, base + wave * 2, 0, base);
+  ctx.closePath();
+  ctx.fillStrokeShape(shape);
+}
+
+/** Half-height of a cylinder's rims. */
+const _rim = shape => Math.min(shape.height() * 0.12, shape.width() / 4);
+
+function drawDatabase(ctx, shape) {
+  const w = shape.width(), h = shape.height(), rx = w / 2, ry = _rim(shape);
+  ctx.beginPath();
+  ctx.moveTo(0, ry); ctx.lineTo(0, h - ry);
+  ctx.ellipse(rx, h - ry, rx, ry, 0, Math.PI, 0, true);
+  ctx.lineTo(w, ry);
+  ctx.ellipse(rx, ry, rx, ry, 0, 0, Math.PI, true);
+  ctx.closePath();
+  ctx.fillStrokeShape(shape);
+  // The front of the top rim
+  ctx.beginPath();
+  ctx.ellipse(rx, ry, rx, ry, 0, 0, Math.PI, false);
+  ctx.strokeShape(shape);
+}
+
+function drawManualInput(ctx, shape) {
+  const w = shape.width(), h = shape.height();
+  ctx.beginPath();
+  ctx.moveTo(0, h / 4); ctx.lineTo(w, 0); ctx.lineTo(w, h); ctx.lineTo(0, h);
+  ctx.closePath();
+  ctx.fillStrokeShape(shape);
+}
+
+/** How far a predefined process's inner bars sit from its sides. */
+const _inset = shape => Math.min(12, shape.width() / 10);
+
+function drawPredefined(ctx, shape) {
+  const w = shape.width(), h = shape.height(), d = _inset(shape);
+  ctx.beginPath();
+  ctx.rect(0, 0, w, h);
+  ctx.fillStrokeShape(shape);
+  ctx.beginPath();
+  ctx.moveTo(d, 0); ctx.lineTo(d, h);
+  ctx.moveTo(w - d, 0); ctx.lineTo(w - d, h);
+  ctx.strokeShape(shape);
+}
+
+/** Where an actor's stick figure's joints are, above its name. */
+function _figure(shape) {
+  const fh = Math.max(shape.height() - NAME_BOX, 0);
+  return {
+    cx: shape.width() / 2, head: fh * 0.14, neck: fh * 0.28,
+    arms: fh * 0.4, hips: fh * 0.65, feet: fh, reach: Math.min(fh * 0.3, shape.width() / 2),
+  };
+}
+
+function drawActor(ctx, shape) {
+  const f = _figure(shape);
+  ctx.beginPath();
+  ctx.arc(f.cx, f.head, f.head, 0, Math.PI * 2);
+  ctx.fillStrokeShape(shape);
+  ctx.beginPath();
+  ctx.moveTo(f.cx, f.neck); ctx.lineTo(f.cx, f.hips);
+  ctx.moveTo(f.cx - f.reach, f.arms); ctx.lineTo(f.cx + f.reach, f.arms);
+  ctx.moveTo(f.cx - f.reach * 0.8, f.feet); ctx.lineTo(f.cx, f.hips); ctx.lineTo(f.cx + f.reach * 0.8, f.feet);
+  // Limbs in the fill colour, so recolouring the actor recolours all of it
+  ctx.save();
+  ctx.setAttr('strokeStyle', shape.fill() || shape.stroke());
+  ctx.setAttr('lineWidth', 3);
+  ctx.setAttr('lineCap', 'round');
+  ctx.stroke();
+  ctx.restore();
+}
+
+function drawLifeline(ctx, shape) {
+  const w = shape.width(), h = shape.height(), head = Math.min(HEAD_H, h);
+  ctx.beginPath();
+  ctx.rect(0, 0, w, head);
+  ctx.fillStrokeShape(shape);
+  ctx.save();
+  ctx.setLineDash([6, 5]);
+  ctx.beginPath();
+  ctx.moveTo(w / 2, head); ctx.lineTo(w / 2, h);
+  ctx.strokeShape(shape);
+  ctx.restore();
+}
+
+function drawComponent(ctx, shape) {
+  const w = shape.width(), h = shape.height();
+  ctx.beginPath();
+  ctx.rect(0, 0, w, h);
+  ctx.fillStrokeShape(shape);
+  // The component icon: a box with two tabs, top right
+  const x = w - 26, y = 8;
+  ctx.beginPath();
+  ctx.rect(x, y, 16, 20);
+  ctx.rect(x - 5, y + 4, 10, 4);
+  ctx.rect(x - 5, y + 12, 10, 4);
+  ctx.strokeShape(shape);
+}
+
+function drawNote(ctx, shape) {
+  const w = shape.width(), h = shape.height(), fold = Math.min(16, w / 4, h / 4);
+  ctx.beginPath();
+  ctx.moveTo(0, 0); ctx.lineTo(w - fold, 0); ctx.lineTo(w, fold); ctx.lineTo(w, h); ctx.lineTo(0, h);
+  ctx.closePath();
+  ctx.fillStrokeShape(shape);
+  ctx.beginPath();
+  ctx.moveTo(w - fold, 0); ctx.lineTo(w - fold, fold); ctx.lineTo(w, fold);
+  ctx.strokeShape(shape);
+}
+
+// ── Hit regions ─────────────────────────────────────────────────
+// Shapes mostly made of lines or text are hit anywhere in their box
+
+function hitBox(ctx, shape) {
+  ctx.beginPath();
+  ctx.rect(0, 0, shape.width(), shape.height());
+  ctx.fillStrokeShape(shape);
+}
+
+function hitLifeline(ctx, shape) {
+  const w = shape.width(), h = shape.height();
+  ctx.beginPath();
+  ctx.rect(0, 0, w, Math.min(HEAD_H, h));
+  ctx.rect(w / 2 - 6, 0, 12, h);
+  ctx.fillStrokeShape(shape);
+}
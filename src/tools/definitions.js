@@ -25,9 +25,13 @@ export function registerBuiltinTools(services) {
   // ── SELECT ────────────────────────────────────────────────────
   tools.register('select', {
     label: 'Select', icon: '⌖', shortcut: 'V', cursor: 'default',
+    // Dragging on empty canvas draws a selection marquee
     onMousedown(e, svc) {
-      if (e.target === svc.core.stage) svc.interaction.deselect();
+      if (e.target !== svc.core.stage || (e.evt.button ?? 0) !== 0 || svc.panzoom?.panning()) return;
+      svc.interaction.startMarquee(svc.core.pointer(), e.evt);
     },
+    onMousemove(e, svc) { svc.interaction.moveMarquee(svc.core.pointer()); },
+    onMouseup(e, svc)   { svc.interaction.endMarquee(); },
   });
 
   // ── HAND (PAN) ────────────────────────────────────────────────
@@ -6,8 +6,8 @@
  *   'theme:change' — { mode: 'dark' | 'light' }
  */
 export function createTheme(services) {
-  const { events } = services;
-  const root  = document.documentElement;
+  const { events, dom } = services;
+  const root  = dom.el;
   const KEY   = 'cs-theme';
   let _mode   = localStorage.getItem(KEY) || 'dark';
 
@@ -16,7 +16,7 @@ export function createTheme(services) {
     root.setAttribute('data-theme', mode);
     localStorage.setItem(KEY, mode);
     // Update toggle button icon
-    const btn = document.getElementById('theme-toggle');
+    const btn = dom.get('theme-toggle');
     if (btn) btn.textContent = mode === 'dark' ? '☀️' : '🌙';
     events.emit('theme:change', { mode });
   }
@@ -28,6 +28,9 @@ export function createTheme(services) {
   // Apply saved preference on boot
   _apply(_mode);
 
+  // The saved preference stays; the attribute leaves with the studio
+  events.on('studio:destroy', () => root.removeAttribute('data-theme'));
+
   return {
     toggle,
     mode:    () => _mode,
@@ -1,22 +1,26 @@
 /**
  * UI — all DOM-level feedback: stats bar, toast, tooltip, cursor overlays,
  * property panel sync, and tool-label indicator.
+ *
+ * Emits:
+ *   'ui:toast' — { message, duration } (also the only output in headless mode)
  */
 export function createUI(services) {
-  const { events } = services;
+  const { events, dom } = services;
 
   // ── Stats bar (removed from UI, keeping event handlers for extension points) ───────────────────────────────────────────────
   events.on('stats:update', () => {
     // Stats overlay removed - extension point for custom UI
   });
 
-  events.on('selection:change', shape => {
-    if (shape) _syncPropsFromShape(shape);
+  // Sliders show the shape selected last
+  events.on('selection:change', shapes => {
+    if (shapes.length) _syncPropsFromShape(shapes.at(-1));
   });
 
   events.on('tool:change', ({ label, color }) => {
     _set('tool-label', label);
-    const dot = document.getElementById('tool-dot');
+    const dot = dom.get('tool-dot');
     if (dot) dot.style.background = color || 'var(--accent)';
   });
 
@@ -26,7 +30,8 @@ export function createUI(services) {
   // ── Toast ───────────────────────────────────────────────────
   let _toastTimer;
   function toast(msg, duration = 2200) {
-    const el = document.getElementById('toast');
+    events.emit('ui:toast', { message: msg, duration });
+    const el = dom.get('toast');
     if (!el) return;
     el.textContent = msg;
     el.classList.add('show');
@@ -35,10 +40,10 @@ export function createUI(services) {
   }
 
   // ── Cursor overlays ─────────────────────────────────────────
-  const eraserCursor = document.getElementById('cursor-eraser');
-  const pencilCursor = document.getElementById('cursor-pencil');
+  const eraserCursor = dom.get('cursor-eraser');
+  const pencilCursor = dom.get('cursor-pencil');
 
-  document.addEventListener('mousemove', e => {
+  dom.listen(document, 'mousemove', e => {
     const tool = services.tools?.active();
     if (tool === 'eraser' && eraserCursor) {
       eraserCursor.style.display = 'block';
@@ -63,26 +68,40 @@ export function createUI(services) {
 
   // ── Property panel — sync slider → shape ───────────────────
   function onPropChange(key, rawVal) {
+    // Connector routing: the next one drawn, and the selected ones
+    if (key === 'routing') {
+      if (services.connectors) services.connectors.routing = rawVal;
+      const lines = (services.interaction?.selection() ?? []).filter(s => services.connectors?.isConnector(s));
+      if (lines.length) {
+        lines.forEach(s => s.setAttr('routing', rawVal));
+        services.history.save();
+        services.core.layer.batchDraw();
+      }
+      return;
+    }
     const val = Number(rawVal);
     const fmts = {
       opacity: v => v + '%', rotation: v => v + '°',
       shadow: v => v, strokeWidth: v => v,
       pencilSize: v => v + 'px', fontSize: v => v + 'px',
     };
-    const label = document.getElementById('v-' + key);
+    const label = dom.get('v-' + key);
     if (label && fmts[key]) label.textContent = fmts[key](val);
 
     // Non-shape props
     if (key === 'pencilSize') { if (services.drawing) services.drawing.pencilSize = val; return; }
     if (key === 'fontSize')   { if (services.drawing) services.drawing.fontSize   = val; }
 
-    const shape = services.interaction?.selected();
-    if (!shape) return;
-    if (key === 'opacity')     shape.opacity(val / 100);
-    if (key === 'rotation')    shape.rotation(val);
-    if (key === 'shadow')      shape.shadowBlur?.(val);
-    if (key === 'strokeWidth' && shape.getClassName() !== 'Text') shape.strokeWidth?.(val);
-    if (key === 'fontSize' && shape.getClassName() === 'Text') shape.fontSize(val);
+    const shapes = services.interaction?.selection() ?? [];
+    if (!shapes.length) return;
+    shapes.forEach(shape => {
+      if (key === 'opacity')     shape.opacity(val / 100);
+      if (key === 'rotation')    shape.rotation(val);
+      if (key === 'shadow')      shape.shadowBlur?.(val);
+      if (key === 'strokeWidth' && shape.getClassName() !== 'Text') shape.strokeWidth?.(val);
+      if (key === 'fontSize' && shape.getClassName() === 'Text') shape.fontSize(val);
+      if (key === 'fontSize' && services.labels?.labelled(shape)) shape.setAttr('fontSize', val);
+    });
     services.core.layer.batchDraw();
     services.history.save();
   }
@@ -92,19 +111,40 @@ export function createUI(services) {
     _slider('rotation',    Math.round(shape.rotation()),      '°');
     _slider('shadow',      shape.shadowBlur ? Math.round(shape.shadowBlur()) : 0, '');
     _slider('strokeWidth', shape.strokeWidth ? Math.round(shape.strokeWidth()) : 0, '');
+    if (services.connectors?.isConnector(shape)) {
+      const sel = dom.get('sel-routing');
+      if (sel) sel.value = shape.getAttr('routing') ?? 'straight';
+    }
   }
 
   function _slider(key, val, suffix) {
-    const el = document.querySelector(`[data-prop="${key}"]`);
+    const el = dom.root.querySelector(`[data-prop="${key}"]`);
     if (el) el.value = val;
-    const label = document.getElementById('v-' + key);
+    const label = dom.get('v-' + key);
     if (label) label.textContent = val + suffix;
   }
 
   function _set(id, val) {
-    const el = document.getElementById(id);
+    const el = dom.get(id);
     if (el) el.textContent = val;
   }
 
-  return { toast, onPropChange };
+  function destroy() {
+    clearTimeout(_toastTimer);
+  }
+
+  return { toast, onPropChange, destroy };
+}
+
+/**
+ * Headless stand-in for createUI — toasts become 'ui:toast' events and
+ * nothing touches the DOM.
+ */
+export function createHeadlessUI(services) {
+  const { events } = services;
+  return {
+    toast: (msg, duration = 2200) => events.emit('ui:toast', { message: msg, duration }),
+    onPropChange() {},
+    destroy() {},
+  };
 }
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { studio, browserStudio, settle } from './helpers.js';
+
+test('applyOps() applies a list of ops as one undo step, resolving refs', () => {
+  const s = studio();
+  const before = s.History.list().length;
+  const { applied, results } = s.Agent.applyOps([
+    { op: 'add',   type: 'rect', props: { x: 120, y: 80, width: 160, height: 90 }, ref: 'card' },
+    { op: 'add',   type: 'text', props: { x: 140, y: 110, text: 'Hello' },       ref: 'title' },
+    { op: 'group', ids: ['card', 'title'] },
+  ]);
+  assert.equal(applied, true);
+  assert.deepEqual(results.map(r => [r.op, r.ok]), [['add', true], ['add', true], ['group', true]]);
+  const group = s.Shapes.getById(results[2].id);
+  assert.deepEqual(group.getChildren().map(n => n._publicId), [results[0].id, results[1].id]);
+  assert.equal(group.getAttr('createdBy'), 'agent:default');
+
+  assert.equal(s.History.list().length, before + 1);
+  s.History.undo();
+  assert.equal(s.Shapes.listIds().length, 0);
+  s.destroy();
+});
+
+test('applyOps() rejects invalid ops with reasons and applies none of them', () => {
+  const s = studio();
+  const rect = s.Shapes.create('rect', { x: 10 });
+  const before = s.History.list().length;
+  const { applied, results } = s.Agent.applyOps([
+    { op: 'update', id: rect._publicId, props: { x: 300 } },
+    { op: 'add', type: 'circle', props: { radius: -3, colour: 'red' } },
+    { op: 'delete', id: 'missing' },
+    { op: 'add', type: 'blob' },
+    { op: 'update', id: rect._publicId, props: { x: 'left' } },
+  ]);
+  assert.equal(applied, false);
+  assert.equal(results[0].ok, true);
+  assert.deepEqual(results[1].errors.map(e => e.path).sort(), ['/props/colour', '/props/radius']);
+  assert.deepEqual(results[2].errors, [{ path: '/id', message: "no shape with id 'missing'" }]);
+  assert.equal(results[3].ok, false);
+  assert.equal(results[4].errors[0].path, '/props/x');
+
+  assert.equal(rect.x(), 10);
+  assert.deepEqual(s.Shapes.listIds(), [rect._publicId]);
+  assert.equal(s.History.list().length, before);
+  s.destroy();
+});
+
+test('applyOps() rolls back every op when the save is cancelled', () => {
+  const s = studio();
+  const rect = s.Shapes.create('rect', { x: 10 });
+  s.Events.on('before:shape:remove', () => false);
+  const { applied, results } = s.Agent.applyOps([
+    { op: 'update', id: rect._publicId, props: { x: 300 } },
+    { op: 'add', type: 'circle' },
+    { op: 'delete', id: rect._publicId },
+  ]);
+  assert.equal(applied, false);
+  assert.ok(results.some(r => !r.ok && r.errors[0].message));
+  assert.ok(results.every(r => r.id === undefined));
+  assert.equal(rect.x(), 10);
+  assert.deepEqual(s.Shapes.listIds(), [rect._publicId]);
+  s.destroy();
+});
+
+test('reorder moves a shape within its parent', () => {
+  const s = studio();
+  const a = s.Shapes.create('rect');
+  const b = s.Shapes.create('rect');
+  const { applied } = s.Agent.applyOps([{ op: 'reorder', id: b._publicId, to: 'bottom' }]);
+  assert.equal(applied, true);
+  assert.ok(b.zIndex() < a.zIndex());
+  s.destroy();
+});
+
+test('an added shape keeps the opacity and scale in its props', async () => {
+  for (const make of [studio, browserStudio]) {
+    const s = make();
+    const { results } = s.Agent.applyOps([
+      { op: 'add', type: 'circle', props: { opacity: 0.3, scaleX: 2 } },
+    ]);
+    const rect = s.Shapes.create('rect', { opacity: 0.5 });
+    await settle(500);  // pop-in
+    assert.equal(rect.opacity(), 0.5);
+    const circle = s.Shapes.getById(results[0].id);
+    assert.equal(circle.opacity(), 0.3);
+    assert.equal(circle.scaleX(), 2);
+    assert.equal(circle.scaleY(), 1);
+    s.destroy();
+  }
+});
+
+test('an image needs its size to be added, and round-trips through getState()', () => {
+  const s = studio();
+  const src = 'data:image/png;base64,iVBORw0KGgo=';
+  const rejected = s.Agent.applyOps([{ op: 'add', type: 'image', props: { src } }]);
+  assert.equal(rejected.applied, false);
+  assert.deepEqual(rejected.results[0].errors.map(e => e.message), [
+    "must have required property 'width'",
+    "must have required property 'height'",
+  ]);
+
+  const { applied, results } = s.Agent.applyOps([
+    { op: 'add', type: 'image', props: { src, x: 10, y: 20, width: 64, height: 48 } },
+  ]);
+  assert.equal(applied, true);
+  assert.equal(s.Agent.applyOps([{ op: 'update', id: results[0].id, props: { x: 40 } }]).applied, true);
+
+  const state = s.Export.getState();
+  assert.equal(s.Export.validate(state).valid, true);
+  const other = studio();
+  assert.equal(other.Export.loadState(state), true);
+  assert.deepEqual(other.Export.getState().shapes, state.shapes);
+  s.destroy();
+  other.destroy();
+});
+
+test('ops after a delete may not target shapes inside what it deleted', () => {
+  const s = studio();
+  const a = s.Shapes.create('rect');
+  const b = s.Shapes.create('circle');
+  const g = s.Shapes.group([a._publicId, b._publicId]);
+  const { applied, results } = s.Agent.applyOps([
+    { op: 'add', type: 'rect', ref: 'c' },
+    { op: 'add', type: 'rect', ref: 'd' },
+    { op: 'group', ids: ['c', 'd'], ref: 'cd' },
+    { op: 'delete', id: g._publicId },
+    { op: 'delete', id: 'cd' },
+    { op: 'update', id: a._publicId, props: { x: 5 } },
+    { op: 'update', id: 'c', props: { x: 5 } },
+  ]);
+  assert.equal(applied, false);
+  assert.deepEqual(results.slice(0, 5).map(r => r.ok), [true, true, true, true, true]);
+  assert.deepEqual(results[5].errors, [{ path: '/id', message: `no shape with id '${a._publicId}'` }]);
+  assert.deepEqual(results[6].errors, [{ path: '/id', message: "no shape with id 'c'" }]);
+  assert.equal(s.Shapes.getById(a._publicId).getParent(), g);
+  s.destroy();
+});
+
+test("applyOps() leaves the user's unsaved edits to the user", () => {
+  const s = studio();
+  const rect = s.Shapes.create('rect');
+  rect.x(300);  // mid-gesture, not saved yet
+  s.Agent.applyOps([{ op: 'add', type: 'circle' }], { actor: 'agent:planner' });
+  assert.equal(rect.getAttr('updatedBy'), 'user');
+  const [move, add] = s.Audit.entries().slice(-2);
+  assert.equal(move.actor, 'user');
+  assert.equal(add.actor, 'agent:planner');
+  assert.ok(add.changes.every(c => c.id !== rect._publicId));
+  s.destroy();
+});
+
+test("a connector's ends must name shapes on the canvas", () => {
+  const s = studio();
+  const a = s.Shapes.create('rect', { x: 10, y: 10 });
+  const b = s.Shapes.create('rect', { x: 300, y: 200 });
+  const bad = s.Agent.applyOps([
+    { op: 'add', type: 'arrow', props: { sourceId: a._publicId, targetId: 'missing' } },
+    { op: 'delete', id: b._publicId },
+    { op: 'add', type: 'arrow', props: { sourceId: a._publicId, targetId: b._publicId } },
+  ]);
+  assert.equal(bad.applied, false);
+  assert.deepEqual(bad.results[0].errors, [{ path: '/props/targetId', message: "no shape with id 'missing'" }]);
+  assert.deepEqual(bad.results[2].errors.map(e => e.path), ['/props/targetId']);
+
+  const { results: [{ id }] } = s.Agent.applyOps([
+    { op: 'add', type: 'arrow', props: { draggable: false, sourceId: a._publicId, targetId: b._publicId } },
+  ]);
+  const rounded = node => node.points().map(Math.round);
+  assert.deepEqual(rounded(s.Shapes.getById(id)), rounded(s.Shapes.connect(a, b)));
+  s.destroy();
+});
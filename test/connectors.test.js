@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { studio, browserStudio, settle } from './helpers.js';
+
+// Within a couple of px: boxes include half the stroke. create() takes the
+// top-left corner, but x/y are the centre from then on.
+const near = (actual, expected) =>
+  assert.ok(actual.every((v, i) => Math.abs(v - expected[i]) <= 3), `${actual} ≉ ${expected}`);
+
+function boxes(s) {
+  const a = s.Shapes.create('rect', { x: 100, y: 100, width: 100, height: 100 });
+  const b = s.Shapes.create('rect', { x: 400, y: 100, width: 100, height: 100 });
+  return { a, b };
+}
+
+test('connect() binds an arrow edge to edge between two shapes', () => {
+  const s = studio();
+  const { a, b } = boxes(s);
+  const edge = s.Shapes.connect(a, b);
+  assert.equal(edge.getAttr('sourceId'), a._publicId);
+  assert.equal(edge.getAttr('targetId'), b._publicId);
+  assert.equal(edge.draggable(), false);
+  near(edge.points(), [200, 150, 400, 150]);
+  assert.equal(s.Shapes.connect(a, 'missing'), null);
+  s.destroy();
+});
+
+test('moving a bound shape reroutes its connector in the same undo step', () => {
+  const s = studio();
+  const { a, b } = boxes(s);
+  const edge = s.Shapes.connect(a, b);
+  const steps = s.History.list().length;
+
+  s.Shapes.updateById(b._publicId, { y: 400 });
+  assert.equal(s.History.list().length, steps + 1);
+  // Where the line between the centres crosses b's left side
+  near(edge.points(), [200, 192.5, 400, 357.5]);
+
+  s.History.undo();
+  assert.equal(b.y(), 150);
+  near(edge.points(), [200, 150, 400, 150]);
+  s.destroy();
+});
+
+test('elbow routing keeps every segment horizontal or vertical', () => {
+  const s = studio();
+  const { a, b } = boxes(s);
+  s.Shapes.updateById(b._publicId, { y: 400 });
+  const edge = s.Shapes.connect(a, b, { routing: 'elbow' });
+  const p = edge.points();
+  assert.ok(p.length > 4);
+  for (let i = 2; i < p.length; i += 2)
+    assert.ok(p[i] === p[i - 2] || p[i + 1] === p[i - 1], `segment ${i / 2} is diagonal`);
+
+  s.Shapes.updateById(edge._publicId, { routing: 'curved' });
+  assert.equal(edge.bezier(), true);
+  s.destroy();
+});
+
+test('a connector whose shape is deleted keeps that end where it was', () => {
+  const s = studio();
+  const { a, b } = boxes(s);
+  const edge = s.Shapes.connect(a, b);
+  const before = edge.points();
+  s.Agent.applyOps([{ op: 'delete', id: b._publicId }]);
+  s.Shapes.updateById(a._publicId, { y: 300 });
+  near(edge.points().slice(-2), before.slice(-2));
+  s.destroy();
+});
+
+test('bindings survive getState() / loadState()', () => {
+  const s = studio();
+  const { a, b } = boxes(s);
+  const edge = s.Shapes.connect(a, b, { routing: 'elbow', targetAnchor: 'top' });
+  const other = studio();
+  other.Export.loadState(s.Export.getState());
+  const copy = other.Shapes.getById(edge._publicId);
+  assert.equal(copy.getAttr('targetId'), b._publicId);
+  assert.equal(copy.getAttr('targetAnchor'), 'top');
+
+  other.Shapes.updateById(b._publicId, { x: 600 });
+  near(copy.points().slice(-2), [600, 100]);
+  s.destroy();
+  other.destroy();
+});
+
+test('connectors follow a shape live while it is dragged', async () => {
+  const s = browserStudio();
+  const { a, b } = boxes(s);
+  const edge = s.Shapes.connect(a, b);
+  await settle(500);  // pop-in
+  b.y(300);
+  b.fire('dragmove', { target: b }, true);
+  near(edge.points(), [200, 175, 400, 274.5]);
+  s.destroy();
+});
+
+test('agents and the user move shapes under a read-only or locked connector alike', () => {
+  for (const flag of ['agentReadOnly', 'locked']) {
+    for (const actor of ['user', 'agent:planner']) {
+      const s = studio();
+      const { a, b } = boxes(s);
+      const edge = s.Shapes.connect(a, b);
+      if (flag === 'locked') s.Permissions.lock(edge._publicId);
+      else s.Permissions.setAgentReadOnly(edge._publicId);
+      const before = edge.points();
+
+      const { applied } = s.Agent.applyOps([{ op: 'update', id: b._publicId, props: { y: 400 } }], { actor });
+      assert.equal(applied, true, `${actor} under a ${flag} connector`);
+      assert.equal(b.y(), 400);
+      if (flag === 'locked') assert.deepEqual(edge.points(), before);
+      else near(edge.points(), [200, 192.5, 400, 357.5]);
+      s.destroy();
+    }
+  }
+});
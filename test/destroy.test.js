@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { browserStudio, settle } from './helpers.js';
+
+test('destroy() takes data-theme off the root and injected DOM with it', () => {
+  const s = browserStudio();
+  assert.ok(document.documentElement.hasAttribute('data-theme'));
+  s.destroy();
+  assert.equal(document.documentElement.hasAttribute('data-theme'), false);
+  assert.equal(document.querySelector('[data-cs="text-editor"]'), null);
+});
+
+test('destroy() cancels timers a staggered action left pending', async () => {
+  const s = browserStudio();
+  const svc = s._svc;
+  s.Shapes.createRandom(5);
+  s.destroy();
+
+  const created = [];
+  const errors = [];
+  svc.events.on('shape:add', e => created.push(e));
+  svc.events.on('error', e => errors.push(e));
+  await settle(600);
+  assert.equal(created.length, 0);
+  assert.equal(errors.length, 0);
+  assert.equal(svc.shapes.listIds().length, 0);
+});
+
+test('destroy() stops a Clear All in progress', async () => {
+  const s = browserStudio();
+  const svc = s._svc;
+  globalThis.confirm = () => true;
+  s.Shapes.create('rect');
+  s.Shapes.clearAll();
+  const saves = [];
+  const save = svc.history.save;
+  svc.history.save = (...args) => { saves.push(args); return save(...args); };
+  s.destroy();
+  await settle(600);
+  assert.equal(saves.length, 0);
+});
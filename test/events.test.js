@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/EventBus.js';
+
+test('a function listens to an event once, however often it is added', () => {
+  const bus = new EventBus();
+  const calls = [];
+  const fn = x => calls.push(x);
+  bus.on('ping', fn);
+  bus.on('ping', fn);
+  bus.emit('ping', 1);
+  assert.deepEqual(calls, [1]);
+
+  bus.off('ping', fn);
+  bus.emit('ping', 2);
+  assert.deepEqual(calls, [1]);
+});
+
+test('adding a listener again changes its priority', () => {
+  const bus = new EventBus();
+  const order = [];
+  const a = () => order.push('a');
+  const b = () => order.push('b');
+  bus.on('ping', a);
+  bus.on('ping', b);
+  bus.on('ping', b, { priority: 5 });
+  bus.emit('ping');
+  assert.deepEqual(order, ['b', 'a']);
+});
+
+test('listeners run by priority, then in the order they were added, wildcards included', () => {
+  const bus = new EventBus();
+  const order = [];
+  bus.on('shape:add', () => order.push('exact'));
+  bus.on('shape:*', event => order.push(`prefix ${event}`));
+  bus.on('*', event => order.push(`all ${event}`), { priority: 10 });
+  bus.emit('shape:add');
+  assert.deepEqual(order, ['all shape:add', 'exact', 'prefix shape:add']);
+});
+
+test('a throwing listener is reported as error and the rest still run', () => {
+  const bus = new EventBus();
+  const errors = [];
+  let ran = false;
+  bus.on('error', e => errors.push(e));
+  bus.on('ping', () => { throw new Error('boom'); });
+  bus.on('ping', () => { ran = true; });
+  assert.equal(bus.emit('ping'), true);
+  assert.equal(ran, true);
+  assert.equal(errors[0].event, 'ping');
+  assert.equal(errors[0].error.message, 'boom');
+});
+
+test('before: events can be cancelled, sync and async', async () => {
+  const bus = new EventBus();
+  let later = false;
+  bus.on('before:save', async () => false);
+  bus.on('before:save', () => { later = true; });
+  assert.equal(await bus.emitAsync('before:save'), false);
+  assert.equal(later, false);
+
+  bus.clear();
+  bus.on('before:save', () => false);
+  assert.equal(bus.emit('before:save'), false);
+  assert.equal(bus.emit('save'), true);
+});
+
+test('once() fires for the next event only', () => {
+  const bus = new EventBus();
+  let n = 0;
+  bus.once('ping', () => n++);
+  bus.emit('ping');
+  bus.emit('ping');
+  assert.equal(n, 1);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { studio } from './helpers.js';
+
+test('a headless studio boots the document model without DOM chrome', () => {
+  const s = studio();
+  assert.equal(s.Tools, null);
+  assert.equal(s.Colors, null);
+  const rect = s.Shapes.create('rect', { x: 40, y: 50, width: 100, height: 60 });
+  assert.ok(rect._publicId);
+  assert.equal(s.Export.getState().shapes.length, 1);
+  s.destroy();
+});
+
+test('getState() and loadState() round-trip the document', () => {
+  const a = studio();
+  a.Shapes.create('rect', { x: 40, y: 50, fill: '#ff0000' });
+  a.Shapes.create('circle', { x: 200, y: 200, radius: 30 });
+  const state = a.Export.getState();
+
+  const b = studio();
+  assert.equal(b.Export.loadState(state), true);
+  assert.deepEqual(b.Export.getState().shapes, state.shapes);
+  a.destroy();
+  b.destroy();
+});
+
+test('a headless studio prints no console banner', () => {
+  const group = console.group;
+  let printed = 0;
+  console.group = () => { printed++; };
+  try {
+    studio().destroy();
+  } finally {
+    console.group = group;
+  }
+  assert.equal(printed, 0);
+});
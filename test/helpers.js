@@ -0,0 +1,67 @@
+/**
+ * Shared setup for the test suite. Studios run in jsdom, on a copy of
+ * index.html's body, with Konva's browser build drawing onto
+ * @napi-rs/canvas — prebuilt, so the suite runs wherever `npm install`
+ * does, without the cairo build the `canvas` package needs.
+ *
+ *   import { studio, browserStudio } from './helpers.js';
+ *   const model = studio();          // headless, 800×600
+ *   const board = browserStudio();   // panels, selection, pointer events
+ */
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { createCanvas } from '@napi-rs/canvas';
+
+const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+const BODY = html.match(/<body[^>]*>([\s\S]*)<\/body>/)[1].replace(/<script[\s\S]*?<\/script>/g, '');
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>', {
+  pretendToBeVisual: true, url: 'http://localhost/',
+});
+window.matchMedia ??= () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+Object.assign(globalThis, {
+  window, document: window.document,
+  requestAnimationFrame: window.requestAnimationFrame, cancelAnimationFrame: window.cancelAnimationFrame,
+});
+Object.defineProperty(globalThis, 'localStorage', { value: window.localStorage, configurable: true });
+
+const { default: Konva } = await import('konva/lib/index.js');
+
+// A <canvas> element whose pixels live in a @napi-rs/canvas
+Konva.Util.createCanvasElement = () => {
+  const el = document.createElement('canvas');
+  const backing = createCanvas(300, 150);
+  const ctx = backing.getContext('2d');
+  const drawImage = ctx.drawImage.bind(ctx);
+  ctx.drawImage = (image, ...rest) => drawImage(image?._backing ?? image, ...rest);
+  Object.defineProperties(el, {
+    _backing: { value: backing },
+    width:    { get: () => backing.width,  set: v => { backing.width = v; } },
+    height:   { get: () => backing.height, set: v => { backing.height = v; } },
+  });
+  el.getContext = () => ctx;
+  el.toDataURL = (...args) => backing.toDataURL(...args);
+  return el;
+};
+globalThis.Konva = Konva;
+
+const { CanvasStudio } = await import('../src/CanvasStudio.js');
+
+export { CanvasStudio, Konva };
+
+/** A headless studio; `options` are the constructor's. */
+export function studio(options = {}) {
+  return new CanvasStudio({ headless: true, width: 800, height: 600, ...options });
+}
+
+/** A studio with its UI, on a fresh copy of index.html's body. */
+export function browserStudio(options = {}) {
+  document.body.innerHTML = BODY;
+  return new CanvasStudio(document, { width: 800, height: 600, ...options });
+}
+
+/** The public id of each node. */
+export const ids = nodes => nodes.map(n => n._publicId);
+
+/** Wait `ms` for tweens and timers to run. */
+export const settle = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
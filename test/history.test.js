@@ -0,0 +1,226 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { studio } from './helpers.js';
+
+/** A promise and the function that resolves it. */
+function gate() {
+  let open;
+  const promise = new Promise(resolve => { open = resolve; });
+  return { promise, open };
+}
+
+test('as() attributes saves to the actor while fn runs', () => {
+  const s = studio();
+  const rect = s.History.as('agent:planner', () => s.Shapes.create('rect'));
+  assert.equal(rect.getAttr('createdBy'), 'agent:planner');
+  assert.equal(s.History.list().at(-1).actor, 'agent:planner');
+  assert.equal(s.History.actor(), 'user');
+  s.destroy();
+});
+
+test('overlapping async as() calls leave the actor to the user', async () => {
+  const s = studio();
+  const a = gate(), b = gate();
+  const first = s.History.as('remote:a', async () => {
+    s.Shapes.create('rect');
+    await a.promise;
+  });
+  const second = s.History.as('remote:b', async () => {
+    s.Shapes.create('circle');
+    await b.promise;
+  });
+  assert.equal(s.History.actor(), 'user');
+
+  // The user's edit while both are awaiting is the user's
+  const mine = s.Shapes.create('star');
+  assert.equal(mine.getAttr('createdBy'), 'user');
+
+  a.open();
+  await first;
+  b.open();
+  await second;
+  assert.equal(s.History.actor(), 'user');
+  assert.deepEqual(s.History.list().slice(1).map(step => step.actor), ['remote:a', 'remote:b', 'user']);
+  s.destroy();
+});
+
+test('overlapping RPC requests are each attributed to their own peer', async () => {
+  const s = studio();
+  const gates = { a: gate(), b: gate() };
+  s.Rpc.expose('Test.slow', async name => {
+    s.Shapes.create('rect', { name });
+    await gates[name].promise;
+    return s.History.actor();
+  }, { params: ['name'] });
+
+  const replies = [];
+  const peer = name => {
+    let deliver;
+    s.Rpc.attach({ send: m => m.id && replies.push(m), listen: fn => { deliver = fn; return () => {}; } }, { peer: name, events: [] });
+    return deliver;
+  };
+  peer('a')({ jsonrpc: '2.0', id: 1, method: 'Test.slow', params: ['a'] });
+  peer('b')({ jsonrpc: '2.0', id: 2, method: 'Test.slow', params: ['b'] });
+  await Promise.resolve();
+  assert.equal(s.History.actor(), 'user');
+  assert.equal(s.Shapes.create('star').getAttr('createdBy'), 'user');
+
+  gates.b.open();
+  gates.a.open();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const byName = Object.fromEntries(s.Export.getState().shapes.map(shape => [shape.attrs.name ?? 'star', shape.attrs.createdBy]));
+  assert.deepEqual(byName, { a: 'remote:a', b: 'remote:b', star: 'user' });
+  assert.equal(replies.length, 2);
+  assert.equal(s.History.actor(), 'user');
+  s.destroy();
+});
+
+test('deferred work saves as the actor that took the defer()', async () => {
+  const s = studio();
+  const history = s._svc.history;
+  const done = s.History.as('agent:tween', () => history.defer());
+  s.Shapes.create('rect');  // meanwhile, the user
+  const later = done.run(() => s.Shapes.create('circle'));
+  done();
+  assert.equal(later.getAttr('createdBy'), 'agent:tween');
+  assert.deepEqual(s.History.list().slice(1).map(step => step.actor), ['user', 'agent:tween']);
+  s.destroy();
+});
+
+test('a transaction saves as the actor that opened it', async () => {
+  const s = studio();
+  const gated = gate();
+  const txn = s.History.as('agent:planner', () => s.History.transaction(async () => {
+    s.Shapes.create('rect');
+    await gated.promise;
+  }));
+  gated.open();
+  await txn;
+  assert.equal(s.History.list().at(-1).actor, 'agent:planner');
+  s.destroy();
+});
+
+test('overlapping transactions run one after the other, each its own step', async () => {
+  const s = studio();
+  const gated = gate();
+  const order = [];
+  const first = s.History.as('agent:a', () => s.History.transaction(async () => {
+    order.push('a:start');
+    s.Shapes.create('rect');
+    await gated.promise;
+    order.push('a:end');
+  }));
+  const second = s.History.as('agent:b', () => s.History.transaction(() => {
+    order.push('b');
+    s.Shapes.create('circle');
+  }));
+  await Promise.resolve();
+  assert.deepEqual(order, ['a:start']);
+
+  gated.open();
+  await Promise.all([first, second]);
+  assert.deepEqual(order, ['a:start', 'a:end', 'b']);
+  assert.deepEqual(s.History.list().slice(1).map(step => [step.actor, step.ops]), [['agent:a', 1], ['agent:b', 1]]);
+  s.destroy();
+});
+
+test("a user edit made while a transaction awaits is the user's, and survives its rollback", async () => {
+  const s = studio();
+  const gated = gate();
+  const txn = s.History.as('agent:planner', () => s.History.transaction(async run => {
+    s.Shapes.create('rect');
+    await gated.promise;
+    run(() => s.Shapes.create('circle'));
+    throw new Error('plan rejected');
+  }));
+  await Promise.resolve();
+  const star = s.Shapes.create('star');
+  assert.equal(star.getAttr('createdBy'), 'user');
+  assert.deepEqual(s.History.list().slice(1).map(step => step.actor), ['user']);
+
+  gated.open();
+  await assert.rejects(txn, /plan rejected/);
+  assert.deepEqual(s.Shapes.listIds(), [star._publicId]);
+  assert.deepEqual(s.History.list().slice(1).map(step => step.actor), ['user']);
+  s.destroy();
+});
+
+test('what a transaction saves through run() after an await joins its step', async () => {
+  const s = studio();
+  const gated = gate();
+  const txn = s.History.as('agent:planner', () => s.History.transaction(async run => {
+    s.Shapes.create('rect');
+    await gated.promise;
+    run(() => s.Shapes.create('circle'));
+  }));
+  gated.open();
+  await txn;
+  const steps = s.History.list().slice(1);
+  assert.deepEqual(steps.map(step => [step.actor, step.ops]), [['agent:planner', 2]]);
+  assert.ok(s.Shapes.listIds().every(id => s.Shapes.getById(id).getAttr('createdBy') === 'agent:planner'));
+  s.destroy();
+});
+
+test('a transaction waiting on deferred work settles when the studio is destroyed', async () => {
+  const s = studio();
+  const txn = s.History.transaction(() => { s._svc.history.defer(); });
+  await Promise.resolve();
+  s.destroy();
+  await txn;
+});
+
+test('an edit after undo starts a branch, and goto() returns to the old one', () => {
+  const s = studio();
+  const rect = s.Shapes.create('rect');
+  const withRect = s.History.list().at(-1).id;
+  s.History.undo();
+  assert.equal(s.Shapes.getById(rect._publicId), null);
+
+  const circle = s.Shapes.create('circle');
+  const steps = s.History.list();
+  const withCircle = steps.at(-1);
+  const root = steps.find(step => step.id === withCircle.parent);
+  assert.deepEqual(root.children.sort(), [withRect, withCircle.id].sort());
+  assert.equal(withCircle.current, true);
+
+  assert.equal(s.History.goto(withRect), true);
+  assert.ok(s.Shapes.getById(rect._publicId));
+  assert.equal(s.Shapes.getById(circle._publicId), null);
+
+  // Redo follows the branch visited last
+  s.History.undo();
+  s.History.redo();
+  assert.ok(s.Shapes.getById(rect._publicId));
+  assert.equal(s.Shapes.getById(circle._publicId), null);
+  s.destroy();
+});
+
+test('checkpoint() saves pending changes and names the step', () => {
+  const s = studio();
+  const rect = s.Shapes.create('rect', { x: 10 });
+  rect.x(200);
+  const id = s.History.checkpoint('layout A');
+  const step = s.History.list().find(st => st.id === id);
+  assert.equal(step.name, 'layout A');
+  assert.equal(step.current, true);
+
+  s.Shapes.updateById(rect._publicId, { x: 400 });
+  s.History.goto(id);
+  assert.equal(s.Shapes.getById(rect._publicId).x(), 200);
+  assert.equal(s.History.goto('no-such-step'), false);
+  s.destroy();
+});
+
+test('maxSteps caps the steps kept across branches', () => {
+  const s = studio({ maxSteps: 5 });
+  const rect = s.Shapes.create('rect');
+  s.History.undo();
+  for (let i = 0; i < 8; i++) s.Shapes.create('circle');
+  const steps = s.History.list();
+  assert.equal(steps.length, 6);  // the starting state, then five steps
+  assert.ok(steps.every(st => st.children.length <= 1));  // the abandoned branch went first
+  assert.equal(s.History.goto(steps[0].id), true);
+  assert.equal(s.Shapes.getById(rect._publicId), null);
+  assert.equal(s.Shapes.listIds().length, 3);
+  s.destroy();
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { browserStudio, settle } from './helpers.js';
+
+// Put the pointer at canvas point (x, y) and fire `type` on the stage
+function pointer(s, type, x, y) {
+  const { stage } = s._svc.core;
+  const evt = { clientX: x, clientY: y, type };
+  stage.setPointersPositions(evt);
+  stage.fire(type, { evt });
+}
+
+test('shapeAt() picks the topmost shape under a point through the index', async () => {
+  const s = browserStudio();
+  const a = s.Shapes.create('rect', { x: 100, y: 100, width: 100, height: 100 });
+  const c = s.Shapes.create('rect', { x: 400, y: 100, width: 100, height: 100 });
+  const g = s.Shapes.group([a._publicId, c._publicId]);
+  const b = s.Shapes.create('rect', { x: 150, y: 150, width: 100, height: 100 });
+  await settle(500);  // pop-in
+  const { interaction } = s._svc;
+
+  assert.equal(interaction.shapeAt({ x: 175, y: 175 }), b);
+  assert.equal(interaction.shapeAt({ x: 120, y: 120 }), g);
+  assert.equal(interaction.shapeAt({ x: 300, y: 300 }), null);
+
+  interaction.enter(g);
+  assert.equal(interaction.shapeAt({ x: 120, y: 120 }), a);
+  s.destroy();
+});
+
+test('the eraser dims the shape under the pointer and erases it on click', async () => {
+  const s = browserStudio();
+  const a = s.Shapes.create('rect', { x: 100, y: 100, width: 100, height: 100 });
+  const id = a._publicId;
+  await settle(500);
+  s.Tools.set('eraser');
+
+  pointer(s, 'mousemove', 150, 150);
+  assert.ok(a.opacity() < 1);
+  pointer(s, 'mousemove', 500, 500);
+  assert.equal(a.opacity(), 1);
+
+  pointer(s, 'mousemove', 150, 150);
+  pointer(s, 'click', 150, 150);
+  await settle(300);
+  assert.equal(s.Shapes.getById(id), null);
+
+  s.History.undo();
+  assert.equal(s.Shapes.getById(id)?.opacity(), 1);
+  s.destroy();
+});
+
+test('the eraser leaves a shape the user may not delete, undimmed', async () => {
+  const s = browserStudio();
+  const a = s.Shapes.create('rect', { x: 100, y: 100, width: 100, height: 100 });
+  s.Permissions.lock(a._publicId);
+  await settle(500);
+  s.Tools.set('eraser');
+
+  pointer(s, 'mousemove', 150, 150);
+  pointer(s, 'click', 150, 150);
+  await settle(300);
+  assert.equal(s.Shapes.getById(a._publicId), a);
+  assert.equal(a.opacity(), 1);
+  s.destroy();
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { studio, browserStudio, settle } from './helpers.js';
+
+test('a locked shape refuses every actor until the user unlocks it', () => {
+  const s = studio();
+  const rect = s.Shapes.create('rect', { x: 10, y: 10 });
+  s.Permissions.lock(rect._publicId);
+  assert.equal(s.Permissions.isLocked(rect._publicId), true);
+  assert.match(s.Permissions.check('user', 'update', rect._publicId), /is locked/);
+  assert.equal(s.Permissions.can('agent:planner', 'delete', rect._publicId), false);
+
+  const res = s.Agent.applyOps([{ op: 'update', id: rect._publicId, props: { x: 300 } }]);
+  assert.equal(res.applied, false);
+  assert.equal(rect.x(), 10);
+
+  s.Permissions.unlock(rect._publicId);
+  assert.equal(s.Agent.applyOps([{ op: 'update', id: rect._publicId, props: { x: 300 } }]).applied, true);
+  assert.equal(rect.x(), 300);
+  s.destroy();
+});
+
+test('only the user sets or clears the flags', () => {
+  const s = studio();
+  const rect = s.Shapes.create('rect');
+  assert.match(s.Permissions.check('agent:planner', 'update', rect._publicId, { locked: true }), /only the user/);
+  assert.equal(s.Permissions.check('user', 'update', rect._publicId, { locked: true }), null);
+  s.destroy();
+});
+
+test('agent read-only shapes and protected regions stop agents, not the user', () => {
+  const s = studio();
+  const guarded = s.Shapes.create('rect', { x: 500, y: 400 });
+  const inside = s.Shapes.create('rect', { x: 20, y: 20, width: 40, height: 40 });
+  s.Permissions.setAgentReadOnly(guarded._publicId);
+  s.Permissions.protect({ x: 0, y: 0, width: 100, height: 100 }, { name: 'legend' });
+
+  assert.match(s.Permissions.check('agent:planner', 'update', guarded._publicId), /read-only for agents/);
+  assert.match(s.Permissions.check('remote:peer', 'delete', inside._publicId), /protected region 'legend'/);
+  assert.equal(s.Permissions.can('user', 'update', guarded._publicId), true);
+  assert.equal(s.Permissions.can('user', 'delete', inside._publicId), true);
+  s.destroy();
+});
+
+test('the policy grants per actor, then per kind, then *', () => {
+  const s = studio({ permissions: { policy: { agent: { delete: false }, 'agent:cleaner': { delete: true }, remote: false } } });
+  const rect = s.Shapes.create('rect');
+  assert.equal(s.Permissions.can('agent:planner', 'delete', rect._publicId), false);
+  assert.equal(s.Permissions.can('agent:planner', 'update', rect._publicId), true);
+  assert.equal(s.Permissions.can('agent:cleaner', 'delete', rect._publicId), true);
+  assert.equal(s.Permissions.can('remote:peer', 'add'), false);
+  assert.equal(s.Permissions.can('user', 'delete', rect._publicId), true);
+  s.destroy();
+});
+
+test('a save that breaks a rule is rolled back and throws a PermissionError', () => {
+  const s = studio();
+  const rect = s.Shapes.create('rect', { x: 10 });
+  s.Permissions.lock(rect._publicId);
+  const denied = [];
+  s.Events.on('permission:denied', e => denied.push(e));
+  const steps = s.History.list().length;
+
+  assert.throws(() => s.History.as('agent:planner', () => {
+    rect.x(400);
+    s.History.save();
+  }), { name: 'PermissionError' });
+  assert.equal(rect.x(), 10);
+  assert.equal(s.History.list().length, steps);
+  assert.equal(denied[0].actor, 'agent:planner');
+  s.destroy();
+});
+
+test('a locked shape is not draggable, nor dragged along in a selection', async () => {
+  const s = browserStudio();
+  const a = s.Shapes.create('rect', { x: 100, y: 100 });
+  const b = s.Shapes.create('rect', { x: 300, y: 100 });
+  await settle(500);  // pop-in
+  s.Permissions.lock(a._publicId);
+  assert.equal(a.draggable(), false);
+
+  s.Shapes.selectById([a._publicId, b._publicId]);
+  const { tr } = s._svc.core;
+  assert.deepEqual(tr.nodes(), [b]);
+  assert.deepEqual(s._svc.interaction.selection(), [a, b]);
+
+  s.Permissions.unlock(a._publicId);
+  assert.equal(a.draggable(), true);
+  assert.deepEqual(tr.nodes(), [a, b]);
+
+  s.History.undo();
+  assert.equal(a.draggable(), false);
+  s.destroy();
+});
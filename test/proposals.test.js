@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { studio } from './helpers.js';
+
+test('agent edits in suggestion mode wait as proposals', () => {
+  const s = studio({ suggestionMode: true });
+  const res = s.Agent.applyOps([{ op: 'add', type: 'rect', props: { x: 10, y: 10 } }]);
+  assert.equal(res.applied, true);
+  assert.equal(s.Export.getState().shapes.length, 0);
+  const [proposal] = s.Proposals.list();
+  assert.equal(proposal.actor, 'agent:default');
+  assert.deepEqual(proposal.changes.map(c => c.op), ['add']);
+  s.destroy();
+});
+
+test('accept() applies a proposal as one step by its actor', () => {
+  const s = studio({ suggestionMode: true });
+  s.Agent.applyOps([
+    { op: 'add', type: 'rect', props: { x: 10, y: 10 } },
+    { op: 'add', type: 'circle', props: { x: 200, y: 200 } },
+  ], { actor: 'agent:planner' });
+  const [{ id }] = s.Proposals.list();
+  assert.equal(s.Proposals.accept(id), true);
+  assert.equal(s.Proposals.list().length, 0);
+  assert.equal(s.Export.getState().shapes.length, 2);
+  assert.equal(s.History.list().at(-1).actor, 'agent:planner');
+
+  s.History.undo();
+  assert.equal(s.Export.getState().shapes.length, 0);
+  assert.equal(s.Proposals.accept(id), false);
+  s.destroy();
+});
+
+test('reject() drops a proposal without touching the canvas', () => {
+  const s = studio({ suggestionMode: true });
+  const rect = s.Shapes.create('rect', { x: 10, y: 10, fill: '#000000' });
+  s.Agent.applyOps([{ op: 'update', id: rect._publicId, props: { fill: '#ff0000' } }]);
+  assert.equal(rect.fill(), '#000000');
+  const [{ id }] = s.Proposals.list();
+  assert.equal(s.Proposals.reject(id), true);
+  assert.equal(s.Proposals.list().length, 0);
+  assert.equal(rect.fill(), '#000000');
+  s.destroy();
+});
+
+test('a proposal refused on accept stays pending and acceptAll() carries on', () => {
+  const s = studio({ suggestionMode: true });
+  const rect = s.Shapes.create('rect', { x: 10, y: 10, fill: '#000000' });
+  s.Agent.applyOps([{ op: 'update', id: rect._publicId, props: { fill: '#ff0000' } }]);
+  s.Agent.applyOps([{ op: 'add', type: 'circle', props: { x: 300, y: 300 } }]);
+  const [first, second] = s.Proposals.list();
+  s.Permissions.lock(rect._publicId);
+
+  const toasts = [];
+  s.Events.on('ui:toast', ({ message }) => toasts.push(message));
+  const steps = s.History.list().length;
+  assert.equal(s.Proposals.acceptAll(), 1);
+  assert.equal(rect.fill(), '#000000');
+  assert.deepEqual(s.Proposals.list().map(p => p.id), [first.id]);
+  assert.equal(s.History.list().length, steps + 1);
+  assert.match(toasts[0], /is locked/);
+  assert.notEqual(second.id, first.id);
+
+  // Once unlocked, the same proposal goes through
+  s.Permissions.unlock(rect._publicId);
+  assert.equal(s.Proposals.accept(first.id), true);
+  assert.equal(rect.fill(), '#ff0000');
+  s.destroy();
+});
+
+test('shapes a refused proposal adds survive for a later accept', () => {
+  const s = studio({ suggestionMode: true });
+  s.Agent.applyOps([{ op: 'add', type: 'rect', props: { x: 10, y: 10, width: 50, height: 50, fill: '#00ff00' } }]);
+  const [{ id }] = s.Proposals.list();
+  const region = s.Permissions.protect({ x: 0, y: 0, width: 100, height: 100 }, { name: 'header' });
+  assert.equal(s.Proposals.accept(id), false);
+  assert.equal(s.Export.getState().shapes.length, 0);
+  s.Permissions.unprotect(region);
+  assert.equal(s.Proposals.accept(id), true);
+  const [rect] = s.Export.getState().shapes;
+  assert.equal(rect.attrs.fill, '#00ff00');
+  assert.equal(rect.attrs.createdBy, 'agent:default');
+  s.destroy();
+});
+
+test('updateById() on a proposed shape amends the proposal, for its actor only', () => {
+  const s = studio({ suggestionMode: true });
+  const { results: [{ id }] } = s.Agent.applyOps([{ op: 'add', type: 'rect', props: { x: 10, y: 10 } }], { actor: 'agent:planner' });
+  const steps = s.History.list().length;
+  assert.equal(s.Shapes.updateById(id, { fill: '#ff0000' }), false);
+  assert.equal(s.History.as('agent:other', () => s.Shapes.updateById(id, { fill: '#ff0000' })), false);
+  assert.equal(s.History.as('agent:planner', () => s.Shapes.updateById(id, { fill: '#00ff00' })), true);
+  assert.equal(s.Export.getState().shapes.length, 0);
+  assert.equal(s.History.list().length, steps);
+
+  const [proposal] = s.Proposals.list();
+  s.Proposals.accept(proposal.id);
+  assert.equal(s.Shapes.getById(id).fill(), '#00ff00');
+  assert.equal(s.History.list().length, steps + 1);
+  s.destroy();
+});
+
+test('a load in suggestion mode reports that it was proposed', () => {
+  const source = studio();
+  source.Shapes.create('rect', { x: 10, y: 10 });
+  const state = source.Export.getState();
+  source.destroy();
+
+  const s = studio({ suggestionMode: true });
+  const loads = [];
+  s.Events.on('document:load', e => loads.push(e));
+  assert.deepEqual(s.History.as('agent:planner', () => s.Export.loadState(state)), { proposed: true });
+  assert.equal(s.Export.getState().shapes.length, 0);
+  assert.equal(loads.length, 0);
+  assert.equal(s.Proposals.list().length, 1);
+  assert.equal(s.Export.loadState(state), true);
+  assert.equal(loads.length, 1);
+  s.destroy();
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { studio, browserStudio, settle } from './helpers.js';
+
+test('duplicate() credits the copies to whoever duplicated them, unlocked', async () => {
+  const s = browserStudio();
+  const g = s.History.as('agent:planner', () => {
+    const a = s.Shapes.create('rect', { x: 100, y: 100 });
+    const b = s.Shapes.create('circle', { x: 300, y: 100 });
+    return s.Shapes.group([a._publicId, b._publicId]);
+  });
+  s.Permissions.lock(g._publicId);
+  assert.equal(g.getAttr('createdBy'), 'agent:planner');
+
+  s.Shapes.selectById(g._publicId);
+  s.Shapes.duplicate();
+  const [copy] = s._svc.interaction.selection();
+  assert.notEqual(copy, g);
+  for (const node of [copy, ...copy.getChildren()]) {
+    assert.equal(node.getAttr('createdBy'), 'user');
+    assert.equal(node.getAttr('updatedBy'), 'user');
+  }
+  assert.equal(s.Permissions.isLocked(copy._publicId), false);
+  assert.equal(s.Permissions.isLocked(g._publicId), true);
+  assert.equal(g.getChildren()[0].getAttr('createdBy'), 'agent:planner');
+  await settle(300);
+  s.destroy();
+});
+
+test('a cloud takes the width and height its schema offers', () => {
+  const s = studio();
+  const plain = s.Shapes.create('cloud', { x: 0, y: 0 });
+  assert.deepEqual([plain.width(), plain.height()], [130, 70]);
+  const wide = s.Shapes.create('cloud', { x: 0, y: 0, width: 260, height: 35 });
+  assert.deepEqual([wide.width(), wide.height()], [260, 35]);
+  assert.deepEqual(s._svc.shapes.textBox(wide), { x: 24, y: 12, width: 212, height: 22 });
+  s.Core.layer.draw();
+  s.destroy();
+});